@@ -1,6 +1,108 @@
-// eslint-disable-next-line import/prefer-default-export
+import { DATE_RANGE_CONFIG } from './constants.js';
+import { DateUtils } from './utils.js';
+
 export const DateRange = Object.freeze({
-  LAST_1_MONTH: { value: 'LAST_1_MONTH', label: 'Last 1 Month' },
-  LAST_2_MONTHS: { value: 'LAST_2_MONTHS', label: 'Last 2 Months' },
-  LAST_3_MONTHS: { value: 'LAST_3_MONTHS', label: 'Last 3 Months' },
+  LAST_1_MONTH: { value: 'LAST_1_MONTH', label: 'Last 1 Month', days: 30 },
+  LAST_2_MONTHS: { value: 'LAST_2_MONTHS', label: 'Last 2 Months', days: 60 },
+  LAST_3_MONTHS: { value: 'LAST_3_MONTHS', label: 'Last 3 Months', days: 90 },
+  THIS_QUARTER: { value: 'THIS_QUARTER', label: 'This Quarter' },
+  LAST_QUARTER: { value: 'LAST_QUARTER', label: 'Last Quarter' },
+  YEAR_TO_DATE: { value: 'YEAR_TO_DATE', label: 'Year to Date' },
+  FISCAL_YEAR_TO_DATE: { value: 'FISCAL_YEAR_TO_DATE', label: 'Fiscal Year to Date' },
+  CUSTOM: { value: 'CUSTOM', label: 'Custom Range' },
 });
+
+/**
+ * Parses a `YYYY-MM-DD` date input value as UTC midnight
+ * @param {string} value - Date input value
+ * @returns {number} Timestamp in milliseconds, NaN if invalid
+ */
+function parseDateInput(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? Date.parse(`${value}T00:00:00Z`) : NaN;
+}
+
+/**
+ * Resolves a date range key to explicit start/end timestamps.
+ * Calendar boundaries (quarters, years) are computed in UTC to match the table dates.
+ * @param {string} value - Date range key from DateRange
+ * @param {Object} [custom={}] - Custom range inputs, used when value is CUSTOM
+ * @param {string} [custom.from] - Start date as `YYYY-MM-DD`
+ * @param {string} [custom.to] - End date as `YYYY-MM-DD` (inclusive)
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {{value: string, label: string, start: number, end: number}|null}
+ *   Resolved range, or null if the key or custom dates are invalid
+ */
+export function getDateRangeBounds(value, { from, to } = {}, now = Date.now()) {
+  const preset = DateRange[value];
+  if (!preset) return null;
+
+  const today = new Date(now);
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  const quarterStartMonth = month - (month % 3);
+
+  let start;
+  let end = now;
+
+  switch (preset.value) {
+    case DateRange.THIS_QUARTER.value:
+      start = Date.UTC(year, quarterStartMonth, 1);
+      break;
+    case DateRange.LAST_QUARTER.value:
+      start = Date.UTC(year, quarterStartMonth - 3, 1);
+      end = Date.UTC(year, quarterStartMonth, 1) - 1;
+      break;
+    case DateRange.YEAR_TO_DATE.value:
+      start = Date.UTC(year, 0, 1);
+      break;
+    case DateRange.FISCAL_YEAR_TO_DATE.value: {
+      const fiscalStartMonth = DATE_RANGE_CONFIG.FISCAL_YEAR_START_MONTH;
+      const fiscalYear = month >= fiscalStartMonth ? year : year - 1;
+      start = Date.UTC(fiscalYear, fiscalStartMonth, 1);
+      break;
+    }
+    case DateRange.CUSTOM.value: {
+      start = parseDateInput(from);
+      const toStart = parseDateInput(to);
+      if (Number.isNaN(start) || Number.isNaN(toStart) || start > toStart) return null;
+      end = toStart + DateUtils.MS_PER_DAY - 1;
+      return {
+        value: preset.value,
+        label: `${DateUtils.formatDate(start)} – ${DateUtils.formatDate(end)}`,
+        start,
+        end,
+      };
+    }
+    default:
+      start = now - (preset.days * DateUtils.MS_PER_DAY);
+  }
+
+  return {
+    value: preset.value,
+    label: preset.label,
+    start,
+    end,
+  };
+}
+
+/**
+ * Returns the period of the same length that ends right before the given range,
+ * e.g. the 60 days before "Last 2 Months". It is expressed as a custom range so
+ * the worker filters by its explicit bounds; `previousOf` names the range it precedes,
+ * so the cache can key the period before a rolling preset by that preset.
+ * @param {{value: string, start: number, end: number}} dateRange - Resolved range from
+ *   getDateRangeBounds
+ * @returns {{value: string, label: string, start: number, end: number, previousOf: string}}
+ *   Previous period
+ */
+export function getPreviousPeriodBounds(dateRange) {
+  const end = dateRange.start - 1;
+  const start = dateRange.start - (dateRange.end - dateRange.start + 1);
+  return {
+    value: DateRange.CUSTOM.value,
+    label: `${DateUtils.formatDate(start)} – ${DateUtils.formatDate(end)}`,
+    start,
+    end,
+    previousOf: dateRange.value,
+  };
+}
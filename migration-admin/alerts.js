@@ -0,0 +1,392 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Alert rules - threshold rules evaluated against the loaded data, and the
+ * per-user rules and snooze/acknowledge state stored in localStorage
+ * @module alerts
+ */
+
+import { ALERT_CONFIG } from './constants.js';
+import { DateRange, getPreviousPeriodBounds } from './DateRange.js';
+import { MigrationError } from './errors.js';
+import { getCustomerKey, totalByCustomer } from './stats.js';
+import { DateUtils, NumberUtils } from './utils.js';
+
+const STORAGE_PREFIX = 'aem-migrations-alerts:';
+
+/**
+ * A rule the user has set up, e.g. `{ type: 'failureRate', params: { threshold: 25, days: 30 } }`
+ * @typedef {Object} AlertRule
+ * @property {string} id - Stable identifier, used to keep snooze/acknowledge state
+ * @property {string} type - Key from ALERT_RULE_TYPES
+ * @property {Object<string, number>} params - Values for the type's params
+ * @property {boolean} [enabled=true] - Disabled rules are not evaluated
+ */
+
+/**
+ * A rule that matched customers
+ * @typedef {Object} Alert
+ * @property {string} ruleId - ID of the rule
+ * @property {string} description - What the rule checks, e.g. "Failure rate above 25% …"
+ * @property {Array<{key: string, name: string, imsOrgId: string, detail: string}>} customers -
+ *   Customers that triggered the rule, most severe first
+ */
+
+/**
+ * Snooze and acknowledge state of one rule's alert
+ * @typedef {Object} AlertState
+ * @property {number|null} snoozedUntil - Hidden until this time
+ * @property {string[]|null} acknowledged - Customer keys acknowledged; the alert returns
+ *   when a customer not in this list triggers it
+ */
+
+/**
+ * Returns the window of `days` whole UTC days ending with the day of `end`. Whole days
+ * keep its bounds, and with them its cache key, the same all day. It is expressed as a
+ * custom range so the worker filters by its explicit bounds.
+ * @param {number} days - Window length
+ * @param {number} end - Timestamp within the window's last day
+ * @returns {{value: string, label: string, start: number, end: number}} Window
+ */
+function getTrailingWindow(days, end) {
+  const { MS_PER_DAY } = DateUtils;
+  const dayEnd = ((Math.floor(end / MS_PER_DAY) + 1) * MS_PER_DAY) - 1;
+  const start = dayEnd - (days * MS_PER_DAY) + 1;
+  return {
+    value: DateRange.CUSTOM.value,
+    label: `${DateUtils.formatDate(start)} – ${DateUtils.formatDate(dayEnd)}`,
+    start,
+    end: dayEnd,
+  };
+}
+
+/**
+ * Returns the key a window's migrations are passed under to evaluateAlertRules
+ * @param {{start: number, end: number}} range - Window
+ * @returns {string} Window key
+ */
+export function getWindowKey(range) {
+  return `${range.start}-${range.end}`;
+}
+
+/**
+ * Rule types. Each declares its numeric params, the windows of data it needs
+ * (loaded by the caller) and how it picks customers.
+ */
+export const ALERT_RULE_TYPES = {
+  failureRate: {
+    label: 'Failure rate above a threshold',
+    params: [
+      {
+        key: 'threshold', label: 'Failure rate above (%)', min: 1, max: 100, default: 25,
+      },
+      {
+        key: 'days', label: 'In the last (days)', min: 1, max: 365, default: 30,
+      },
+    ],
+    describe: ({ threshold, days }) => `Failure rate above ${threshold}% in the last ${days} days`,
+    getWindows: ({ days }, end) => [getTrailingWindow(days, end)],
+    evaluate: ({ threshold }, { windows: [recent] }) => [...totalByCustomer(recent)]
+      .filter(([, c]) => c.total >= ALERT_CONFIG.MIN_INGESTIONS
+        && (c.failed / c.total) * 100 > threshold)
+      .sort(([, a], [, b]) => b.failed / b.total - a.failed / a.total)
+      .map(([key, c]) => ({
+        key,
+        name: c.name,
+        imsOrgId: c.imsOrgId,
+        detail: `${NumberUtils.formatPercentage(c.failed, c.total)} of ${c.total.toLocaleString()} ingestions failed`,
+      })),
+  },
+  noIngestionAfterBpa: {
+    label: 'No ingestion after the BPA upload',
+    params: [
+      {
+        key: 'days', label: 'Days since the BPA upload', min: 1, max: 365, default: 30,
+      },
+    ],
+    describe: ({ days }) => `No ingestion ${days} days after the BPA upload`,
+    getWindows: () => [],
+    evaluate: ({ days }, { migrations, end }) => migrations
+      .filter((m) => m.bpaReportUploaded
+        && end - m.bpaReportUploaded >= days * DateUtils.MS_PER_DAY
+        && !(m.lastIngestion >= m.bpaReportUploaded))
+      .sort((a, b) => a.bpaReportUploaded - b.bpaReportUploaded)
+      .map((m) => ({
+        key: getCustomerKey(m),
+        name: m.customerName,
+        imsOrgId: m.imsOrgId || '',
+        detail: `BPA uploaded ${DateUtils.formatDate(m.bpaReportUploaded)}, `
+          + `${Math.floor((end - m.bpaReportUploaded) / DateUtils.MS_PER_DAY)} days without ingestion`,
+      })),
+  },
+  failureSpike: {
+    label: 'Failure spike versus the previous period',
+    params: [
+      {
+        key: 'factor', label: 'Failures at least (× previous period)', min: 1, max: 100, step: 0.5, default: 2,
+      },
+      {
+        key: 'days', label: 'Period length (days)', min: 1, max: 365, default: 7,
+      },
+      {
+        key: 'minFailures', label: 'At least (failures)', min: 1, max: 10000, default: 3,
+      },
+    ],
+    describe: ({ factor, days, minFailures }) => `Failures up ${factor}× or more in the last ${days} days`
+      + ` versus the ${days} days before (at least ${minFailures})`,
+    getWindows: ({ days }, end) => {
+      const recent = getTrailingWindow(days, end);
+      return [recent, getPreviousPeriodBounds(recent)];
+    },
+    evaluate: ({ factor, days, minFailures }, { windows: [recent, previous] }) => {
+      const before = totalByCustomer(previous);
+      return [...totalByCustomer(recent)]
+        .map(([key, c]) => ({ key, ...c, previousFailed: before.get(key)?.failed || 0 }))
+        .filter((c) => c.failed >= minFailures && c.failed >= factor * c.previousFailed)
+        .sort((a, b) => (b.failed - b.previousFailed) - (a.failed - a.previousFailed))
+        .map((c) => ({
+          key: c.key,
+          name: c.name,
+          imsOrgId: c.imsOrgId,
+          detail: `${c.failed.toLocaleString()} failed in the last ${days} days, `
+            + `${c.previousFailed.toLocaleString()} in the ${days} days before`,
+        }));
+    },
+  },
+};
+
+/**
+ * Creates a rule of a type with the type's default params
+ * @param {string} type - Key from ALERT_RULE_TYPES
+ * @returns {AlertRule} New rule
+ */
+export function createAlertRule(type) {
+  const params = Object.fromEntries(ALERT_RULE_TYPES[type].params.map((p) => [p.key, p.default]));
+  return {
+    id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    params,
+    enabled: true,
+  };
+}
+
+/**
+ * Describes what a rule checks
+ * @param {AlertRule} rule - Rule
+ * @returns {string} Description
+ */
+export function describeAlertRule(rule) {
+  return ALERT_RULE_TYPES[rule.type].describe(rule.params);
+}
+
+/**
+ * Drops malformed rules and clamps params into their allowed range
+ * @param {*} rules - Untrusted list of rules
+ * @returns {AlertRule[]} Valid rules
+ */
+function normaliseRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter((rule) => rule && typeof rule.id === 'string' && ALERT_RULE_TYPES[rule.type])
+    .map((rule) => ({
+      id: rule.id,
+      type: rule.type,
+      enabled: rule.enabled !== false,
+      params: Object.fromEntries(ALERT_RULE_TYPES[rule.type].params.map((param) => {
+        const value = Number(rule.params?.[param.key]);
+        return [param.key, Number.isFinite(value)
+          ? Math.min(param.max, Math.max(param.min, value))
+          : param.default];
+      })),
+    }));
+}
+
+/**
+ * Reads a user's alert settings; storage errors read as the defaults
+ * @param {string} userKey - Key from getUserKey
+ * @returns {{rules: AlertRule[], states: Object<string, AlertState>}} Rules and state by rule ID
+ */
+function readStore(userKey) {
+  const defaults = { rules: normaliseRules(ALERT_CONFIG.DEFAULT_RULES), states: {} };
+  if (!userKey) return defaults;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + userKey) || '{}');
+    return {
+      rules: Array.isArray(stored.rules) ? normaliseRules(stored.rules) : defaults.rules,
+      states: stored.states && typeof stored.states === 'object' ? stored.states : {},
+    };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+/**
+ * Writes a user's alert settings
+ * @param {string} userKey - Key from getUserKey
+ * @param {{rules: AlertRule[], states: Object<string, AlertState>}} store - Settings to store
+ * @throws {MigrationError} If storage is unavailable or full
+ */
+function writeStore(userKey, store) {
+  if (!userKey) return;
+  try {
+    localStorage.setItem(STORAGE_PREFIX + userKey, JSON.stringify(store));
+  } catch (e) {
+    throw new MigrationError('Alert settings could not be stored in this browser', { cause: e });
+  }
+}
+
+/**
+ * Returns a user's rules, or the default rules if they never changed them
+ * @param {string} userKey - Key from getUserKey
+ * @returns {AlertRule[]} Rules
+ */
+export function getAlertRules(userKey) {
+  return readStore(userKey).rules;
+}
+
+/**
+ * Replaces a user's rules and drops the state of rules that no longer exist
+ * @param {string} userKey - Key from getUserKey
+ * @param {AlertRule[]} rules - Rules
+ * @returns {AlertRule[]} Stored rules
+ * @throws {MigrationError} If the rules cannot be stored
+ */
+export function saveAlertRules(userKey, rules) {
+  const { states } = readStore(userKey);
+  const normalised = normaliseRules(rules);
+  const ids = new Set(normalised.map((rule) => rule.id));
+  writeStore(userKey, {
+    rules: normalised,
+    states: Object.fromEntries(Object.entries(states).filter(([id]) => ids.has(id))),
+  });
+  return normalised;
+}
+
+/**
+ * Returns the snooze/acknowledge state of a user's alerts
+ * @param {string} userKey - Key from getUserKey
+ * @returns {Object<string, AlertState>} State by rule ID
+ */
+export function getAlertStates(userKey) {
+  return readStore(userKey).states;
+}
+
+/**
+ * Updates the state of one rule's alert
+ * @param {string} userKey - Key from getUserKey
+ * @param {string} ruleId - Rule ID
+ * @param {AlertState|null} state - New state, or null to show the alert again
+ * @throws {MigrationError} If the state cannot be stored
+ */
+function setAlertState(userKey, ruleId, state) {
+  const store = readStore(userKey);
+  if (state) {
+    store.states[ruleId] = state;
+  } else {
+    delete store.states[ruleId];
+  }
+  writeStore(userKey, store);
+}
+
+/**
+ * Hides an alert for a number of days
+ * @param {string} userKey - Key from getUserKey
+ * @param {string} ruleId - Rule ID
+ * @param {number} days - Snooze length
+ * @param {number} [now=Date.now()] - Current time
+ */
+export function snoozeAlert(userKey, ruleId, days, now = Date.now()) {
+  setAlertState(userKey, ruleId, {
+    snoozedUntil: now + days * DateUtils.MS_PER_DAY,
+    acknowledged: null,
+  });
+}
+
+/**
+ * Hides an alert until a customer that is not part of it now triggers the rule
+ * @param {string} userKey - Key from getUserKey
+ * @param {Alert} alert - Alert to acknowledge
+ */
+export function acknowledgeAlert(userKey, alert) {
+  setAlertState(userKey, alert.ruleId, {
+    snoozedUntil: null,
+    acknowledged: alert.customers.map((customer) => customer.key),
+  });
+}
+
+/**
+ * Shows a snoozed or acknowledged alert again
+ * @param {string} userKey - Key from getUserKey
+ * @param {string} ruleId - Rule ID
+ */
+export function restoreAlert(userKey, ruleId) {
+  setAlertState(userKey, ruleId, null);
+}
+
+/**
+ * Whether an alert is shown, snoozed or acknowledged
+ * @param {Alert} alert - Alert
+ * @param {AlertState} [state] - Stored state of its rule
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {'active'|'snoozed'|'acknowledged'} Status
+ */
+export function getAlertStatus(alert, state, now = Date.now()) {
+  if (state?.snoozedUntil && state.snoozedUntil > now) return 'snoozed';
+  if (state?.acknowledged) {
+    const acknowledged = new Set(state.acknowledged);
+    if (alert.customers.every((customer) => acknowledged.has(customer.key))) return 'acknowledged';
+  }
+  return 'active';
+}
+
+/**
+ * Lists the windows of data the enabled rules need, without duplicates
+ * @param {AlertRule[]} rules - Rules
+ * @param {number} end - Evaluation time; windows end here
+ * @returns {Array<{value: string, label: string, start: number, end: number}>} Windows to load
+ */
+export function getAlertWindows(rules, end) {
+  const windows = new Map();
+  rules.filter((rule) => rule.enabled).forEach((rule) => {
+    ALERT_RULE_TYPES[rule.type].getWindows(rule.params, end).forEach((range) => {
+      windows.set(getWindowKey(range), range);
+    });
+  });
+  return [...windows.values()];
+}
+
+/**
+ * Evaluates the enabled rules
+ * @param {AlertRule[]} rules - Rules
+ * @param {Object} data - Data to evaluate against
+ * @param {Array<Object>} data.migrations - Loaded migrations with health metrics
+ * @param {Map<string, Array<Object>>} data.windows - Migrations of each window from
+ *   getAlertWindows, by getWindowKey
+ * @param {number} data.end - Evaluation time, as passed to getAlertWindows
+ * @returns {Alert[]} Alerts of the rules that matched at least one customer, in rule order
+ */
+export function evaluateAlertRules(rules, { migrations, windows, end }) {
+  return rules
+    .filter((rule) => rule.enabled)
+    .map((rule) => {
+      const type = ALERT_RULE_TYPES[rule.type];
+      const ruleWindows = type.getWindows(rule.params, end)
+        .map((range) => windows.get(getWindowKey(range)) || []);
+      return {
+        ruleId: rule.id,
+        description: type.describe(rule.params),
+        customers: type.evaluate(rule.params, { migrations, windows: ruleWindows, end }),
+      };
+    })
+    .filter((alert) => alert.customers.length > 0);
+}
@@ -0,0 +1,395 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Alerts panel - lists the alerts above the table with snooze/acknowledge actions,
+ * and edits the user's alert rules
+ * @module alertsPanel
+ */
+
+import { ALERT_CONFIG, ELEMENT_IDS } from './constants.js';
+import {
+  ALERT_RULE_TYPES, acknowledgeAlert, createAlertRule, describeAlertRule, getAlertRules,
+  getAlertStates, getAlertStatus, restoreAlert, saveAlertRules, snoozeAlert,
+} from './alerts.js';
+import { DateUtils } from './utils.js';
+
+/**
+ * Creates an element with optional class name and text content
+ * @param {string} tagName - Element tag name
+ * @param {string} [className=''] - Optional CSS class name
+ * @param {string} [text] - Optional text content
+ * @returns {HTMLElement} The created element
+ */
+function createElement(tagName, className = '', text = undefined) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Creates a small text button
+ * @param {string} label - Button text
+ * @param {string} className - CSS class name
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The created button
+ */
+function createButton(label, className, onClick) {
+  const button = createElement('button', className, label);
+  button.type = 'button';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * AlertsPanel class - shows the evaluated alerts and the rule editor
+ * @class
+ */
+class AlertsPanel {
+  /**
+   * Creates a new AlertsPanel instance
+   * @constructor
+   */
+  constructor() {
+    /** @type {HTMLElement|null} Panel container */
+    this.container = document.getElementById(ELEMENT_IDS.ALERTS_PANEL);
+    /** @type {string} Key of the signed-in user, from getUserKey */
+    this.userKey = '';
+    /** @type {import('./alerts.js').Alert[]} Alerts from the last evaluation */
+    this.alerts = [];
+    /** @type {boolean} Whether snoozed and acknowledged alerts are listed */
+    this.showHidden = false;
+    /** @type {boolean} Whether the rule editor is open */
+    this.isEditing = false;
+    /** @type {boolean} Whether the user's role may edit rules; off until the role is known */
+    this.canEditRules = false;
+    /** @type {Set<string>} Rule IDs whose alert lists every customer */
+    this.expanded = new Set();
+    /** @type {Function|null} Called after the rules changed, to evaluate them again */
+    this.onRulesChange = null;
+    /** @type {Function|null} Called after an alert was snoozed, acknowledged or restored */
+    this.onStateChange = null;
+    /** @type {Function|null} Called with a customer's {imsOrgId} when its name is clicked */
+    this.onCustomerClick = null;
+
+    /** @type {HTMLElement} Alert list */
+    this.list = createElement('div', 'alerts-list-container');
+    /** @type {HTMLElement} Rule editor */
+    this.editor = createElement('div', 'alert-rules hidden');
+    this.container?.append(this.list, this.editor);
+  }
+
+  /**
+   * Sets the user whose rules and alert state are used
+   * @param {string} userKey - Key from getUserKey
+   */
+  setUser(userKey) {
+    this.userKey = userKey;
+    if (this.isEditing) this.renderEditor();
+  }
+
+  /**
+   * Shows or hides the rule editor for the user's role
+   * @param {boolean} allowed - Whether the user may edit rules
+   */
+  setCanEditRules(allowed) {
+    this.canEditRules = allowed;
+    if (!allowed && this.isEditing) this.setEditing(false);
+    if (!this.container?.classList.contains('hidden')) this.render();
+  }
+
+  /**
+   * Returns the user's rules
+   * @returns {import('./alerts.js').AlertRule[]} Rules
+   */
+  getRules() {
+    return getAlertRules(this.userKey);
+  }
+
+  /**
+   * Shows the alerts of a new evaluation
+   * @param {import('./alerts.js').Alert[]} alerts - Alerts from evaluateAlertRules
+   */
+  setAlerts(alerts) {
+    this.alerts = alerts;
+    this.container?.classList.remove('hidden');
+    this.render();
+  }
+
+  /**
+   * Returns the alerts that are neither snoozed nor acknowledged
+   * @returns {import('./alerts.js').Alert[]} Active alerts
+   */
+  getActiveAlerts() {
+    const states = getAlertStates(this.userKey);
+    return this.alerts.filter((alert) => getAlertStatus(alert, states[alert.ruleId]) === 'active');
+  }
+
+  /**
+   * Scrolls to an alert and highlights it, e.g. when its badge in the table is clicked
+   * @param {string} ruleId - Rule ID of the alert
+   */
+  focusAlert(ruleId) {
+    const item = this.list.querySelector(`.alert-item[data-rule-id="${ruleId}"]`);
+    if (!item) return;
+    this.list.querySelectorAll('.alert-item.highlighted')
+      .forEach((el) => el.classList.remove('highlighted'));
+    item.classList.add('highlighted');
+    item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    item.focus({ preventScroll: true });
+  }
+
+  /**
+   * Renders the header and the alert list
+   */
+  render() {
+    if (!this.container) return;
+    const states = getAlertStates(this.userKey);
+    const withStatus = this.alerts.map((alert) => ({
+      alert,
+      state: states[alert.ruleId],
+      status: getAlertStatus(alert, states[alert.ruleId]),
+    }));
+    const active = withStatus.filter(({ status }) => status === 'active');
+    const hiddenCount = withStatus.length - active.length;
+
+    const header = createElement('div', 'alerts-header');
+    header.appendChild(createElement(
+      'h3',
+      '',
+      active.length ? `Needs attention (${active.length})` : 'No alerts need attention',
+    ));
+    if (hiddenCount) {
+      header.appendChild(createButton(
+        this.showHidden ? 'Hide snoozed and acknowledged' : `Show snoozed and acknowledged (${hiddenCount})`,
+        'alerts-toggle',
+        () => {
+          this.showHidden = !this.showHidden;
+          this.render();
+        },
+      ));
+    }
+    if (this.canEditRules) {
+      const rulesButton = createButton('Rules', 'alerts-toggle', () => this.setEditing(!this.isEditing));
+      rulesButton.setAttribute('aria-expanded', String(this.isEditing));
+      header.appendChild(rulesButton);
+    }
+
+    const list = createElement('ul', 'alerts-list');
+    (this.showHidden ? withStatus : active)
+      .forEach((item) => list.appendChild(this.renderAlert(item)));
+
+    this.list.replaceChildren(header, list);
+  }
+
+  /**
+   * Renders one alert with its customers and actions
+   * @param {Object} item - Alert with its state
+   * @param {import('./alerts.js').Alert} item.alert - Alert
+   * @param {import('./alerts.js').AlertState} [item.state] - Stored state
+   * @param {string} item.status - Status from getAlertStatus
+   * @returns {HTMLLIElement} Alert element
+   */
+  renderAlert({ alert, state, status }) {
+    const li = createElement('li', `alert-item ${status}`);
+    li.dataset.ruleId = alert.ruleId;
+    li.tabIndex = -1;
+
+    const title = createElement('div', 'alert-title');
+    title.append(
+      createElement('strong', '', alert.description),
+      createElement('span', 'alert-count', `${alert.customers.length.toLocaleString()} customer${alert.customers.length === 1 ? '' : 's'}`),
+    );
+    li.appendChild(title);
+
+    const isExpanded = this.expanded.has(alert.ruleId);
+    const shown = isExpanded
+      ? alert.customers
+      : alert.customers.slice(0, ALERT_CONFIG.MAX_LISTED_CUSTOMERS);
+    const customers = createElement('ul', 'alert-customers');
+    shown.forEach(({ name, imsOrgId, detail }) => {
+      const customer = createElement('li');
+      const button = createButton(name, 'alert-customer', () => {
+        if (this.onCustomerClick) this.onCustomerClick({ imsOrgId });
+      });
+      button.disabled = !imsOrgId;
+      customer.append(button, createElement('span', 'alert-detail', detail));
+      customers.appendChild(customer);
+    });
+    const hiddenCustomers = alert.customers.length - shown.length;
+    if (hiddenCustomers > 0 || isExpanded) {
+      const more = createElement('li');
+      more.appendChild(createButton(
+        isExpanded ? 'Show fewer' : `Show ${hiddenCustomers.toLocaleString()} more`,
+        'alert-more',
+        () => {
+          if (isExpanded) this.expanded.delete(alert.ruleId);
+          else this.expanded.add(alert.ruleId);
+          this.render();
+        },
+      ));
+      customers.appendChild(more);
+    }
+    li.appendChild(customers);
+
+    const actions = createElement('div', 'alert-actions');
+    if (status === 'active') {
+      const snooze = document.createElement('select');
+      snooze.setAttribute('aria-label', 'Snooze this alert');
+      snooze.appendChild(new Option('Snooze…', ''));
+      ALERT_CONFIG.SNOOZE_DAYS.forEach((days) => {
+        snooze.appendChild(new Option(`for ${days} day${days === 1 ? '' : 's'}`, String(days)));
+      });
+      snooze.addEventListener('change', () => {
+        if (!snooze.value) return;
+        this.updateState(() => snoozeAlert(this.userKey, alert.ruleId, Number(snooze.value)));
+      });
+      actions.append(
+        snooze,
+        createButton('Acknowledge', 'alert-action', () => {
+          this.updateState(() => acknowledgeAlert(this.userKey, alert));
+        }),
+      );
+    } else {
+      actions.append(
+        createElement('span', 'alert-state', status === 'snoozed'
+          ? `Snoozed until ${DateUtils.formatDate(state.snoozedUntil, true)}`
+          : 'Acknowledged; returns when another customer triggers it'),
+        createButton('Show again', 'alert-action', () => {
+          this.updateState(() => restoreAlert(this.userKey, alert.ruleId));
+        }),
+      );
+    }
+    li.appendChild(actions);
+    return li;
+  }
+
+  /**
+   * Runs a state change, then re-renders and reports it
+   * @param {Function} change - Stores the new state
+   */
+  updateState(change) {
+    try {
+      change();
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(error);
+    }
+    this.render();
+    if (this.onStateChange) this.onStateChange();
+  }
+
+  /**
+   * Opens or closes the rule editor
+   * @param {boolean} editing - Whether the editor should be open
+   */
+  setEditing(editing) {
+    if (editing && !this.canEditRules) return;
+    this.isEditing = editing;
+    this.editor.classList.toggle('hidden', !editing);
+    this.list.querySelector('.alerts-header button[aria-expanded]')
+      ?.setAttribute('aria-expanded', String(editing));
+    if (editing) this.renderEditor();
+  }
+
+  /**
+   * Stores edited rules and reports the change
+   * @param {import('./alerts.js').AlertRule[]} rules - Rules
+   * @param {Object} [options={}] - Save options
+   * @param {boolean} [options.rerender=false] - Rebuild the editor (structural changes);
+   *   value edits keep the inputs so focus is not lost
+   */
+  saveRules(rules, { rerender = false } = {}) {
+    if (!this.canEditRules) return;
+    const status = this.editor.querySelector('.alert-rules-status');
+    try {
+      saveAlertRules(this.userKey, rules);
+      if (status) status.textContent = '';
+    } catch (error) {
+      if (status) status.textContent = error.message;
+      return;
+    }
+    if (rerender) this.renderEditor();
+    if (this.onRulesChange) this.onRulesChange();
+  }
+
+  /**
+   * Renders the rule editor
+   */
+  renderEditor() {
+    const rules = this.getRules();
+    const list = createElement('ul', 'alert-rule-list');
+
+    rules.forEach((rule) => {
+      const type = ALERT_RULE_TYPES[rule.type];
+      const item = createElement('li', 'alert-rule');
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = rule.enabled;
+      enabled.setAttribute('aria-label', `Evaluate "${describeAlertRule(rule)}"`);
+      enabled.addEventListener('change', () => {
+        rule.enabled = enabled.checked;
+        this.saveRules(rules);
+      });
+      item.append(enabled, createElement('span', 'alert-rule-type', type.label));
+
+      type.params.forEach((param) => {
+        const label = createElement('label', 'alert-rule-param', param.label);
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = String(param.min);
+        input.max = String(param.max);
+        input.step = String(param.step || 1);
+        input.value = String(rule.params[param.key]);
+        input.addEventListener('change', () => {
+          const value = Number(input.value);
+          if (input.value === '' || !Number.isFinite(value)) return;
+          rule.params[param.key] = Math.min(param.max, Math.max(param.min, value));
+          input.value = String(rule.params[param.key]);
+          this.saveRules(rules);
+        });
+        label.appendChild(input);
+        item.appendChild(label);
+      });
+
+      item.appendChild(createButton('Remove', 'alert-rule-remove', () => {
+        this.saveRules(rules.filter((r) => r.id !== rule.id), { rerender: true });
+      }));
+      list.appendChild(item);
+    });
+    if (!rules.length) list.appendChild(createElement('li', 'alert-rule-empty', 'No rules. Add one below.'));
+
+    const footer = createElement('div', 'alert-rules-footer');
+    const typeSelect = document.createElement('select');
+    typeSelect.setAttribute('aria-label', 'Rule type');
+    Object.entries(ALERT_RULE_TYPES).forEach(([key, type]) => {
+      typeSelect.appendChild(new Option(type.label, key));
+    });
+    footer.append(
+      typeSelect,
+      createButton('Add rule', 'alert-action', () => {
+        this.saveRules([...rules, createAlertRule(typeSelect.value)], { rerender: true });
+      }),
+      createButton('Reset to defaults', 'alert-action', () => {
+        this.saveRules(structuredClone(ALERT_CONFIG.DEFAULT_RULES), { rerender: true });
+      }),
+      createElement('span', 'alert-rules-status'),
+    );
+    footer.lastChild.setAttribute('role', 'status');
+
+    this.editor.replaceChildren(createElement('h4', '', 'Alert rules'), list, footer);
+  }
+}
+
+export default AlertsPanel;
@@ -10,25 +10,225 @@
  * governing permissions and limitations under the License.
  */
 
-import API_ENDPOINT from './config.js';
-import { DateRange } from './DateRange.js';
+import { CONFIG } from './config.js';
+import { getAccessToken } from './auth.js';
+import { API_CONFIG } from './constants.js';
+import { DateRange, getDateRangeBounds } from './DateRange.js';
+import { ApiError, ERROR_TYPES } from './errors.js';
+
+/**
+ * Adds the explicit start/end timestamps of a date range to a request URL.
+ * Named presets also send their key so the worker can label the range.
+ * @param {URL} url - Request URL
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ */
+function setDateRangeParams(url, dateRange) {
+  url.searchParams.set('from', String(dateRange.start));
+  url.searchParams.set('to', String(dateRange.end));
+  if (dateRange.value !== DateRange.CUSTOM.value) {
+    url.searchParams.set('dateRange', dateRange.value);
+  }
+}
+
+/**
+ * Creates the error for a request cancelled through its AbortSignal
+ * @returns {ApiError} Cancelled error
+ */
+const cancelledError = () => new ApiError('Request cancelled', { type: ERROR_TYPES.CANCELLED });
+
+/**
+ * Maps a non-OK HTTP response to a typed error
+ * @param {Response} response - Fetch response
+ * @returns {ApiError} Typed error
+ */
+function errorFromResponse(response) {
+  const { status } = response;
+  if (status === 401 || status === 403) {
+    return new ApiError(`HTTP ${status}`, { type: ERROR_TYPES.AUTH, status });
+  }
+  if (status >= 500) {
+    return new ApiError(`HTTP ${status}`, { type: ERROR_TYPES.SERVER, status, retryable: true });
+  }
+  return new ApiError(`HTTP ${status}`, { type: ERROR_TYPES.CLIENT, status });
+}
+
+/**
+ * Performs a single GET request with a timeout, sending the signed-in user's
+ * bearer token so the worker can check who is asking
+ * @param {URL} url - Request URL
+ * @param {AbortSignal} [signal] - Cancels the request when aborted
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {ApiError} Typed error for every failure
+ */
+async function fetchOnce(url, signal, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
 
-export const getCustomerMigrationInfo = async (searchBy, dateRange = DateRange.LAST_1_MONTH.value) => {
   try {
-    const url = new URL(`${API_ENDPOINT}/customerMigrationInfo`);
-    url.searchParams.set('dateRange', dateRange);
+    let response;
+    try {
+      const token = getAccessToken();
+      response = await fetch(url, {
+        signal: controller.signal,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+    } catch (e) {
+      if (signal?.aborted) throw cancelledError();
+      if (timedOut) {
+        throw new ApiError(`Timed out after ${timeout}ms`, { type: ERROR_TYPES.TIMEOUT, retryable: true, cause: e });
+      }
+      throw new ApiError('Network request failed', { type: ERROR_TYPES.OFFLINE, retryable: true, cause: e });
+    }
 
-    if (searchBy) {
-      url.searchParams.set('searchBy', searchBy);
+    if (!response.ok) throw errorFromResponse(response);
+
+    try {
+      return await response.json();
+    } catch (e) {
+      if (signal?.aborted) throw cancelledError();
+      throw new ApiError('Response is not valid JSON', { type: ERROR_TYPES.BAD_DATA, cause: e });
     }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Waits before the next retry; rejects early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait when aborted
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer); // eslint-disable-line no-use-before-define
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * GETs JSON from the worker, retrying server and network failures with
+ * exponential backoff
+ * @param {URL} url - Request URL
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request (and pending retries) when aborted
+ * @param {number} [options.timeout] - Timeout per attempt in milliseconds
+ * @param {number} [options.retries] - Maximum number of retries
+ * @param {number} [attempt=0] - Current attempt, used internally
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {ApiError} Typed error once retries are exhausted
+ */
+async function getJson(url, options = {}, attempt = 0) {
+  const {
+    signal,
+    timeout = API_CONFIG.TIMEOUT_MS,
+    retries = API_CONFIG.MAX_RETRIES,
+  } = options;
 
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  if (signal?.aborted) throw cancelledError();
+
+  try {
+    return await fetchOnce(url, signal, timeout);
+  } catch (error) {
+    if (!error.retryable || attempt >= retries) throw error;
+
+    const jitter = Math.random() * API_CONFIG.RETRY_BASE_DELAY_MS;
+    await wait((API_CONFIG.RETRY_BASE_DELAY_MS * (2 ** attempt)) + jitter, signal);
+    return getJson(url, options, attempt + 1);
+  }
+}
+
+/**
+ * Fetches the migration summary of every customer visible to the user
+ * @param {string} searchBy - User name or email the worker scopes the results by
+ * @param {Object} [dateRange] - Resolved range from getDateRangeBounds
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @returns {Promise<Array>} Migration records
+ * @throws {ApiError} Typed error on failure
+ */
+export const getCustomerMigrationInfo = async (
+  searchBy,
+  dateRange = getDateRangeBounds(DateRange.LAST_1_MONTH.value),
+  { signal } = {},
+) => {
+  const url = new URL(`${CONFIG.API_ENDPOINT}/customerMigrationInfo`);
+  setDateRangeParams(url, dateRange);
+
+  if (searchBy) {
+    url.searchParams.set('searchBy', searchBy);
+  }
+
+  const body = await getJson(url, { signal });
+  if (!Array.isArray(body)) {
+    throw new ApiError('Expected an array of migrations', { type: ERROR_TYPES.BAD_DATA });
+  }
+  return body;
+};
+
+/**
+ * Fetches the migration summaries of several people's books and merges them.
+ * A customer found in more than one book is listed once.
+ * @param {string[]} searchBy - User names or emails, one per book
+ * @param {Object} [dateRange] - Resolved range from getDateRangeBounds
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the requests when aborted
+ * @returns {Promise<Array>} Migration records
+ * @throws {ApiError} Typed error if any book fails to load
+ */
+export const getTeamMigrationInfo = async (searchBy, dateRange, { signal } = {}) => {
+  if (searchBy.length <= 1) return getCustomerMigrationInfo(searchBy[0], dateRange, { signal });
+
+  const books = await Promise.all(searchBy
+    .map((name) => getCustomerMigrationInfo(name, dateRange, { signal })));
+  const seen = new Set();
+  return books.flat().filter((record) => {
+    const key = record?.imsOrgId || record?.customerName;
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Fetches the full ingestion history for a single customer
+ * @param {string} imsOrgId - IMS Organization ID of the customer
+ * @param {Object} [dateRange] - Resolved range from getDateRangeBounds
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @returns {Promise<Object>} Customer detail object
+ * @throws {ApiError} Typed error on failure
+ */
+export const getCustomerMigrationDetails = async (
+  imsOrgId,
+  dateRange = getDateRangeBounds(DateRange.LAST_1_MONTH.value),
+  { signal } = {},
+) => {
+  const url = new URL(`${CONFIG.API_ENDPOINT}/customerMigrationDetails`);
+  url.searchParams.set('imsOrgId', imsOrgId);
+  setDateRangeParams(url, dateRange);
 
-    return await response.json();
-  } catch (e) {
-    return [];
+  const body = await getJson(url, { signal });
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError('Expected a customer detail object', { type: ERROR_TYPES.BAD_DATA });
   }
+  return body;
 };
 
-export default { getCustomerMigrationInfo };
+export default { getCustomerMigrationInfo, getCustomerMigrationDetails };
@@ -0,0 +1,376 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Authentication - pluggable sign-in providers and the current session.
+ * The provider is picked by CONFIG.AUTH_PROVIDER in config.js; register more
+ * with registerAuthProvider.
+ * @module auth
+ */
+
+import { CONFIG } from './config.js';
+import { MigrationError, ERROR_TYPES } from './errors.js';
+
+const STORAGE_PREFIX = 'aem-migrations-session:';
+
+/**
+ * A signed-in user
+ * @typedef {Object} Session
+ * @property {{email: string, name: string}} profile - Who is signed in
+ * @property {string|null} token - Bearer token sent to the worker, if the provider has one
+ * @property {number|null} expiresAt - When the session ends (ms), if known
+ */
+
+/**
+ * An input of the sign-in form
+ * @typedef {Object} AuthField
+ * @property {string} key - Key of the value passed to signIn
+ * @property {string} label - Field label
+ * @property {string} [type='text'] - Input type, 'select' or 'textarea'
+ * @property {boolean} [required=false] - Whether the field must be filled in
+ * @property {Array<{value: string, label: string}>} [options] - Choices of a select
+ */
+
+/**
+ * Signs users in one way
+ * @typedef {Object} AuthProvider
+ * @property {string} description - Tells the user how to sign in
+ * @property {string} [helpUrl] - Link with more help
+ * @property {string} submitLabel - Label of the sign-in button
+ * @property {AuthField[]} fields - Sign-in form inputs; empty if sign-in happens elsewhere
+ * @property {function(): Promise<Session|null>} restore - Returns the existing session, if any
+ * @property {function(Object): Promise<Session>} signIn - Signs in with the form values
+ * @property {function(): void} [signOut] - Forgets the session; absent if signing out
+ *   happens elsewhere
+ */
+
+let currentSession = null;
+
+/**
+ * Whether a session has ended
+ * @param {Session|null} session - Session
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} True if there is no session or it has expired
+ */
+export function isSessionExpired(session, now = Date.now()) {
+  return !session || Boolean(session.expiresAt && session.expiresAt <= now);
+}
+
+/**
+ * Reads a session a provider stored in this browser; expired sessions read as none
+ * @param {string} name - Provider name
+ * @returns {Session|null} Stored session
+ */
+function readStoredSession(name) {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_PREFIX + name) || 'null');
+    if (session?.profile && !isSessionExpired(session)) return session;
+  } catch (e) {
+    // Unreadable sessions count as signed out
+  }
+  localStorage.removeItem(STORAGE_PREFIX + name);
+  return null;
+}
+
+/**
+ * Keeps a session in this browser so other tabs and reloads stay signed in
+ * @param {string} name - Provider name
+ * @param {Session} session - Session to store
+ * @returns {Session} The stored session
+ * @throws {MigrationError} If storage is unavailable
+ */
+function writeStoredSession(name, session) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(session));
+  } catch (e) {
+    throw new MigrationError('The sign-in could not be stored in this browser', { cause: e });
+  }
+  return session;
+}
+
+/**
+ * Encodes text as unpadded base64url
+ * @param {string} text - Text
+ * @returns {string} Encoded text
+ */
+function toBase64Url(text) {
+  const binary = String.fromCharCode(...new TextEncoder().encode(text));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url text
+ * @param {string} encoded - Encoded text
+ * @returns {string} Text
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+/**
+ * Signs in with Adobe IMS (implicit grant). IMS redirects back with an access token
+ * in the URL fragment; the worker validates it with IMS, so the identity it sends
+ * cannot be made up by the client.
+ * @returns {AuthProvider} IMS provider
+ */
+function createImsProvider() {
+  const stateKey = `${STORAGE_PREFIX}ims-state`;
+
+  /**
+   * Reads the profile of the token's owner
+   * @param {string} token - IMS access token
+   * @returns {Promise<{email: string, name: string}>} Profile
+   * @throws {MigrationError} If IMS rejects the token
+   */
+  const fetchProfile = async (token) => {
+    const response = await fetch(new URL('/ims/profile/v1', CONFIG.IMS_URL), {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new MigrationError('Adobe sign-in failed. Try again.', { type: ERROR_TYPES.AUTH });
+    }
+    const data = await response.json();
+    return { email: data.email, name: data.displayName || data.name || '' };
+  };
+
+  /**
+   * Takes the token IMS appended to the URL after signing in, and removes it from the URL
+   * @returns {Promise<Session|null>} New session, or null if the page was not opened by IMS
+   */
+  const completeRedirect = async () => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('access_token');
+    if (!token) return null;
+
+    const { pathname, search } = window.location;
+    window.history.replaceState(window.history.state, '', pathname + search);
+    const expectedState = sessionStorage.getItem(stateKey);
+    sessionStorage.removeItem(stateKey);
+    if (!expectedState || params.get('state') !== expectedState) return null;
+
+    const expiresIn = Number(params.get('expires_in'));
+    const session = {
+      profile: await fetchProfile(token),
+      token,
+      expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    };
+    return writeStoredSession('ims', session);
+  };
+
+  return {
+    description: 'Sign in with your Adobe account.',
+    submitLabel: 'Sign in with Adobe',
+    fields: [],
+    restore: async () => {
+      try {
+        return await completeRedirect() || readStoredSession('ims');
+      } catch (e) {
+        return null;
+      }
+    },
+    async signIn() {
+      if (!CONFIG.IMS_CLIENT_ID) {
+        throw new MigrationError('Adobe sign-in is not configured (IMS_CLIENT_ID in config.json).', { type: ERROR_TYPES.AUTH });
+      }
+      const state = crypto.randomUUID();
+      sessionStorage.setItem(stateKey, state);
+      const { origin, pathname, search } = window.location;
+      const url = new URL('/ims/authorize/v2', CONFIG.IMS_URL);
+      url.search = new URLSearchParams({
+        client_id: CONFIG.IMS_CLIENT_ID,
+        redirect_uri: origin + pathname + search,
+        response_type: 'token',
+        scope: CONFIG.IMS_SCOPE,
+        state,
+      });
+      window.location.assign(url);
+      // The page navigates to IMS; the session is restored when it comes back
+      return new Promise(() => {});
+    },
+    signOut: () => localStorage.removeItem(`${STORAGE_PREFIX}ims`),
+  };
+}
+
+/**
+ * Signs in with the AEM Sidekick extension; the sidekick status endpoint returns
+ * the profile while the user is logged in there. There is no token to forward, so
+ * the worker cannot verify who is calling: only use it where every signed-in user
+ * may see all data.
+ * @returns {AuthProvider} Sidekick provider
+ */
+function createSidekickProvider() {
+  const restore = async () => {
+    try {
+      const response = await fetch(CONFIG.SIDEKICK_STATUS_URL);
+      if (!response.ok) return null;
+      const data = await response.json();
+      return data.profile ? { profile: data.profile, token: null, expiresAt: null } : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  return {
+    description: 'Sign in with the AEM Sidekick browser extension, then continue.',
+    get helpUrl() {
+      return CONFIG.SIDEKICK_HELP_URL;
+    },
+    submitLabel: 'Continue',
+    fields: [],
+    restore,
+    async signIn() {
+      const session = await restore();
+      if (!session) {
+        throw new MigrationError('You are not signed in to AEM Sidekick yet.', { type: ERROR_TYPES.AUTH });
+      }
+      return session;
+    },
+  };
+}
+
+/**
+ * Signs in as anyone, for local development against a local worker. The token is
+ * the unsigned profile, so a production worker must reject it.
+ * @returns {AuthProvider} Dev provider
+ */
+function createDevProvider() {
+  return {
+    description: 'Local development: sign in as any user. The worker receives the identity as an unsigned dev token.',
+    submitLabel: 'Sign in',
+    fields: [
+      {
+        key: 'email', label: 'Email', type: 'email', required: true,
+      },
+      {
+        key: 'name', label: 'Full name', required: true,
+      },
+    ],
+    restore: async () => readStoredSession('dev'),
+    async signIn({ email, name }) {
+      const profile = { email, name };
+      const expiresAt = Date.now() + CONFIG.DEV_SESSION_TTL_MS;
+      const token = `dev.${toBase64Url(JSON.stringify({ ...profile, exp: Math.floor(expiresAt / 1000) }))}`;
+      return writeStoredSession('dev', { profile, token, expiresAt });
+    },
+    signOut: () => localStorage.removeItem(`${STORAGE_PREFIX}dev`),
+  };
+}
+
+/**
+ * Signs in with a bearer token (JWT) issued elsewhere. The profile and expiry are
+ * read from its claims for display only; the worker verifies the signature.
+ * @returns {AuthProvider} Token provider
+ */
+function createTokenProvider() {
+  return {
+    description: 'Paste the access token issued for the migration service.',
+    submitLabel: 'Sign in',
+    fields: [{
+      key: 'token', label: 'Access token', type: 'textarea', required: true,
+    }],
+    restore: async () => readStoredSession('token'),
+    async signIn({ token }) {
+      let claims;
+      try {
+        claims = JSON.parse(fromBase64Url(token.trim().split('.')[1]));
+      } catch (e) {
+        throw new MigrationError('This is not a valid access token.', { type: ERROR_TYPES.AUTH, cause: e });
+      }
+      const session = {
+        profile: { email: claims.email, name: claims.name || claims.preferred_username || '' },
+        token: token.trim(),
+        expiresAt: Number.isFinite(claims.exp) ? claims.exp * 1000 : null,
+      };
+      if (!session.profile.email) {
+        throw new MigrationError('The access token has no email claim.', { type: ERROR_TYPES.AUTH });
+      }
+      if (isSessionExpired(session)) {
+        throw new MigrationError('The access token has expired.', { type: ERROR_TYPES.AUTH });
+      }
+      return writeStoredSession('token', session);
+    },
+    signOut: () => localStorage.removeItem(`${STORAGE_PREFIX}token`),
+  };
+}
+
+const providers = new Map([
+  ['ims', createImsProvider()],
+  ['sidekick', createSidekickProvider()],
+  ['dev', createDevProvider()],
+  ['token', createTokenProvider()],
+]);
+
+/**
+ * Registers a sign-in provider, replacing any with the same name
+ * @param {string} name - Provider name, as set in CONFIG.AUTH_PROVIDER
+ * @param {AuthProvider} provider - Provider
+ */
+export function registerAuthProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Returns the configured provider
+ * @returns {AuthProvider} Provider
+ * @throws {Error} If CONFIG.AUTH_PROVIDER names no registered provider
+ */
+export function getAuthProvider() {
+  const provider = providers.get(CONFIG.AUTH_PROVIDER);
+  if (!provider) throw new Error(`Unknown auth provider: ${CONFIG.AUTH_PROVIDER}`);
+  return provider;
+}
+
+/**
+ * Restores the session of a user who signed in before
+ * @returns {Promise<Session|null>} Session, or null if the user has to sign in
+ */
+export async function restoreSession() {
+  const session = await getAuthProvider().restore();
+  currentSession = isSessionExpired(session) ? null : session;
+  return currentSession;
+}
+
+/**
+ * Signs in with the values of the sign-in form
+ * @param {Object} values - Form values by field key
+ * @returns {Promise<Session>} New session
+ * @throws {MigrationError} With a user-facing message if signing in fails
+ */
+export async function signIn(values) {
+  currentSession = await getAuthProvider().signIn(values);
+  return currentSession;
+}
+
+/**
+ * Ends the current session
+ */
+export function signOut() {
+  currentSession = null;
+  getAuthProvider().signOut?.();
+}
+
+/**
+ * Returns the current session
+ * @returns {Session|null} Session, or null if signed out or expired
+ */
+export function getSession() {
+  return isSessionExpired(currentSession) ? null : currentSession;
+}
+
+/**
+ * Returns the bearer token to send to the worker
+ * @returns {string|null} Token, or null without a session or token
+ */
+export function getAccessToken() {
+  return getSession()?.token || null;
+}
@@ -0,0 +1,194 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Table benchmark - renders the migrations table with synthetic customers and
+ * times the interactions users wait on: first render, sorting, paging and filtering
+ * @module benchmark
+ */
+
+import MigrationsTable from './migrationsTable.js';
+import { TABLE_CONFIG } from './constants.js';
+import { DateUtils } from './utils.js';
+import { addHealthMetrics } from './health.js';
+
+// Interactions slower than this no longer feel immediate (ms)
+const RESPONSIVE_BUDGET_MS = 100;
+
+// Filter text typed one character at a time in the filter step
+const TYPED_FILTER = 'customer 42';
+
+/**
+ * Creates a seeded pseudo-random generator so every run uses the same data
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  // Park-Miller minimal standard generator
+  let state = (seed % 2147483646) + 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+/**
+ * Generates migrations shaped like processed API records
+ * @param {number} count - Number of customers
+ * @returns {Array<Object>} Migrations with health metrics
+ */
+function createSyntheticMigrations(count) {
+  const random = createRandom(count);
+  const now = Date.now();
+  const daysAgo = (maxDays) => now - Math.floor(random() * maxDays) * DateUtils.MS_PER_DAY;
+
+  const migrations = Array.from({ length: count }, (_, i) => {
+    const hasIngested = random() > 0.2;
+    const totalIngestions = hasIngested ? Math.floor(random() * 200) : 0;
+    const firstIngestion = hasIngested ? daysAgo(365) : null;
+    return {
+      id: `migration-${i}`,
+      imsOrgId: `${String(i).padStart(8, '0')}@AdobeOrg`,
+      customerName: `Customer ${i}`,
+      bpaReportUploaded: random() > 0.1 ? daysAgo(400) : null,
+      totalProjects: Math.floor(random() * 10),
+      firstIngestion,
+      lastIngestion: hasIngested ? Math.max(firstIngestion, daysAgo(120)) : null,
+      totalIngestions,
+      failedIngestions: Math.floor(totalIngestions * random() * 0.4),
+    };
+  });
+  return addHealthMetrics(migrations, now);
+}
+
+/**
+ * Runs a step and measures it including the layout it causes
+ * @param {HTMLElement} container - Element whose layout is forced after the step
+ * @param {Function} step - Step to time
+ * @returns {number} Duration in milliseconds
+ */
+function time(container, step) {
+  const start = performance.now();
+  step();
+  // Reading a layout property makes the browser finish style and layout now
+  // eslint-disable-next-line no-unused-expressions
+  container.offsetHeight;
+  return performance.now() - start;
+}
+
+/**
+ * Renders the measured steps as a results table
+ * @param {Array<{name: string, ms: number, budget: boolean}>} results - Measured steps
+ * @param {number} count - Number of synthetic customers
+ */
+function renderResults(results, count) {
+  const resultsContainer = document.getElementById('benchmark-results');
+  resultsContainer.innerHTML = '';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${count.toLocaleString()} customers, ${TABLE_CONFIG.DEFAULT_PAGE_SIZE} rows per page`;
+  resultsContainer.appendChild(heading);
+
+  const table = document.createElement('table');
+  table.className = 'styled-table';
+  table.innerHTML = '<thead><tr><th>Step</th><th>Time</th><th>Within budget</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+
+  results.forEach(({ name, ms, budget }) => {
+    const tr = document.createElement('tr');
+    [name, `${ms.toFixed(1)} ms`].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    const verdict = document.createElement('td');
+    if (!budget) {
+      verdict.textContent = 'reference';
+    } else {
+      verdict.textContent = ms <= RESPONSIVE_BUDGET_MS ? 'yes' : `no (> ${RESPONSIVE_BUDGET_MS} ms)`;
+    }
+    tr.appendChild(verdict);
+    tbody.appendChild(tr);
+  });
+
+  table.appendChild(tbody);
+  resultsContainer.appendChild(table);
+}
+
+/**
+ * Generates the data, runs every step and shows the timings
+ * @param {number} count - Number of synthetic customers
+ */
+function runBenchmark(count) {
+  const migrations = createSyntheticMigrations(count);
+  const table = new MigrationsTable();
+  table.enableSorting();
+  const container = table.migrationsContainer;
+  const results = [];
+  const measure = (name, step, budget = true) => {
+    results.push({ name, ms: time(container, step), budget });
+  };
+  const clickHeader = (columnKey) => container.querySelector(`th[data-sort="${columnKey}"]`).click();
+
+  measure('Initial render', () => table.initTable(migrations));
+  measure('Sort by Total Ingestions', () => clickHeader(TABLE_CONFIG.COLUMNS.TOTAL_INGESTIONS));
+  measure('Reverse sort', () => clickHeader(TABLE_CONFIG.COLUMNS.TOTAL_INGESTIONS));
+  measure('Sort by Health', () => clickHeader(TABLE_CONFIG.COLUMNS.HEALTH_SCORE));
+  measure('Next page', () => table.setPage(table.page + 1));
+  measure('Last page', () => table.setPage(table.getPageCount() - 1));
+  measure(`${TABLE_CONFIG.PAGE_SIZES.at(-1)} rows per page`, () => table.setPageSize(TABLE_CONFIG.PAGE_SIZES.at(-1)));
+  table.setPageSize(TABLE_CONFIG.DEFAULT_PAGE_SIZE);
+
+  // Same work per keystroke as the customer filter once the debounce fires
+  const keystrokes = [];
+  [...TYPED_FILTER].forEach((_, i) => {
+    const term = TYPED_FILTER.slice(0, i + 1);
+    keystrokes.push(time(container, () => table.initTable(
+      migrations.filter((migration) => migration.customerName.toLowerCase().includes(term)),
+    )));
+  });
+  results.push({ name: `Filter keystroke (slowest of ${keystrokes.length})`, ms: Math.max(...keystrokes), budget: true });
+  measure('Clear filter', () => table.initTable(migrations));
+
+  // How the table behaved before pagination: every row in the DOM
+  measure('All rows rendered at once', () => table.setPageSize(migrations.length), false);
+  table.setPageSize(TABLE_CONFIG.DEFAULT_PAGE_SIZE);
+
+  renderResults(results, count);
+}
+
+const form = document.getElementById('benchmark-form');
+const countInput = document.getElementById('benchmark-count');
+const requestedCount = Number(new URLSearchParams(window.location.search).get('count'));
+if (requestedCount > 0) countInput.value = requestedCount;
+
+/**
+ * Runs the benchmark for the entered customer count
+ */
+function runFromForm() {
+  const runButton = document.getElementById('benchmark-run');
+  runButton.disabled = true;
+  // Let the button state paint before the page blocks on the run
+  setTimeout(() => {
+    try {
+      runBenchmark(Math.max(1, Math.floor(Number(countInput.value)) || 10000));
+    } finally {
+      runButton.disabled = false;
+    }
+  }, 0);
+}
+
+form.addEventListener('submit', (e) => {
+  e.preventDefault();
+  runFromForm();
+});
+runFromForm();
@@ -0,0 +1,138 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Response cache - keeps worker responses in IndexedDB for stale-while-revalidate loading.
+ * Every function resolves (to null where applicable) instead of throwing, so a
+ * browser without IndexedDB simply behaves as if the cache were empty.
+ * @module cache
+ */
+
+import { CONFIG } from './config.js';
+import { CACHE_CONFIG } from './constants.js';
+import { DateRange } from './DateRange.js';
+
+const DB_NAME = 'aem-migrations-reporter';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the cache database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs a request against the object store
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {Function} createRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null on failure
+ */
+async function runRequest(mode, createRequest) {
+  const db = await openDb();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => resolve(null);
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Builds the cache key for a search. Presets, and the period before a preset, are
+ * keyed by name because their bounds move with the current time; custom ranges by
+ * their exact bounds. The endpoint is part of the key so switching environments never
+ * serves another one's data.
+ * @param {string|string[]} searchBy - User name or email the search is scoped to, or the
+ *   names of every book merged into it
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @returns {string} Cache key
+ */
+export function getCacheKey(searchBy, dateRange) {
+  const { previousOf } = dateRange;
+  let range = dateRange.value;
+  if (previousOf && previousOf !== DateRange.CUSTOM.value) {
+    range = `${previousOf}:previous`;
+  } else if (dateRange.value === DateRange.CUSTOM.value) {
+    range = `${dateRange.start}-${dateRange.end}`;
+  }
+  return `${CONFIG.API_ENDPOINT}|customerMigrationInfo|${[searchBy].flat().filter(Boolean).join(',')}|${range}`;
+}
+
+/**
+ * Reads a cached response
+ * @param {string} key - Cache key from getCacheKey
+ * @returns {Promise<{data: *, fetchedAt: number}|null>} Cached entry, or null if
+ *   missing or older than CACHE_CONFIG.MAX_STALE_MS
+ */
+export async function getCachedResponse(key) {
+  const entry = await runRequest('readonly', (store) => store.get(key));
+  if (!entry) return null;
+
+  if (Date.now() - entry.fetchedAt > CACHE_CONFIG.MAX_STALE_MS) {
+    await runRequest('readwrite', (store) => store.delete(key));
+    return null;
+  }
+  return { data: entry.data, fetchedAt: entry.fetchedAt };
+}
+
+/**
+ * Stores a response and drops entries too old to be served
+ * @param {string} key - Cache key from getCacheKey
+ * @param {*} data - Response body (structured-cloneable)
+ * @returns {Promise<void>}
+ */
+export async function setCachedResponse(key, data) {
+  await runRequest('readwrite', (store) => store.put({ key, data, fetchedAt: Date.now() }));
+
+  const entries = await runRequest('readonly', (store) => store.getAll());
+  const expired = (entries || [])
+    .filter((entry) => Date.now() - entry.fetchedAt > CACHE_CONFIG.MAX_STALE_MS);
+  await Promise.all(expired.map((entry) => runRequest('readwrite', (store) => store.delete(entry.key))));
+}
+
+/**
+ * Whether a cached entry is recent enough to skip revalidation
+ * @param {{fetchedAt: number}} entry - Cached entry
+ * @returns {boolean} True if younger than CACHE_CONFIG.TTL_MS
+ */
+export function isFresh(entry) {
+  return Date.now() - entry.fetchedAt < CACHE_CONFIG.TTL_MS;
+}
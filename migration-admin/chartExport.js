@@ -0,0 +1,186 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Chart export - turns a rendered chart into a standalone SVG or PNG image
+ * @module chartExport
+ */
+
+import { download } from './exporter.js';
+import { createSvgElement } from './utils.js';
+
+// Styles copied from the page onto each element, since the image has no stylesheet
+const INLINED_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'opacity', 'font-family', 'font-size',
+  'font-weight', 'text-anchor', 'display', 'visibility',
+];
+
+// Interactive overlays that only make sense on the page
+const INTERACTIVE_SELECTOR = '.bar-slot, .brush';
+
+// Room above the plot for the chart title and legend (SVG units)
+const HEADER_HEIGHT = 36;
+const LEGEND_HEIGHT = 22;
+
+// Exported PNGs are drawn at this multiple of the on-screen size
+export const PNG_SCALE = 2;
+
+/**
+ * Copies the computed styles of a rendered SVG onto its clone
+ * @param {SVGElement} source - SVG in the page
+ * @param {SVGElement} clone - Deep clone of the source
+ */
+function inlineStyles(source, clone) {
+  const sourceElements = [source, ...source.querySelectorAll('*')];
+  const cloneElements = [clone, ...clone.querySelectorAll('*')];
+  sourceElements.forEach((element, index) => {
+    const computed = getComputedStyle(element);
+    const style = INLINED_PROPERTIES
+      .map((property) => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`)
+      .join(';');
+    if (style) cloneElements[index].setAttribute('style', style);
+  });
+}
+
+/**
+ * Builds a self-contained copy of a chart: its title, legend and plot with inlined
+ * styles on a white background, without the interactive overlays
+ * @param {HTMLElement} container - Graph container holding an SVG and a `.graph-title`
+ * @returns {{svg: SVGElement, width: number, height: number}} Standalone SVG and its size
+ * @throws {Error} If the container holds no chart
+ */
+export function createStandaloneSvg(container) {
+  const source = container.querySelector('svg');
+  if (!source) throw new Error('This chart has nothing to export');
+
+  const [, , width, plotHeight] = (source.getAttribute('viewBox') || '').split(' ').map(Number);
+  const plot = source.cloneNode(true);
+  inlineStyles(source, plot);
+  plot.querySelectorAll(INTERACTIVE_SELECTOR).forEach((element) => element.remove());
+
+  const legendItems = [...container.querySelectorAll('.chart-legend li')];
+  const headerHeight = HEADER_HEIGHT + (legendItems.length ? LEGEND_HEIGHT : 0);
+  const height = headerHeight + plotHeight;
+
+  const svg = createSvgElement('svg', {
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': 'Arial, Helvetica, sans-serif',
+  });
+  svg.appendChild(createSvgElement('rect', {
+    width, height, fill: '#fff',
+  }));
+
+  const title = createSvgElement('text', {
+    x: width / 2, y: 24, 'text-anchor': 'middle', 'font-size': 18, 'font-weight': 600, fill: '#1f2937',
+  });
+  title.textContent = container.querySelector('.graph-title')?.textContent || '';
+  svg.appendChild(title);
+
+  // Legend swatches in one centered row
+  const itemWidth = 120;
+  let x = (width - (legendItems.length * itemWidth)) / 2;
+  legendItems.forEach((item) => {
+    const y = HEADER_HEIGHT + 6;
+    svg.appendChild(createSvgElement('rect', {
+      x, y, width: 10, height: 10, rx: 2, fill: item.style.getPropertyValue('--series-color'),
+    }));
+    const label = createSvgElement('text', {
+      x: x + 16, y: y + 9, 'font-size': 13, fill: '#6b7280',
+    });
+    label.textContent = item.textContent;
+    svg.appendChild(label);
+    x += itemWidth;
+  });
+
+  plot.setAttribute('x', '0');
+  plot.setAttribute('y', String(headerHeight));
+  plot.setAttribute('width', String(width));
+  plot.setAttribute('height', String(plotHeight));
+  svg.appendChild(plot);
+
+  return { svg, width, height };
+}
+
+/**
+ * Serialises a standalone SVG as an SVG file
+ * @param {SVGElement} svg - SVG from createStandaloneSvg
+ * @returns {string} SVG document text
+ */
+export function serializeSvg(svg) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+}
+
+/**
+ * Rasterises SVG text to a PNG
+ * @param {string} svgText - SVG document text
+ * @param {number} width - Image width in SVG units
+ * @param {number} height - Image height in SVG units
+ * @param {number} [scale=PNG_SCALE] - Pixels per SVG unit
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function svgToPng(svgText, width, height, scale = PNG_SCALE) {
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('The chart could not be drawn as an image'));
+      image.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Builds a download filename from a chart title
+ * @param {string} title - Chart title
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Filename such as `ingestion-activity-last-2-months.png`
+ */
+export function getChartFilename(title, extension) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'chart'}.${extension}`;
+}
+
+/**
+ * Downloads a chart as an SVG or a PNG at PNG_SCALE times its size
+ * @param {HTMLElement} container - Graph container holding the chart
+ * @param {'svg'|'png'} format - Image format
+ * @returns {Promise<void>} Resolves once the download has started
+ */
+export async function downloadChart(container, format) {
+  const { svg, width, height } = createStandaloneSvg(container);
+  const svgText = serializeSvg(svg);
+  const title = container.querySelector('.graph-title')?.textContent || '';
+
+  if (format === 'png') {
+    download(await svgToPng(svgText, width, height), getChartFilename(title, 'png'), 'image/png');
+  } else {
+    download(svgText, getChartFilename(title, 'svg'), 'image/svg+xml');
+  }
+}
@@ -0,0 +1,781 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Chart engine - draws one or more series of values over shared categories as
+ * bar, stacked bar, line, cumulative area or sparkline charts. Charts follow the
+ * width of their container and share tooltips, click, drag-to-select and keyboard access.
+ * @module charts
+ */
+
+import { CHART_THEME, GRAPH_CONFIG } from './constants.js';
+import { PNG_SCALE, downloadChart } from './chartExport.js';
+import { createSvgElement } from './utils.js';
+
+// Resize observer of each chart container, disconnected by releaseCharts
+const resizeObservers = new WeakMap();
+
+export const CHART_TYPES = Object.freeze({
+  BAR: 'bar',
+  STACKED_BAR: 'stackedBar',
+  LINE: 'line',
+  AREA: 'area',
+  SPARKLINE: 'sparkline',
+});
+
+/**
+ * A position on the x-axis, such as a time bucket or a customer
+ * @typedef {Object} ChartCategory
+ * @property {string} label - Axis label
+ * @property {string} [tooltip] - Tooltip heading; defaults to the label
+ * @property {Array<{name: string, count: number}>} [customers] - Customers behind the
+ *   category, listed in the tooltip
+ */
+
+/**
+ * Values to plot, one per category
+ * @typedef {Object} ChartSeries
+ * @property {string} key - Identifier, used as a CSS hook
+ * @property {string} label - Legend and tooltip label
+ * @property {number[]} values - One value per category
+ * @property {string} [color='primary'] - Key of CHART_THEME.SERIES, or any CSS color
+ */
+
+/**
+ * Resolves a series color from the theme
+ * @param {string} [color='primary'] - Key of CHART_THEME.SERIES, or any CSS color
+ * @returns {string} CSS color
+ */
+function resolveColor(color = 'primary') {
+  return CHART_THEME.SERIES[color] || color;
+}
+
+/**
+ * Applies an opacity to a `#rrggbb` color; other colors are returned unchanged
+ * @param {string} color - CSS color
+ * @param {number} alpha - Opacity from 0 to 1
+ * @returns {string} CSS color
+ */
+function withAlpha(color, alpha) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  if (!match) return color;
+  const [r, g, b] = match.slice(1).map((hex) => parseInt(hex, 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Replaces each value by the running total up to it
+ * @param {number[]} values - Values
+ * @returns {number[]} Running totals
+ */
+function accumulate(values) {
+  let total = 0;
+  return values.map((value) => {
+    total += value;
+    return total;
+  });
+}
+
+/**
+ * Largest value the y-axis has to reach
+ * @param {string} type - Chart type from CHART_TYPES
+ * @param {ChartSeries[]} series - Plotted series
+ * @param {number} count - Number of categories
+ * @returns {number} Axis maximum, at least 1
+ */
+function getMaxValue(type, series, count) {
+  const columns = Array.from(
+    { length: count },
+    (_, index) => series.map((s) => s.values[index] || 0),
+  );
+  const maxima = columns.map((values) => (type === CHART_TYPES.STACKED_BAR
+    ? values.reduce((sum, value) => sum + value, 0)
+    : Math.max(0, ...values)));
+  return Math.max(1, ...maxima);
+}
+
+/**
+ * Fills the tooltip with a category's heading, series values and customers
+ * @param {HTMLElement} tooltip - Tooltip element
+ * @param {ChartCategory} category - Hovered category
+ * @param {ChartSeries[]} series - Plotted series
+ * @param {number} index - Category index
+ * @param {boolean} showValues - Whether to list every series value below the heading
+ */
+function fillTooltip(tooltip, category, series, index, showValues) {
+  tooltip.innerHTML = '';
+  const heading = document.createElement('strong');
+  heading.textContent = category.tooltip || category.label;
+  tooltip.appendChild(heading);
+
+  if (showValues) {
+    const values = document.createElement('ul');
+    values.className = 'values';
+    series.forEach(({ label, values: seriesValues, color }) => {
+      const item = document.createElement('li');
+      item.style.setProperty('--series-color', resolveColor(color));
+      item.textContent = `${label}: ${(seriesValues[index] || 0).toLocaleString()}`;
+      values.appendChild(item);
+    });
+    tooltip.appendChild(values);
+  }
+
+  const customers = category.customers || [];
+  if (!customers.length) return;
+  const list = document.createElement('ul');
+  customers.slice(0, GRAPH_CONFIG.TOOLTIP_MAX_CUSTOMERS).forEach(({ name, count }) => {
+    const item = document.createElement('li');
+    item.textContent = `${name} (${count.toLocaleString()})`;
+    list.appendChild(item);
+  });
+  const hidden = customers.length - GRAPH_CONFIG.TOOLTIP_MAX_CUSTOMERS;
+  if (hidden > 0) {
+    const more = document.createElement('li');
+    more.className = 'more';
+    more.textContent = `+${hidden.toLocaleString()} more`;
+    list.appendChild(more);
+  }
+  tooltip.appendChild(list);
+}
+
+/**
+ * Shows the shared chart tooltip over the marks of a chart with its own layout
+ * (funnel, heatmap) on hover and keyboard focus
+ * @param {HTMLElement} container - Graph container; the tooltip is positioned in it
+ * @param {Element} root - Element holding the marks
+ * @param {string} selector - Selector of the marks that have a tooltip
+ * @param {function(Element): ChartCategory} describe - Tooltip heading and customers of a mark
+ */
+export function attachTooltip(container, root, selector, describe) {
+  const tooltip = document.createElement('div');
+  tooltip.className = 'graph-tooltip hidden';
+  tooltip.setAttribute('role', 'tooltip');
+  container.appendChild(tooltip);
+
+  const show = (event) => {
+    const mark = event.target.closest?.(selector);
+    if (!mark) return;
+    fillTooltip(tooltip, describe(mark), [], 0, false);
+    tooltip.classList.remove('hidden');
+    const containerRect = container.getBoundingClientRect();
+    const markRect = mark.getBoundingClientRect();
+    tooltip.style.left = `${markRect.left - containerRect.left + (markRect.width / 2)}px`;
+    tooltip.style.top = `${markRect.top - containerRect.top}px`;
+  };
+  const hide = () => tooltip.classList.add('hidden');
+  root.addEventListener('pointerover', show);
+  root.addEventListener('pointerleave', hide);
+  root.addEventListener('focusin', show);
+  root.addEventListener('focusout', hide);
+}
+
+/**
+ * Shortens a label to fit the room it has
+ * @param {string} label - Label
+ * @param {number} maxChars - Characters that fit
+ * @returns {string} Label, ending in an ellipsis when shortened
+ */
+function fitLabel(label, maxChars) {
+  return label.length > maxChars ? `${label.slice(0, Math.max(1, maxChars - 1))}…` : label;
+}
+
+/**
+ * Draws the marks of every series and returns the top of each category's marks
+ * @param {SVGElement} svg - Chart SVG
+ * @param {Object} plot - Plot geometry and data
+ * @returns {number[]} Highest y per category, used to place the tooltip
+ */
+function drawMarks(svg, {
+  type, series, categories, isSelected, left, top, plotWidth, plotHeight, maxValue,
+}) {
+  const slotWidth = plotWidth / categories.length;
+  const toY = (value) => top + plotHeight - ((value / maxValue) * plotHeight);
+  const tops = categories.map(() => top + plotHeight);
+
+  if (type === CHART_TYPES.BAR || type === CHART_TYPES.STACKED_BAR) {
+    const barWidth = slotWidth * 0.8;
+    const showLabels = barWidth >= GRAPH_CONFIG.MIN_LABELED_BAR_WIDTH;
+
+    categories.forEach((category, index) => {
+      const x = left + (index * slotWidth) + (slotWidth * 0.1);
+      const selected = Boolean(isSelected?.(category));
+      let base = top + plotHeight;
+      let total = 0;
+
+      series.forEach(({ key, values, color }) => {
+        const value = values[index] || 0;
+        const barHeight = (value / maxValue) * plotHeight;
+        // A lone series fades with its value; stacked segments keep their series color
+        const fill = type === CHART_TYPES.BAR
+          ? withAlpha(
+            resolveColor(color),
+            CHART_THEME.MIN_BAR_OPACITY + ((value / maxValue) * (1 - CHART_THEME.MIN_BAR_OPACITY)),
+          )
+          : resolveColor(color);
+        const rect = createSvgElement('rect', {
+          x,
+          y: base - barHeight,
+          width: barWidth,
+          height: barHeight,
+          fill,
+          rx: 4,
+          class: `data-bar series-${key}`,
+          'data-index': index,
+        });
+        if (selected) rect.classList.add('selected');
+        svg.appendChild(rect);
+        base -= barHeight;
+        total += value;
+      });
+      tops[index] = base;
+
+      // Label above each bar with its total, skipped when bars get too narrow to read
+      if (showLabels) {
+        const label = createSvgElement('text', {
+          x: x + (barWidth / 2), y: base - 5, 'text-anchor': 'middle', class: 'bar-label',
+        });
+        label.textContent = total.toLocaleString();
+        svg.appendChild(label);
+      }
+    });
+    return tops;
+  }
+
+  // Lines and areas: one point per category, in the middle of its slot
+  const toX = (index) => left + (index * slotWidth) + (slotWidth / 2);
+  series.forEach(({ key, values, color }) => {
+    const stroke = resolveColor(color);
+    const points = categories.map((_, index) => [toX(index), toY(values[index] || 0)]);
+    const line = points.map(([x, y], index) => `${index ? 'L' : 'M'}${x},${y}`).join(' ');
+
+    if (type === CHART_TYPES.AREA) {
+      const baseline = top + plotHeight;
+      svg.appendChild(createSvgElement('path', {
+        d: `${line} L${points.at(-1)[0]},${baseline} L${points[0][0]},${baseline} Z`,
+        fill: withAlpha(stroke, CHART_THEME.AREA_OPACITY),
+        class: `data-area series-${key}`,
+      }));
+    }
+    svg.appendChild(createSvgElement('path', {
+      d: line, fill: 'none', stroke, 'stroke-width': 2, class: `data-line series-${key}`,
+    }));
+
+    points.forEach(([x, y], index) => {
+      const point = createSvgElement('circle', {
+        cx: x, cy: y, r: 3.5, fill: stroke, class: `data-point series-${key}`, 'data-index': index,
+      });
+      if (isSelected?.(categories[index])) point.classList.add('selected');
+      svg.appendChild(point);
+      tops[index] = Math.min(tops[index], y);
+    });
+  });
+  return tops;
+}
+
+/**
+ * Draws the chart SVG at a given width, with its interactions wired up
+ * @param {Object} chart - Chart options with resolved series (see createChart)
+ * @param {number} width - Width in SVG units, matching the rendered width in pixels
+ * @param {HTMLElement} container - Chart container, for positioning the tooltip
+ * @param {HTMLElement} tooltip - Shared tooltip element
+ * @returns {SVGElement} Chart SVG
+ */
+function drawChart(chart, width, container, tooltip) {
+  const {
+    type, title, categories, series, yAxisLabel, xAxisLabel, totalLabel, isSelected,
+    onCategoryClick, onRangeSelect,
+  } = chart;
+  const height = chart.height || GRAPH_CONFIG.HEIGHT;
+  const padding = {
+    top: 50, right: 30, bottom: 50, left: 60,
+  };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const slotWidth = plotWidth / categories.length;
+  const maxValue = getMaxValue(type, series, categories.length);
+
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    class: `graph-svg chart-${type}`,
+    role: 'group',
+    'aria-label': title,
+  });
+
+  // Grid lines and y-axis labels
+  const ySteps = 5;
+  const gridGroup = createSvgElement('g', { class: 'grid-lines' });
+  const yAxisGroup = createSvgElement('g', { class: 'y-axis' });
+  for (let i = 0; i <= ySteps; i += 1) {
+    const y = padding.top + ((plotHeight * i) / ySteps);
+    gridGroup.appendChild(createSvgElement('line', {
+      x1: padding.left, y1: y, x2: padding.left + plotWidth, y2: y, stroke: CHART_THEME.GRID, 'stroke-width': 1,
+    }));
+    const text = createSvgElement('text', {
+      x: padding.left - 10, y: y + 5, 'text-anchor': 'end', class: 'axis-label',
+    });
+    text.textContent = String(Math.round(maxValue - ((maxValue * i) / ySteps)));
+    yAxisGroup.appendChild(text);
+  }
+  svg.appendChild(gridGroup);
+
+  const tops = drawMarks(svg, {
+    type,
+    series,
+    categories,
+    isSelected,
+    left: padding.left,
+    top: padding.top,
+    plotWidth,
+    plotHeight,
+    maxValue,
+  });
+
+  if (totalLabel) {
+    const totalText = createSvgElement('text', {
+      x: padding.left + (plotWidth / 2), y: padding.top - 20, 'text-anchor': 'middle', class: 'grand-total',
+    });
+    totalText.textContent = totalLabel;
+    svg.appendChild(totalText);
+  }
+  svg.appendChild(yAxisGroup);
+
+  // X-axis labels, thinned out and shortened so they don't overlap on narrow charts
+  const maxLabels = Math.max(1, Math.min(
+    GRAPH_CONFIG.MAX_X_LABELS,
+    Math.floor(plotWidth / GRAPH_CONFIG.MIN_X_LABEL_SPACING),
+  ));
+  const labelStep = Math.ceil(categories.length / maxLabels);
+  const maxChars = Math.max(4, Math.floor((slotWidth * labelStep) / 9));
+  const xAxisGroup = createSvgElement('g', { class: 'x-axis' });
+  categories.forEach((category, index) => {
+    if (index % labelStep !== 0) return;
+    const text = createSvgElement('text', {
+      x: padding.left + (index * slotWidth) + (slotWidth / 2),
+      y: height - padding.bottom + 20,
+      'text-anchor': 'middle',
+      class: 'axis-label',
+    });
+    text.textContent = fitLabel(category.label, maxChars);
+    xAxisGroup.appendChild(text);
+  });
+  svg.appendChild(xAxisGroup);
+
+  // Axis titles
+  if (yAxisLabel) {
+    const yTitle = createSvgElement('text', {
+      x: -height / 2, y: 15, transform: 'rotate(-90)', 'text-anchor': 'middle', class: 'axis-title',
+    });
+    yTitle.textContent = yAxisLabel;
+    svg.appendChild(yTitle);
+  }
+  if (xAxisLabel) {
+    const xTitle = createSvgElement('text', {
+      x: padding.left + (plotWidth / 2), y: height - 5, 'text-anchor': 'middle', class: 'axis-title',
+    });
+    xTitle.textContent = xAxisLabel;
+    svg.appendChild(xTitle);
+  }
+
+  // Full-height slots over each category take hover, focus and clicks, so small marks
+  // are easy to hit
+  const showValues = series.length > 1 || Boolean(chart.cumulative);
+  const slots = categories.map((category, index) => {
+    const values = series.map(({ label, values: v }) => `${label} ${(v[index] || 0).toLocaleString()}`).join(', ');
+    const slot = createSvgElement('rect', {
+      x: padding.left + (index * slotWidth),
+      y: padding.top,
+      width: slotWidth,
+      height: plotHeight,
+      class: 'bar-slot',
+      'data-index': index,
+      tabindex: index === 0 ? 0 : -1,
+      role: onCategoryClick ? 'button' : 'img',
+      'aria-label': `${category.tooltip || category.label}${showValues ? `: ${values}` : ''}${category.customers?.length ? `, ${category.customers.length.toLocaleString()} customers` : ''}`,
+    });
+    if (onCategoryClick) slot.setAttribute('aria-pressed', String(Boolean(isSelected?.(category))));
+    svg.appendChild(slot);
+    return slot;
+  });
+  const marks = svg.querySelectorAll('.data-bar, .data-point');
+
+  const showTooltip = (index) => {
+    marks.forEach((mark) => mark.classList.toggle('active', mark.getAttribute('data-index') === String(index)));
+    fillTooltip(tooltip, categories[index], series, index, showValues);
+    tooltip.classList.remove('hidden');
+
+    const containerRect = container.getBoundingClientRect();
+    const svgRect = svg.getBoundingClientRect();
+    const scale = svgRect.width ? svgRect.width / width : 1;
+    const slotCenter = padding.left + ((index + 0.5) * slotWidth);
+    tooltip.style.left = `${svgRect.left - containerRect.left + (slotCenter * scale)}px`;
+    tooltip.style.top = `${svgRect.top - containerRect.top + (tops[index] * scale)}px`;
+  };
+  const hideTooltip = () => {
+    marks.forEach((mark) => mark.classList.remove('active'));
+    tooltip.classList.add('hidden');
+  };
+  const getSlotIndex = (target) => {
+    const slot = target.closest?.('.bar-slot');
+    return slot ? Number(slot.getAttribute('data-index')) : -1;
+  };
+
+  svg.addEventListener('pointerover', (e) => {
+    const index = getSlotIndex(e.target);
+    if (index >= 0) showTooltip(index);
+  });
+  svg.addEventListener('pointerleave', hideTooltip);
+  svg.addEventListener('focusin', (e) => {
+    const index = getSlotIndex(e.target);
+    if (index >= 0) showTooltip(index);
+  });
+  svg.addEventListener('focusout', hideTooltip);
+
+  // Arrow keys move between categories (one tab stop per chart); Enter or Space selects
+  const focusSlot = (index) => {
+    const target = Math.max(0, Math.min(index, slots.length - 1));
+    slots.forEach((slot, i) => slot.setAttribute('tabindex', i === target ? '0' : '-1'));
+    slots[target].focus();
+  };
+  svg.addEventListener('keydown', (e) => {
+    const index = getSlotIndex(e.target);
+    if (index < 0) return;
+    const moves = {
+      ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: slots.length - 1,
+    };
+    if (e.key in moves) {
+      e.preventDefault();
+      focusSlot(moves[e.key]);
+    } else if ((e.key === 'Enter' || e.key === ' ') && onCategoryClick) {
+      e.preventDefault();
+      onCategoryClick(categories[index]);
+    } else if (e.key === 'Escape') {
+      hideTooltip();
+    }
+  });
+
+  // Dragging across the plot selects a run of categories; a plain click selects one
+  let brush = null;
+  let suppressClick = false;
+  const toSvgX = (clientX) => {
+    const rect = svg.getBoundingClientRect();
+    return rect.width ? ((clientX - rect.left) / rect.width) * width : 0;
+  };
+  const clampToPlot = (x) => Math.max(padding.left, Math.min(x, padding.left + plotWidth));
+
+  svg.addEventListener('pointerdown', (e) => {
+    if (!onRangeSelect || e.button !== 0) return;
+    brush = {
+      startX: clampToPlot(toSvgX(e.clientX)), endX: null, rect: null, pointerId: e.pointerId,
+    };
+  });
+  svg.addEventListener('pointermove', (e) => {
+    if (!brush) return;
+    const x = clampToPlot(toSvgX(e.clientX));
+    if (!brush.rect && Math.abs(x - brush.startX) < GRAPH_CONFIG.BRUSH_THRESHOLD) return;
+
+    if (!brush.rect) {
+      brush.rect = createSvgElement('rect', { class: 'brush', y: padding.top, height: plotHeight });
+      svg.appendChild(brush.rect);
+      hideTooltip();
+      // Capture only once dragging: a captured plain click would target the svg, not the bar
+      svg.setPointerCapture?.(brush.pointerId);
+    }
+    brush.endX = x;
+    brush.rect.setAttribute('x', String(Math.min(brush.startX, x)));
+    brush.rect.setAttribute('width', String(Math.abs(x - brush.startX)));
+  });
+  svg.addEventListener('pointerup', () => {
+    if (!brush) return;
+    const { startX, endX, rect } = brush;
+    brush = null;
+    if (!rect) return;
+
+    rect.remove();
+    suppressClick = true;
+    const toIndex = (x) => Math.min(
+      categories.length - 1,
+      Math.floor((x - padding.left) / slotWidth),
+    );
+    const first = toIndex(Math.min(startX, endX));
+    const last = toIndex(Math.max(startX, endX));
+    if (last > first) onRangeSelect(categories[first], categories[last]);
+  });
+  svg.addEventListener('click', (e) => {
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    const index = getSlotIndex(e.target);
+    if (index >= 0 && onCategoryClick) onCategoryClick(categories[index]);
+  });
+
+  return svg;
+}
+
+/**
+ * Creates a legend for charts with more than one series
+ * @param {ChartSeries[]} series - Plotted series
+ * @returns {HTMLElement} Legend list
+ */
+function createLegend(series) {
+  const legend = document.createElement('ul');
+  legend.className = 'chart-legend';
+  series.forEach(({ key, label, color }) => {
+    const item = document.createElement('li');
+    item.className = `series-${key}`;
+    item.style.setProperty('--series-color', resolveColor(color));
+    item.textContent = label;
+    legend.appendChild(item);
+  });
+  return legend;
+}
+
+/**
+ * Creates the menu that downloads a chart as SVG or PNG
+ * @param {HTMLElement} container - Graph container holding the chart
+ * @returns {HTMLDetailsElement} Download menu
+ */
+export function createDownloadMenu(container) {
+  const menu = document.createElement('details');
+  menu.className = 'chart-download';
+  menu.innerHTML = `
+    <summary title="Download chart">Download</summary>
+    <div class="chart-download-options">
+      <button type="button" data-format="svg">SVG</button>
+      <button type="button" data-format="png">PNG (${PNG_SCALE}x)</button>
+      <p class="chart-download-status" role="status"></p>
+    </div>
+  `;
+
+  const status = menu.querySelector('.chart-download-status');
+  menu.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-format]');
+    if (!button) return;
+    status.textContent = '';
+    downloadChart(container, button.getAttribute('data-format'))
+      .then(() => { menu.open = false; })
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error('Chart download failed:', error);
+        status.textContent = `Download failed: ${error.message}.`;
+      });
+  });
+  return menu;
+}
+
+/**
+ * Redraws a chart whenever its container changes width
+ * @param {HTMLElement} container - Chart container
+ * @param {Function} render - Called with the new content width in pixels
+ */
+function observeWidth(container, render) {
+  if (typeof ResizeObserver === 'undefined') return;
+  resizeObservers.get(container)?.disconnect();
+  let lastWidth = 0;
+  const observer = new ResizeObserver(([entry]) => {
+    // A chart replaced without releaseCharts stops observing on its next resize
+    if (!container.isConnected) {
+      observer.disconnect();
+      resizeObservers.delete(container);
+      return;
+    }
+    const width = Math.round(entry.contentRect.width);
+    // Hidden charts report 0; keep their last drawing
+    if (!width || width === lastWidth) return;
+    lastWidth = width;
+    render(width);
+  });
+  observer.observe(container);
+  resizeObservers.set(container, observer);
+}
+
+/**
+ * Stops redrawing the charts in an element on resize; call before replacing them
+ * @param {HTMLElement} root - Element holding chart containers
+ */
+export function releaseCharts(root) {
+  root.querySelectorAll('.graph-container').forEach((container) => {
+    resizeObservers.get(container)?.disconnect();
+    resizeObservers.delete(container);
+  });
+}
+
+/**
+ * Creates an empty graph container with its title, for createChart and for charts
+ * with their own layout (funnel, heatmap)
+ * @param {string} title - Chart title
+ * @param {string} [className=''] - Extra classes of the container
+ * @returns {HTMLElement} Graph container element
+ */
+export function createGraphContainer(title, className = '') {
+  const container = document.createElement('div');
+  container.className = `graph-container ${className}`.trim();
+
+  const titleElement = document.createElement('h3');
+  titleElement.className = 'graph-title';
+  titleElement.textContent = title;
+  container.appendChild(titleElement);
+  return container;
+}
+
+/**
+ * Creates a chart in a graph container. Empty data shows a message instead, and
+ * `loading` shows a placeholder until the data arrives.
+ * @param {Object} options - Chart options
+ * @param {string} [options.type=CHART_TYPES.BAR] - Chart type from CHART_TYPES
+ * @param {string} options.title - Chart title
+ * @param {ChartCategory[]} [options.categories=[]] - X-axis categories
+ * @param {ChartSeries[]} [options.series=[]] - Series to plot; bar charts use the first only
+ * @param {boolean} [options.cumulative=false] - Plot running totals instead of values
+ * @param {string} [options.yAxisLabel] - Y-axis title
+ * @param {string} [options.xAxisLabel] - X-axis title
+ * @param {string} [options.totalLabel] - Text above the plot, e.g. "Total: 42"
+ * @param {string} [options.hint] - Usage hint below the title
+ * @param {number} [options.height] - Height in pixels, GRAPH_CONFIG.HEIGHT by default
+ * @param {boolean} [options.loading=false] - Show the loading placeholder
+ * @param {string} [options.emptyMessage] - Message when no series has a value above zero
+ * @param {Function} [options.isSelected] - Whether a category is highlighted as selected
+ * @param {Function} [options.onCategoryClick] - Called with a clicked category
+ * @param {Function} [options.onRangeSelect] - Called with the first and last category
+ *   selected by dragging across the plot
+ * @param {Function} [options.onResetZoom] - Shows a "Reset zoom" button calling this
+ *   when `zoomed` is set
+ * @param {boolean} [options.zoomed=false] - Whether the chart shows a zoomed-in range
+ * @param {boolean} [options.downloadable=true] - Offer SVG and PNG downloads of the chart
+ * @returns {HTMLElement} Graph container element
+ * @example
+ * const chart = createChart({
+ *   type: CHART_TYPES.STACKED_BAR,
+ *   title: 'Ingestion Outcomes',
+ *   categories: [{ label: 'Acme' }, { label: 'Globex' }],
+ *   series: [
+ *     { key: 'successful', label: 'Successful', color: 'success', values: [12, 30] },
+ *     { key: 'failed', label: 'Failed', color: 'danger', values: [3, 1] },
+ *   ],
+ * });
+ * document.body.appendChild(chart);
+ */
+export function createChart(options) {
+  const {
+    type = CHART_TYPES.BAR, title, categories = [], hint, loading = false,
+    emptyMessage = 'No data available', onResetZoom, zoomed = false, downloadable = true,
+  } = options;
+
+  const container = createGraphContainer(title, `chart-container chart-container-${type}`);
+
+  if (loading) {
+    container.setAttribute('aria-busy', 'true');
+    const placeholder = document.createElement('div');
+    placeholder.className = 'chart-skeleton';
+    placeholder.style.height = `${options.height || GRAPH_CONFIG.HEIGHT}px`;
+    placeholder.textContent = 'Loading…';
+    container.appendChild(placeholder);
+    return container;
+  }
+
+  const series = options.series || [];
+  const chartSeries = (type === CHART_TYPES.BAR ? series.slice(0, 1) : series)
+    .map((s) => ({ ...s, values: options.cumulative ? accumulate(s.values) : s.values }));
+  const hasData = categories.length > 0
+    && chartSeries.some((s) => s.values.some((value) => value > 0));
+  if (!hasData) {
+    const empty = document.createElement('p');
+    empty.className = 'no-data';
+    empty.textContent = emptyMessage;
+    container.appendChild(empty);
+    return container;
+  }
+
+  if (hint || (zoomed && onResetZoom)) {
+    const hintElement = document.createElement('p');
+    hintElement.className = 'graph-hint';
+    if (hint) hintElement.textContent = hint;
+    if (zoomed && onResetZoom) {
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'graph-zoom-reset';
+      reset.textContent = 'Reset zoom';
+      reset.addEventListener('click', () => onResetZoom());
+      hintElement.append(' ', reset);
+    }
+    container.appendChild(hintElement);
+  }
+  if (chartSeries.length > 1) container.appendChild(createLegend(chartSeries));
+  if (downloadable) container.appendChild(createDownloadMenu(container));
+
+  const tooltip = document.createElement('div');
+  tooltip.className = 'graph-tooltip hidden';
+  tooltip.setAttribute('role', 'tooltip');
+
+  const chart = { ...options, type, series: chartSeries };
+  let svg = drawChart(chart, GRAPH_CONFIG.WIDTH, container, tooltip);
+  container.append(svg, tooltip);
+
+  let redraws = 0;
+  observeWidth(container, (width) => {
+    tooltip.classList.add('hidden');
+    const next = drawChart(chart, width, container, tooltip);
+    // Only the first drawing at the laid-out width animates its bars in
+    if (redraws > 0) next.classList.add('redrawn');
+    redraws += 1;
+    svg.replaceWith(next);
+    svg = next;
+  });
+  return container;
+}
+
+/**
+ * Creates a sparkline: a small inline line chart without axes
+ * @param {number[]} values - Values, oldest first
+ * @param {Object} [options={}] - Sparkline options
+ * @param {string} [options.label=''] - Accessible description
+ * @param {string} [options.color='primary'] - Key of CHART_THEME.SERIES, or any CSS color
+ * @returns {SVGElement} Sparkline SVG
+ */
+export function createSparkline(values, { label = '', color = 'primary' } = {}) {
+  const width = GRAPH_CONFIG.SPARKLINE_WIDTH;
+  const height = GRAPH_CONFIG.SPARKLINE_HEIGHT;
+  const inset = 2;
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width,
+    height,
+    class: `sparkline chart-${CHART_TYPES.SPARKLINE}`,
+    role: 'img',
+    'aria-label': label,
+  });
+  if (label) {
+    const title = createSvgElement('title');
+    title.textContent = label;
+    svg.appendChild(title);
+  }
+  if (values.length === 0) return svg;
+
+  const maxValue = Math.max(1, ...values);
+  const step = values.length > 1 ? (width - (2 * inset)) / (values.length - 1) : 0;
+  const points = values.map((value, index) => [
+    inset + (index * step),
+    height - inset - ((value / maxValue) * (height - (2 * inset))),
+  ]);
+  const stroke = resolveColor(color);
+  svg.appendChild(createSvgElement('polyline', {
+    points: points.map(([x, y]) => `${x},${y}`).join(' '),
+    fill: 'none',
+    stroke,
+    'stroke-width': 1.5,
+  }));
+  const [lastX, lastY] = points.at(-1);
+  svg.appendChild(createSvgElement('circle', {
+    cx: lastX, cy: lastY, r: 2, fill: stroke,
+  }));
+  return svg;
+}
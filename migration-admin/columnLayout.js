@@ -0,0 +1,155 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Column layout - order, visibility, widths and pinning of the table columns
+ * @module columnLayout
+ */
+
+import { TABLE_CONFIG } from './constants.js';
+
+const STORAGE_KEY = 'aem-migrations-columns';
+
+/**
+ * Table column layout
+ * @typedef {Object} ColumnLayout
+ * @property {string[]} order - Every column key from TABLE_CONFIG.COLUMNS, in display order
+ * @property {string[]} hidden - Keys of hidden columns
+ * @property {Object<string, number>} widths - Column widths in pixels set by resizing
+ * @property {boolean} pinned - Whether the customer name column stays first and visible
+ *   while scrolling horizontally
+ */
+
+const ALL_COLUMNS = Object.values(TABLE_CONFIG.COLUMNS);
+
+/**
+ * Returns the built-in layout: every column in TABLE_CONFIG.COLUMNS order
+ * @returns {ColumnLayout} Default layout
+ */
+export function getDefaultLayout() {
+  return {
+    order: [...ALL_COLUMNS],
+    hidden: [...TABLE_CONFIG.DEFAULT_HIDDEN_COLUMNS],
+    widths: {},
+    pinned: true,
+  };
+}
+
+/**
+ * Repairs a stored layout: drops unknown columns, appends columns added since it
+ * was saved and keeps the customer name visible
+ * @param {*} layout - Untrusted layout
+ * @returns {ColumnLayout} Valid layout
+ */
+export function normaliseLayout(layout) {
+  const defaults = getDefaultLayout();
+  if (!layout || typeof layout !== 'object') return defaults;
+
+  const order = Array.isArray(layout.order)
+    ? [...new Set(layout.order.filter((key) => ALL_COLUMNS.includes(key)))]
+    : [];
+  ALL_COLUMNS.forEach((key) => {
+    if (!order.includes(key)) order.push(key);
+  });
+
+  const hidden = Array.isArray(layout.hidden)
+    ? layout.hidden.filter((key) => ALL_COLUMNS.includes(key) && key !== TABLE_CONFIG.COLUMNS.NAME)
+    : defaults.hidden;
+
+  const widths = {};
+  Object.entries(layout.widths || {}).forEach(([key, width]) => {
+    if (ALL_COLUMNS.includes(key) && Number.isFinite(width) && width > 0) {
+      widths[key] = Math.round(width);
+    }
+  });
+
+  return {
+    order,
+    hidden,
+    widths,
+    pinned: layout.pinned !== false,
+  };
+}
+
+/**
+ * Reads the layout saved in this browser
+ * @returns {ColumnLayout} Saved layout, or the default layout
+ */
+export function loadColumnLayout() {
+  try {
+    return normaliseLayout(JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'));
+  } catch (e) {
+    return getDefaultLayout();
+  }
+}
+
+/**
+ * Saves the layout in this browser; storage failures are ignored
+ * @param {ColumnLayout} layout - Layout to save
+ */
+export function saveColumnLayout(layout) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+  } catch (e) {
+    // Layout just won't survive a reload
+  }
+}
+
+/**
+ * Returns the visible columns in display order, the pinned name column first
+ * @param {ColumnLayout} layout - Column layout
+ * @returns {string[]} Visible column keys
+ */
+export function getVisibleColumns(layout) {
+  const visible = layout.order.filter((key) => !layout.hidden.includes(key));
+  if (!layout.pinned) return visible;
+  return [TABLE_CONFIG.COLUMNS.NAME, ...visible.filter((key) => key !== TABLE_CONFIG.COLUMNS.NAME)];
+}
+
+/**
+ * Serialises the visible columns for the view state
+ * @param {ColumnLayout} layout - Column layout
+ * @returns {string} Comma-separated column keys
+ */
+export function serializeVisibleColumns(layout) {
+  return getVisibleColumns(layout).join(',');
+}
+
+/**
+ * Parses visible columns serialised by serializeVisibleColumns
+ * @param {string} text - Comma-separated column keys
+ * @returns {string[]|null} Column keys, or null if any key is unknown or the name is missing
+ */
+export function parseVisibleColumns(text) {
+  const keys = String(text || '').split(',').filter(Boolean);
+  if (!keys.includes(TABLE_CONFIG.COLUMNS.NAME)
+    || keys.some((key) => !ALL_COLUMNS.includes(key))
+    || new Set(keys).size !== keys.length) {
+    return null;
+  }
+  return keys;
+}
+
+/**
+ * Applies a list of visible columns to a layout: listed columns are shown in
+ * the listed order (ahead of the hidden ones), all others are hidden
+ * @param {ColumnLayout} layout - Current layout; widths and pinning are kept
+ * @param {string[]} keys - Visible column keys from parseVisibleColumns
+ * @returns {ColumnLayout} New layout
+ */
+export function withVisibleColumns(layout, keys) {
+  return normaliseLayout({
+    ...layout,
+    order: [...keys, ...layout.order.filter((key) => !keys.includes(key))],
+    hidden: ALL_COLUMNS.filter((key) => !keys.includes(key)),
+  });
+}
@@ -0,0 +1,120 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Column menu - show/hide, reorder and pin the table columns
+ * @module columnMenu
+ */
+
+import { TABLE_CONFIG, ELEMENT_IDS } from './constants.js';
+import { getVisibleColumns } from './columnLayout.js';
+
+/**
+ * ColumnMenu class - keyboard-accessible alternative to dragging the table headers
+ * @class
+ */
+class ColumnMenu {
+  /**
+   * Creates a new ColumnMenu instance
+   * @constructor
+   * @param {import('./migrationsTable.js').default} table - Table whose columns are edited
+   */
+  constructor(table) {
+    /** @type {import('./migrationsTable.js').default} Table whose columns are edited */
+    this.table = table;
+    /** @type {HTMLDetailsElement|null} Menu element */
+    this.menu = document.getElementById(ELEMENT_IDS.COLUMN_MENU);
+    /** @type {HTMLElement|null} Menu content */
+    this.panel = this.menu?.querySelector('.column-menu-panel') || null;
+
+    // Headers may have been dragged since the menu was last shown
+    this.menu?.addEventListener('toggle', () => {
+      if (this.menu.open) this.render();
+    });
+  }
+
+  /**
+   * Renders the column list with visibility toggles and move buttons
+   */
+  render() {
+    if (!this.panel) return;
+
+    const layout = this.table.getLayout();
+    const visible = getVisibleColumns(layout);
+    const { NAME } = TABLE_CONFIG.COLUMNS;
+    const columns = layout.pinned
+      ? [NAME, ...layout.order.filter((key) => key !== NAME)]
+      : layout.order;
+
+    const pin = document.createElement('label');
+    pin.className = 'column-menu-pin';
+    const pinInput = document.createElement('input');
+    pinInput.type = 'checkbox';
+    pinInput.checked = layout.pinned;
+    pinInput.addEventListener('change', () => {
+      this.table.setPinned(pinInput.checked);
+      this.render();
+    });
+    pin.append(pinInput, ' Pin customer name column');
+
+    const list = document.createElement('ul');
+    list.className = 'column-menu-list';
+    columns.forEach((columnKey) => {
+      const item = document.createElement('li');
+      const isName = columnKey === NAME;
+      const isPinned = isName && layout.pinned;
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !layout.hidden.includes(columnKey);
+      checkbox.disabled = isName;
+      checkbox.addEventListener('change', () => {
+        this.table.setColumnVisible(columnKey, checkbox.checked);
+        this.render();
+      });
+      label.append(checkbox, ` ${TABLE_CONFIG.COLUMN_LABELS[columnKey] || columnKey}`);
+      item.appendChild(label);
+
+      const index = visible.indexOf(columnKey);
+      [[-1, '↑', 'Move left'], [1, '↓', 'Move right']].forEach(([offset, text, title]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        button.setAttribute('aria-label', `${title}: ${TABLE_CONFIG.COLUMN_LABELS[columnKey]}`);
+        const target = visible[index + offset];
+        button.disabled = isPinned || index === -1 || !target || this.table.isPinned(target);
+        button.addEventListener('click', () => {
+          this.table.moveColumnBy(columnKey, offset);
+          this.render();
+        });
+        item.appendChild(button);
+      });
+
+      list.appendChild(item);
+    });
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'column-menu-reset';
+    reset.textContent = 'Reset columns';
+    reset.addEventListener('click', () => {
+      this.table.resetLayout();
+      this.render();
+    });
+
+    this.panel.replaceChildren(pin, list, reset);
+  }
+}
+
+export default ColumnMenu;
@@ -9,5 +9,135 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-const API_ENDPOINT = window.location.href.includes('localhost') ? 'http://localhost:8787' : 'https://aem-cloud-migration-reporter-worker.chrislotton.workers.dev';
-export default API_ENDPOINT;
+
+/**
+ * Environment configuration - endpoints, URLs and the sign-in provider of each named
+ * environment (local, dev, stage, prod). The environment is picked from the host (on
+ * localhost also from the `?env=` debug switch); loadConfig merges in the overrides of
+ * `config.json` next to this module.
+ * @module config
+ */
+
+// File with per-environment overrides, resolved against this module
+const OVERRIDES_FILE = 'config.json';
+// How long to wait for OVERRIDES_FILE before going on with the built-in settings (ms)
+const OVERRIDES_TIMEOUT_MS = 3000;
+// Hosts of a developer's machine
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Settings every environment shares
+const DEFAULTS = Object.freeze({
+  // Adobe IMS the 'ims' provider signs in with; the client ID is set per deployment in
+  // config.json, and 'ims' is not usable without it
+  IMS_URL: 'https://ims-na1.adobelogin.com',
+  IMS_CLIENT_ID: '',
+  IMS_SCOPE: 'openid,AdobeID',
+  // Returns the sidekick profile of the signed-in user
+  SIDEKICK_STATUS_URL: 'https://admin.hlx.page/status/aemdemos/aem-cloud-migration-reporter/main/index.html',
+  SIDEKICK_HELP_URL: 'https://www.aem.live/docs/sidekick',
+  // How long a dev sign-in lasts (ms)
+  DEV_SESSION_TTL_MS: 8 * 60 * 60 * 1000,
+  // Customer page in the AEMCS workspace; {imsOrgId} is replaced
+  WORKSPACE_TENANT_URL: 'https://aemcs-workspace.adobe.com/customer/tenant/{imsOrgId}',
+  // Webhook the digest page is prefilled with ('' for none)
+  DIGEST_WEBHOOK_URL: '',
+});
+
+// Named environments: the worker serving the migration data and the sign-in provider
+// ('ims', 'sidekick' (unverified, no token), 'dev' (any email and name) or 'token')
+export const ENVIRONMENTS = Object.freeze({
+  local: Object.freeze({
+    API_ENDPOINT: 'http://localhost:8787',
+    AUTH_PROVIDER: 'dev',
+    // Started by `node migration-admin/mockWebhook.mjs`
+    DIGEST_WEBHOOK_URL: 'http://localhost:8788/digest',
+  }),
+  // Branch previews and the main preview use the deployed worker until they get their own;
+  // point them elsewhere with API_ENDPOINT in config.json
+  dev: Object.freeze({
+    API_ENDPOINT: 'https://aem-cloud-migration-reporter-worker.chrislotton.workers.dev',
+    AUTH_PROVIDER: 'sidekick',
+  }),
+  stage: Object.freeze({
+    API_ENDPOINT: 'https://aem-cloud-migration-reporter-worker.chrislotton.workers.dev',
+    AUTH_PROVIDER: 'sidekick',
+  }),
+  prod: Object.freeze({
+    API_ENDPOINT: 'https://aem-cloud-migration-reporter-worker.chrislotton.workers.dev',
+    // Switch to 'ims' in config.json once IMS_CLIENT_ID is set and the worker checks IMS tokens
+    AUTH_PROVIDER: 'sidekick',
+  }),
+});
+
+/**
+ * Picks the environment from the page URL: localhost is `local`, branch previews
+ * (`<branch>--*.aem.page`) are `dev`, the `main` preview is `stage` and everything else
+ * is `prod`. On localhost `?env=<name>` switches to another environment for debugging;
+ * elsewhere it is ignored, so a link cannot switch the live site to the dev sign-in or
+ * a local worker.
+ * @param {Location|URL} location - Page location
+ * @returns {string} Key of ENVIRONMENTS
+ */
+export function detectEnvironment(location) {
+  const { hostname } = location;
+  if (LOCAL_HOSTS.includes(hostname)) {
+    const requested = new URLSearchParams(location.search).get('env');
+    return requested && Object.hasOwn(ENVIRONMENTS, requested) ? requested : 'local';
+  }
+  if (/\.(aem|hlx)\.page$/.test(hostname)) return hostname.startsWith('main--') ? 'stage' : 'dev';
+  return 'prod';
+}
+
+// Key of ENVIRONMENTS the page runs in
+export const ENVIRONMENT = detectEnvironment(window.location);
+
+// Settings of ENVIRONMENT; config.json overrides are merged in by loadConfig
+export const CONFIG = { ...DEFAULTS, ...ENVIRONMENTS[ENVIRONMENT] };
+
+/**
+ * Loads the overrides of one environment from OVERRIDES_FILE, e.g.
+ * `{ "prod": { "IMS_CLIENT_ID": "..." } }`. Only known settings of the same type as
+ * their built-in value are kept; a missing, broken or slow file means no overrides.
+ * @param {string} environment - Key of ENVIRONMENTS
+ * @returns {Promise<Object>} Overrides
+ */
+async function loadOverrides(environment) {
+  let data = null;
+  try {
+    const response = await fetch(new URL(OVERRIDES_FILE, import.meta.url), {
+      signal: AbortSignal.timeout(OVERRIDES_TIMEOUT_MS),
+    });
+    data = response.ok ? await response.json() : null;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn(`Could not read ${OVERRIDES_FILE}, using the built-in configuration:`, e);
+  }
+  const overrides = data?.[environment];
+  if (!overrides || typeof overrides !== 'object') return {};
+  return Object.fromEntries(Object.entries(overrides)
+    .filter(([key, value]) => Object.hasOwn(CONFIG, key) && typeof value === typeof CONFIG[key]));
+}
+
+let configPromise = null;
+
+/**
+ * Merges the config.json overrides into CONFIG, once. Pages await it before their
+ * first request; until then CONFIG holds the built-in settings.
+ * @returns {Promise<Object>} CONFIG
+ */
+export function loadConfig() {
+  if (!configPromise) {
+    configPromise = loadOverrides(ENVIRONMENT)
+      .then((overrides) => Object.freeze(Object.assign(CONFIG, overrides)));
+  }
+  return configPromise;
+}
+
+/**
+ * Returns the AEMCS workspace page of a customer
+ * @param {string} imsOrgId - IMS organization ID of the customer
+ * @returns {string} Workspace URL
+ */
+export function getWorkspaceTenantUrl(imsOrgId) {
+  return CONFIG.WORKSPACE_TENANT_URL.replace('{imsOrgId}', imsOrgId);
+}
@@ -14,17 +14,202 @@
 export const TABLE_CONFIG = {
   DEFAULT_SORT_DIRECTION: 'asc',
   DEFAULT_SORT_COLUMN: 'customerName',
+  // Table columns in default display order
   COLUMNS: {
     NAME: 'customerName',
     LAST_BPA_UPLOAD: 'bpaReportUploaded',
+    TOTAL_PROJECTS: 'totalProjects',
     FIRST_INGESTION: 'firstIngestion',
+    LAST_INGESTION: 'lastIngestion',
     TOTAL_INGESTIONS: 'totalIngestions',
     FAILED_INGESTIONS: 'failedIngestions',
-    LAST_INGESTION: 'lastIngestion',
-    TOTAL_PROJECTS: 'totalProjects',
+    FAILURE_RATE: 'failureRate',
+    DAYS_SINCE_LAST_INGESTION: 'daysSinceLastIngestion',
+    DAYS_SINCE_BPA_UPLOAD: 'daysSinceBpaUpload',
+    HEALTH_SCORE: 'healthScore',
+  },
+  COLUMN_LABELS: {
+    customerName: 'Customer Name',
+    imsOrgId: 'IMS Org ID',
+    bpaReportUploaded: 'Last BPA Upload',
+    firstIngestion: 'First Ingestion',
+    totalIngestions: 'Total Ingestions',
+    failedIngestions: 'Failed Ingestions',
+    lastIngestion: 'Latest Ingestion',
+    totalProjects: 'Total Projects',
+    failureRate: 'Failure Rate',
+    daysSinceLastIngestion: 'Days Since Last Ingestion',
+    daysSinceBpaUpload: 'Days Since BPA Upload',
+    healthScore: 'Health',
+  },
+  // Columns holding Unix timestamps (ms)
+  DATE_COLUMNS: ['bpaReportUploaded', 'firstIngestion', 'lastIngestion'],
+  // Columns sorted as text; all others sort as numbers or dates
+  STRING_COLUMNS: ['customerName', 'imsOrgId'],
+  // Most columns a shift-click sort can combine
+  MAX_SORT_KEYS: 3,
+  // Columns hidden until the user shows them in the column menu
+  DEFAULT_HIDDEN_COLUMNS: [],
+  // Narrowest width a column can be resized to (px)
+  MIN_COLUMN_WIDTH: 60,
+  // Rows per page offered in the pagination bar
+  PAGE_SIZES: [25, 50, 100, 250],
+  DEFAULT_PAGE_SIZE: 50,
+  // Quiet time after the last keystroke before the customer filter re-runs (ms)
+  FILTER_DEBOUNCE_MS: 200,
+};
+
+// Customer Health Configuration
+export const HEALTH_CONFIG = {
+  // Failed / total ingestions (0-1)
+  FAILURE_RATE: { WARNING: 0.1, AT_RISK: 0.25 },
+  // Days without ingestion (since the BPA upload if there was none yet)
+  DAYS_SINCE_LAST_INGESTION: { WARNING: 14, AT_RISK: 30 },
+  // BPA report age; on its own it never marks a customer as at risk (see health.js)
+  DAYS_SINCE_BPA_UPLOAD: { WARNING: 90, AT_RISK: 180 },
+  // Relative weight of each factor in the 0-100 health score
+  WEIGHTS: { FAILURE_RATE: 0.5, DAYS_SINCE_LAST_INGESTION: 0.3, DAYS_SINCE_BPA_UPLOAD: 0.2 },
+  // Scores below these mark a customer as warning / at risk
+  SCORE: { WARNING: 70, AT_RISK: 40 },
+};
+
+// API Client Configuration
+export const API_CONFIG = {
+  TIMEOUT_MS: 20000,
+  MAX_RETRIES: 2,
+  // Backoff doubles per retry: ~0.5s, ~1s (plus random jitter)
+  RETRY_BASE_DELAY_MS: 500,
+};
+
+// Response Cache Configuration
+export const CACHE_CONFIG = {
+  // Cached responses younger than this are shown without revalidating
+  TTL_MS: 5 * 60 * 1000,
+  // Cached responses older than this are discarded instead of shown
+  MAX_STALE_MS: 24 * 60 * 60 * 1000,
+};
+
+// Date Range Configuration
+export const DATE_RANGE_CONFIG = {
+  DEFAULT_RANGE: 'LAST_2_MONTHS',
+  // Zero-based month in which the fiscal year starts (December)
+  FISCAL_YEAR_START_MONTH: 11,
+};
+
+// Graph Configuration
+export const GRAPH_CONFIG = {
+  // Width used until the chart has been laid out; charts then follow their container
+  WIDTH: 800,
+  HEIGHT: 300,
+  SPARKLINE_WIDTH: 96,
+  SPARKLINE_HEIGHT: 24,
+  DEFAULT_GRANULARITY: 'weekly',
+  // Maximum number of x-axis labels before labels are thinned out
+  MAX_X_LABELS: 8,
+  // Least horizontal room per x-axis label (SVG units), so narrow charts show fewer labels
+  MIN_X_LABEL_SPACING: 70,
+  // Bars narrower than this (in SVG units) get no value label
+  MIN_LABELED_BAR_WIDTH: 28,
+  // Customers listed in a bar's tooltip before "+N more"
+  TOOLTIP_MAX_CUSTOMERS: 8,
+  // Drag distance (SVG units) before a press on the plot becomes a zoom selection
+  BRUSH_THRESHOLD: 6,
+  // Customers in the ingestion outcomes chart, busiest first
+  OUTCOMES_MAX_CUSTOMERS: 10,
+};
+
+// Chart colors; series name a key of SERIES (or give any CSS color)
+export const CHART_THEME = {
+  SERIES: {
+    primary: '#3b82f6',
+    success: '#10b981',
+    danger: '#ef4444',
+    warning: '#f59e0b',
+    accent: '#6366f1',
+    neutral: '#6b7280',
   },
+  GRID: '#e5e7eb',
+  // Single-series bars fade from this opacity for the smallest value to opaque for the largest
+  MIN_BAR_OPACITY: 0.4,
+  AREA_OPACITY: 0.25,
+};
+
+// Activity heatmap Configuration
+export const HEATMAP_CONFIG = {
+  // Longer ranges show their most recent weeks only
+  MAX_WEEKS: 53,
+  // Portfolio calendar cell size and spacing (SVG units)
+  CELL_SIZE: 12,
+  CELL_GAP: 3,
+  // Per-customer small multiples cell size and spacing (SVG units)
+  MULTIPLE_CELL_SIZE: 5,
+  MULTIPLE_CELL_GAP: 1,
+  // Most customers drawn as small multiples
+  MAX_CUSTOMERS: 60,
+  // Color steps above zero, scaled to the busiest day
+  LEVELS: 4,
+};
+
+// Migration funnel Configuration
+export const FUNNEL_CONFIG = {
+  // Customers with an ingestion this recent count as active
+  ACTIVE_DAYS: 30,
+  // Height of one stage row and the gap between rows (SVG units)
+  ROW_HEIGHT: 44,
+  ROW_GAP: 8,
+  // Narrowest bar drawn for a stage that still has customers (SVG units)
+  MIN_BAR_WIDTH: 4,
 };
 
+// Weekly Digest Configuration
+export const DIGEST_CONFIG = {
+  // Days covered by one digest; the previous period of the same length is the baseline
+  PERIOD_DAYS: 7,
+  // Failed ingestions in the period before an increase is reported as rising
+  MIN_RISING_FAILURES: 2,
+  // Customers listed per section; the rest are summarised as "and N more"
+  MAX_LISTED_CUSTOMERS: 10,
+};
+
+// Alert Rules Configuration
+export const ALERT_CONFIG = {
+  // Rules a user starts with until they edit their own (see ALERT_RULE_TYPES in alerts.js)
+  DEFAULT_RULES: [
+    { id: 'default-failure-rate', type: 'failureRate', params: { threshold: 25, days: 30 } },
+    { id: 'default-no-ingestion', type: 'noIngestionAfterBpa', params: { days: 30 } },
+    {
+      id: 'default-failure-spike', type: 'failureSpike', params: { factor: 2, days: 7, minFailures: 3 },
+    },
+  ],
+  // Fewest ingestions in the window before a customer's failure rate is judged
+  MIN_INGESTIONS: 5,
+  // Snooze durations offered for an alert (days)
+  SNOOZE_DAYS: [1, 7, 30],
+  // Customers named per alert before the rest are collapsed
+  MAX_LISTED_CUSTOMERS: 5,
+};
+
+// Roles Configuration (see roles.js)
+export const ROLE_CONFIG = {
+  // Team roster next to index.html: admins, and teams with their leads and members
+  ROSTER_FILE: 'teams.json',
+  // Roles allowed to use each feature; controls marked data-permission="<key>" are
+  // hidden from everyone else. The worker still decides which customers a user may see.
+  PERMISSIONS: {
+    viewAs: ['teamLead', 'admin'],
+    export: ['individual', 'teamLead', 'admin'],
+    // Alert rules are personal (kept per user), so everyone edits their own
+    editAlertRules: ['individual', 'teamLead', 'admin'],
+  },
+};
+
+// Graph bucket granularities
+export const GRANULARITY = Object.freeze({
+  DAILY: { value: 'daily', label: 'Daily', axisLabel: 'Day' },
+  WEEKLY: { value: 'weekly', label: 'Weekly', axisLabel: 'Week' },
+  MONTHLY: { value: 'monthly', label: 'Monthly', axisLabel: 'Month' },
+});
+
 // CSS Classes
 export const CSS_CLASSES = {
   TABLE: {
@@ -32,6 +217,17 @@ export const CSS_CLASSES = {
     SORTED_ASC: 'sorted-asc',
     SORTED_DESC: 'sorted-desc',
     MIGRATION_ROW: 'migration-row',
+    SELECTED_ROW: 'selected-row',
+    TREND: 'trend',
+    WARNING_ROW: 'warning-row',
+    AT_RISK_ROW: 'at-risk-row',
+    HEALTH_BADGE: 'health-badge',
+    PINNED_COLUMN: 'pinned-column',
+    COLUMN_RESIZER: 'column-resizer',
+    PAGINATION: 'table-pagination',
+    SORT_PRIORITY: 'sort-priority',
+    ALERT_ROW: 'alert-row',
+    ALERT_BADGE: 'alert-badge',
   },
   GRAPH: {
     CONTAINER: 'graph-container',
@@ -51,6 +247,30 @@ export const ELEMENT_IDS = {
   CUSTOMER_SEARCH: 'customer-search',
   SEARCH_BUTTON: 'search-button',
   DATE_RANGE_SELECT: 'date-range-select',
+  DATE_FROM: 'date-from',
+  DATE_TO: 'date-to',
+  CUSTOM_RANGE: 'custom-range',
   GRAPH_WRAPPER: 'graph-wrapper',
+  GRANULARITY_SELECT: 'granularity-select',
   LOADING_SPINNER: 'loading-spinner',
+  DETAIL_PANEL: 'customer-detail-panel',
+  VALIDATION_NOTICE: 'validation-notice',
+  DATA_FRESHNESS: 'data-freshness',
+  COMPARE_TOGGLE: 'compare-toggle',
+  FILTER_TOGGLE: 'filter-toggle',
+  FILTER_BUILDER: 'filter-builder',
+  SAVED_VIEW_SELECT: 'saved-view-select',
+  SAVED_VIEWS_MENU: 'saved-views-menu',
+  COLUMN_MENU: 'column-menu',
+  REFRESH_BUTTON: 'refresh-button',
+  EXPORT_CSV_BUTTON: 'export-csv-button',
+  EXPORT_XLSX_BUTTON: 'export-xlsx-button',
+  REPORT_BUTTON: 'report-button',
+  ACTIVITY_WINDOW_FILTER: 'activity-window-filter',
+  FUNNEL_STAGE_FILTER: 'funnel-stage-filter',
+  ALERTS_PANEL: 'alerts-panel',
+  VIEW_AS: 'view-as',
+  SIGN_IN: 'sign-in',
+  SESSION_INFO: 'session-info',
+  VIEW_AS_SELECT: 'view-as-select',
 };
@@ -0,0 +1,219 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Customer detail panel - shows the ingestion history of a single customer
+ * @module customerDetail
+ */
+
+import { releaseCharts } from './charts.js';
+import { getWorkspaceTenantUrl } from './config.js';
+import { ELEMENT_IDS } from './constants.js';
+import { DateUtils, NumberUtils } from './utils.js';
+import { createCustomerIngestionsGraph } from './graph.js';
+
+/**
+ * Creates an element with optional class name and text content
+ * @param {string} tagName - Element tag name
+ * @param {string} [className=''] - Optional CSS class name
+ * @param {string|number} [text] - Optional text content
+ * @returns {HTMLElement} The created element
+ */
+function createElement(tagName, className = '', text = undefined) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Builds the list of timeline entries for a customer, newest first.
+ * Uses the detailed `ingestions` list when the worker provides it and
+ * falls back to the bare `ingestionStartDates` of the summary record.
+ * @param {Object} customer - Merged summary and detail record
+ * @returns {Array<{startDate: number, status: string, projectName: string}>} Timeline entries
+ */
+function getTimelineEntries(customer) {
+  const entries = Array.isArray(customer.ingestions)
+    ? customer.ingestions.map((ingestion) => ({
+      startDate: ingestion.startDate,
+      status: (ingestion.status || '').toLowerCase(),
+      projectName: ingestion.projectName || '',
+    }))
+    : (customer.ingestionStartDates || []).map((startDate) => ({
+      startDate,
+      status: '',
+      projectName: '',
+    }));
+
+  return entries
+    .filter((entry) => Number.isFinite(entry.startDate))
+    .sort((a, b) => b.startDate - a.startDate);
+}
+
+/**
+ * CustomerDetailPanel class - renders the drill-down panel for one customer
+ * @class
+ */
+class CustomerDetailPanel {
+  /**
+   * Creates a new CustomerDetailPanel instance
+   * @constructor
+   */
+  constructor() {
+    /** @type {HTMLElement|null} Panel element */
+    this.panel = document.getElementById(ELEMENT_IDS.DETAIL_PANEL);
+    /** @type {string|null} IMS Org ID of the customer currently shown */
+    this.currentImsOrgId = null;
+    /** @type {Function|null} Called after the panel has been closed */
+    this.onClose = null;
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  /**
+   * Whether the panel is currently visible
+   * @returns {boolean} True if the panel is open
+   */
+  isOpen() {
+    return Boolean(this.panel) && !this.panel.classList.contains('hidden');
+  }
+
+  /**
+   * Opens the panel for a customer using the summary record while details load
+   * @param {Object} migration - Summary migration record from the table
+   */
+  open(migration) {
+    if (!this.panel) return;
+    this.currentImsOrgId = migration.imsOrgId;
+    this.render(migration, { loading: true });
+    this.panel.classList.remove('hidden');
+  }
+
+  /**
+   * Updates the panel with the detail response for the customer currently shown
+   * @param {Object} migration - Summary migration record from the table
+   * @param {Object|null} detail - Detail response from the worker, null if it failed
+   */
+  update(migration, detail) {
+    if (!this.isOpen() || migration.imsOrgId !== this.currentImsOrgId) return;
+    this.render({ ...migration, ...(detail || {}) }, { unavailable: !detail });
+  }
+
+  /**
+   * Closes the panel
+   */
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+    releaseCharts(this.panel);
+    this.panel.innerHTML = '';
+    this.currentImsOrgId = null;
+    if (this.onClose) this.onClose();
+  }
+
+  /**
+   * Renders the panel content
+   * @param {Object} customer - Merged summary and detail record
+   * @param {Object} [state={}] - Render state
+   * @param {boolean} [state.loading=false] - Whether details are still loading
+   * @param {boolean} [state.unavailable=false] - Whether details failed to load
+   */
+  render(customer, { loading = false, unavailable = false } = {}) {
+    releaseCharts(this.panel);
+    this.panel.innerHTML = '';
+
+    // Header
+    const header = createElement('div', 'detail-header');
+    const titleGroup = createElement('div');
+    titleGroup.append(
+      createElement('h3', 'detail-title', customer.customerName ?? '-'),
+      createElement('p', 'detail-subtitle', customer.imsOrgId || ''),
+    );
+    const closeButton = createElement('button', 'detail-close', '×');
+    closeButton.type = 'button';
+    closeButton.setAttribute('aria-label', 'Close customer details');
+    closeButton.addEventListener('click', () => this.close());
+    header.append(titleGroup, closeButton);
+    this.panel.appendChild(header);
+
+    if (customer.imsOrgId) {
+      const link = createElement('a', 'detail-workspace-link', 'Open in AEMCS workspace');
+      link.href = getWorkspaceTenantUrl(customer.imsOrgId);
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      this.panel.appendChild(link);
+    }
+
+    // Success / failure breakdown
+    const total = Number(customer.totalIngestions) || 0;
+    const failed = Number(customer.failedIngestions) || 0;
+    const successful = total - failed;
+    const stats = createElement('dl', 'detail-stats');
+    [
+      ['Total Ingestions', total.toLocaleString(), ''],
+      ['Successful', successful.toLocaleString(), 'success'],
+      ['Failed', failed.toLocaleString(), 'failed'],
+      ['Success Rate', NumberUtils.formatPercentage(successful, total), ''],
+      ['Last BPA Upload', DateUtils.formatDate(customer.bpaReportUploaded), ''],
+    ].forEach(([label, value, className]) => {
+      const item = createElement('div', 'detail-stat');
+      item.append(createElement('dt', '', label), createElement('dd', className, value));
+      stats.appendChild(item);
+    });
+    this.panel.appendChild(stats);
+
+    if (loading) {
+      this.panel.appendChild(createElement('p', 'detail-note', 'Loading ingestion history…'));
+    } else if (unavailable) {
+      this.panel.appendChild(createElement('p', 'detail-note', 'Detailed history is unavailable; showing summary data only.'));
+    }
+
+    // Projects
+    this.panel.appendChild(createElement('h4', 'detail-section-title', 'Projects'));
+    if (Array.isArray(customer.projects) && customer.projects.length > 0) {
+      const projectList = createElement('ul', 'detail-projects');
+      customer.projects.forEach((project) => {
+        const name = typeof project === 'string' ? project : project.name;
+        projectList.appendChild(createElement('li', '', name || '-'));
+      });
+      this.panel.appendChild(projectList);
+    } else {
+      const count = Number(customer.totalProjects) || 0;
+      this.panel.appendChild(createElement('p', 'detail-note', `${count.toLocaleString()} project(s)`));
+    }
+
+    // Ingestion timeline
+    const entries = getTimelineEntries(customer);
+    this.panel.appendChild(createElement('h4', 'detail-section-title', `Ingestion History (${entries.length.toLocaleString()})`));
+    if (entries.length === 0) {
+      this.panel.appendChild(createElement('p', 'detail-note', 'No ingestions in the selected date range.'));
+      return;
+    }
+
+    this.panel.appendChild(createCustomerIngestionsGraph(entries));
+
+    const timeline = createElement('ol', 'detail-timeline');
+    entries.forEach((entry) => {
+      const item = createElement('li', entry.status ? `timeline-item ${entry.status}` : 'timeline-item');
+      item.appendChild(createElement('span', 'timeline-date', DateUtils.formatDate(entry.startDate, true)));
+      if (entry.status) item.appendChild(createElement('span', 'timeline-status', entry.status));
+      if (entry.projectName) item.appendChild(createElement('span', 'timeline-project', entry.projectName));
+      timeline.appendChild(item);
+    });
+    this.panel.appendChild(timeline);
+  }
+}
+
+export default CustomerDetailPanel;
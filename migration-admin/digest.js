@@ -0,0 +1,383 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Weekly digest - summarises a period of migration data (new customers ingesting,
+ * rising failures, stalled migrations) and renders it as HTML email markup and as
+ * a chat-webhook payload. Uses no DOM, so a scheduled job can run it as well.
+ * @module digest
+ */
+
+import { DIGEST_CONFIG } from './constants.js';
+import { DateRange, getPreviousPeriodBounds } from './DateRange.js';
+import { computeIngestionStats, countCustomersPerBucket, totalByCustomer } from './stats.js';
+import { DateUtils, NumberUtils } from './utils.js';
+
+/**
+ * A customer listed in a digest section
+ * @typedef {Object} DigestItem
+ * @property {string} name - Customer name
+ * @property {string} imsOrgId - IMS Organization ID, used for the dashboard link
+ * @property {string} detail - What happened, e.g. "7 ingestions the week before, none since"
+ */
+
+/**
+ * A list of customers in the digest
+ * @typedef {Object} DigestSection
+ * @property {string} key - `newCustomers`, `risingFailures` or `stalled`
+ * @property {string} title - Section heading
+ * @property {string} emptyMessage - Shown when no customer qualifies
+ * @property {DigestItem[]} items - Listed customers, most notable first
+ * @property {number} more - Qualifying customers left out of the list
+ */
+
+/**
+ * Digest of one period
+ * @typedef {Object} Digest
+ * @property {Object} period - Range the digest covers
+ * @property {Object} previousPeriod - Baseline range of the same length
+ * @property {number} generatedAt - Generation time
+ * @property {Object} stats - Totals from computeIngestionStats, plus activeCustomers
+ * @property {Object} previousStats - The same totals for the previous period
+ * @property {DigestSection[]} sections - Customer lists
+ */
+
+/**
+ * Returns the period covered by the digest: the DIGEST_CONFIG.PERIOD_DAYS ending at `now`.
+ * It is expressed as a custom range so the worker filters by its explicit bounds.
+ * @param {number} [now=Date.now()] - End of the period
+ * @returns {{value: string, label: string, start: number, end: number}} Digest period
+ */
+export function getDigestPeriod(now = Date.now()) {
+  const start = now - (DIGEST_CONFIG.PERIOD_DAYS * DateUtils.MS_PER_DAY) + 1;
+  return {
+    value: DateRange.CUSTOM.value,
+    label: `${DateUtils.formatDate(start)} – ${DateUtils.formatDate(now)}`,
+    start,
+    end: now,
+  };
+}
+
+/**
+ * Formats a count with its unit, e.g. "1 ingestion" or "3 ingestions"
+ * @param {number} count - Count
+ * @param {string} unit - Singular unit
+ * @returns {string} Count and unit
+ */
+function pluralize(count, unit) {
+  return `${count.toLocaleString()} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Creates a section, keeping the first DIGEST_CONFIG.MAX_LISTED_CUSTOMERS items
+ * @param {Object} definition - Section key, title and emptyMessage
+ * @param {DigestItem[]} items - Every qualifying customer, most notable first
+ * @returns {DigestSection} Section
+ */
+function createSection(definition, items) {
+  return {
+    ...definition,
+    items: items.slice(0, DIGEST_CONFIG.MAX_LISTED_CUSTOMERS),
+    more: Math.max(0, items.length - DIGEST_CONFIG.MAX_LISTED_CUSTOMERS),
+  };
+}
+
+/**
+ * Customers whose first ingestion falls in the period, busiest first
+ * @param {Array<Object>} migrations - Migrations of the period
+ * @param {Object} period - Digest period
+ * @returns {DigestItem[]} New customers
+ */
+function findNewCustomers(migrations, period) {
+  const [ingestionsInPeriod] = countCustomersPerBucket(migrations, [period]);
+  return migrations
+    .filter((m) => m.firstIngestion >= period.start && m.firstIngestion <= period.end)
+    .map((m) => ({
+      name: m.customerName,
+      imsOrgId: m.imsOrgId || '',
+      count: ingestionsInPeriod.get(m.customerName) || m.totalIngestions || 0,
+      firstIngestion: m.firstIngestion,
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .map(({
+      name, imsOrgId, count, firstIngestion,
+    }) => ({
+      name,
+      imsOrgId,
+      detail: `First ingestion ${DateUtils.formatDate(firstIngestion)}, ${pluralize(count, 'ingestion')} this week`,
+    }));
+}
+
+/**
+ * Customers with more failed ingestions than in the previous period, largest increase first
+ * @param {Map} current - Totals of the period from totalByCustomer
+ * @param {Map} previous - Totals of the previous period
+ * @returns {DigestItem[]} Customers with rising failures
+ */
+function findRisingFailures(current, previous) {
+  return [...current]
+    .map(([key, customer]) => ({ ...customer, previousFailed: previous.get(key)?.failed || 0 }))
+    .filter((c) => c.failed >= DIGEST_CONFIG.MIN_RISING_FAILURES && c.failed > c.previousFailed)
+    .sort((a, b) => (b.failed - b.previousFailed) - (a.failed - a.previousFailed)
+      || a.name.localeCompare(b.name))
+    .map((c) => ({
+      name: c.name,
+      imsOrgId: c.imsOrgId,
+      detail: `${c.failed.toLocaleString()} of ${pluralize(c.total, 'ingestion')} failed `
+        + `(${NumberUtils.formatPercentage(c.failed, c.total)}), ${c.previousFailed.toLocaleString()} the week before`,
+    }));
+}
+
+/**
+ * Customers that ran ingestions in the previous period but none in this one,
+ * busiest first
+ * @param {Map} current - Totals of the period from totalByCustomer
+ * @param {Map} previous - Totals of the previous period
+ * @returns {DigestItem[]} Stalled customers
+ */
+function findStalled(current, previous) {
+  return [...previous]
+    .filter(([key, customer]) => customer.total > 0 && !current.get(key)?.total)
+    .map(([, customer]) => customer)
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+    .map((c) => ({
+      name: c.name,
+      imsOrgId: c.imsOrgId,
+      detail: `${pluralize(c.total, 'ingestion')} the week before, none since`
+        + `${c.lastIngestion ? ` (last ${DateUtils.formatDate(c.lastIngestion)})` : ''}`,
+    }));
+}
+
+/**
+ * Builds the digest of a period from its migrations and those of the previous period
+ * @param {Object} data - Digest input
+ * @param {Array<Object>} data.migrations - Validated migrations of the period
+ * @param {Array<Object>} data.previousMigrations - Validated migrations of the previous period
+ * @param {Object} data.period - Digest period from getDigestPeriod
+ * @param {number} [data.generatedAt=Date.now()] - Generation time
+ * @returns {Digest} Digest
+ */
+export function buildDigest({
+  migrations, previousMigrations, period, generatedAt = Date.now(),
+}) {
+  const previousPeriod = getPreviousPeriodBounds(period);
+  const current = totalByCustomer(migrations);
+  const previous = totalByCustomer(previousMigrations);
+  const countActive = (totals) => [...totals.values()].filter((c) => c.total > 0).length;
+
+  return {
+    period,
+    previousPeriod,
+    generatedAt,
+    stats: { ...computeIngestionStats(migrations), activeCustomers: countActive(current) },
+    previousStats: {
+      ...computeIngestionStats(previousMigrations),
+      activeCustomers: countActive(previous),
+    },
+    sections: [
+      createSection({
+        key: 'newCustomers',
+        title: 'New customers ingesting',
+        emptyMessage: 'No customer ran their first ingestion this week.',
+      }, findNewCustomers(migrations, period)),
+      createSection({
+        key: 'risingFailures',
+        title: 'Rising failures',
+        emptyMessage: 'No customer has more failed ingestions than the week before.',
+      }, findRisingFailures(current, previous)),
+      createSection({
+        key: 'stalled',
+        title: 'Stalled migrations',
+        emptyMessage: 'Every customer that ingested the week before is still ingesting.',
+      }, findStalled(current, previous)),
+    ],
+  };
+}
+
+/**
+ * Headline figures of a digest with their change against the previous period
+ * @param {Digest} digest - Digest
+ * @returns {Array<{label: string, value: string, change: string}>} Figures, formatted
+ */
+function getHeadlines({ stats, previousStats }) {
+  return [
+    { label: 'Customers ingesting', key: 'activeCustomers' },
+    { label: 'Ingestions', key: 'total' },
+    { label: 'Failed ingestions', key: 'failed' },
+  ].map(({ label, key }) => ({
+    label,
+    value: stats[key].toLocaleString(),
+    change: NumberUtils.formatChange(stats[key], previousStats[key]),
+  }));
+}
+
+/**
+ * Builds the dashboard link for a customer, opening its detail panel
+ * @param {string} dashboardUrl - Dashboard URL
+ * @param {string} imsOrgId - IMS Organization ID
+ * @returns {string} Deep link, or the dashboard URL when the customer has no org ID
+ */
+function getCustomerUrl(dashboardUrl, imsOrgId) {
+  if (!imsOrgId) return dashboardUrl;
+  const url = new URL(dashboardUrl);
+  url.searchParams.set('customer', imsOrgId);
+  return url.href;
+}
+
+/**
+ * Returns the subject line of a digest
+ * @param {Digest} digest - Digest
+ * @returns {string} Subject
+ */
+export function getDigestSubject({ period }) {
+  return `AEM Cloud Migrations weekly digest: ${period.label}`;
+}
+
+/**
+ * Escapes text for HTML element content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a digest as an HTML email. Styles are inline and the layout uses tables,
+ * since most mail clients ignore stylesheets.
+ * @param {Digest} digest - Digest
+ * @param {Object} options - Render options
+ * @param {string} options.dashboardUrl - Absolute URL of the dashboard, for links
+ * @returns {{subject: string, html: string}} Subject and HTML document
+ */
+export function renderDigestEmail(digest, { dashboardUrl }) {
+  const subject = getDigestSubject(digest);
+  const headlines = getHeadlines(digest).map(({ label, value, change }) => `
+        <td style="padding:12px;border:1px solid #e5e7eb;text-align:center;">
+          <div style="font-size:12px;color:#6b7280;">${escapeHtml(label)}</div>
+          <div style="font-size:24px;font-weight:700;color:#1f2937;">${escapeHtml(value)}</div>
+          <div style="font-size:12px;color:#6b7280;">${escapeHtml(change)} vs week before</div>
+        </td>`).join('');
+
+  const sections = digest.sections.map(({
+    title, emptyMessage, items, more,
+  }) => {
+    const rows = items.map(({ name, imsOrgId, detail }) => `
+        <tr>
+          <td style="padding:6px 0;border-bottom:1px solid #f3f4f6;">
+            <a href="${escapeHtml(getCustomerUrl(dashboardUrl, imsOrgId))}" style="color:#2563eb;font-weight:600;text-decoration:none;">${escapeHtml(name)}</a>
+            <div style="font-size:13px;color:#6b7280;">${escapeHtml(detail)}</div>
+          </td>
+        </tr>`).join('');
+    const moreRow = more
+      ? `<tr><td style="padding:6px 0;font-size:13px;color:#6b7280;">and ${more.toLocaleString()} more</td></tr>`
+      : '';
+    const body = items.length
+      ? `${rows}${moreRow}`
+      : `<tr><td style="padding:6px 0;font-size:13px;color:#6b7280;">${escapeHtml(emptyMessage)}</td></tr>`;
+    return `
+      <h2 style="margin:24px 0 8px;font-size:16px;color:#1f2937;">${escapeHtml(title)} (${(items.length + more).toLocaleString()})</h2>
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${body}
+      </table>`;
+  }).join('');
+
+  const generated = DateUtils.formatDate(digest.generatedAt, true);
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;">
+    <tr><td align="center" style="padding:24px 12px;">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#fff;border-top:4px solid #eb1000;font-family:Arial,Helvetica,sans-serif;">
+        <tr><td style="padding:24px;">
+          <h1 style="margin:0 0 4px;font-size:20px;color:#1f2937;">AEM Cloud Migrations weekly digest</h1>
+          <p style="margin:0 0 16px;font-size:14px;color:#6b7280;">${escapeHtml(digest.period.label)}</p>
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr>${headlines}
+          </tr></table>${sections}
+          <p style="margin:24px 0 0;font-size:12px;color:#9ca3af;">
+            Generated ${escapeHtml(generated)} ·
+            <a href="${escapeHtml(dashboardUrl)}" style="color:#2563eb;">Open the dashboard</a>
+          </p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>
+`;
+  return { subject, html };
+}
+
+/**
+ * Escapes text for chat markup, where &, < and > delimit links and mentions
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders a digest as a chat-webhook payload (Slack Block Kit shape: `text` is the
+ * notification fallback, `blocks` the formatted message)
+ * @param {Digest} digest - Digest
+ * @param {Object} options - Render options
+ * @param {string} options.dashboardUrl - Absolute URL of the dashboard, for links
+ * @returns {{text: string, blocks: Array<Object>}} Webhook payload
+ */
+export function toWebhookPayload(digest, { dashboardUrl }) {
+  const markdown = (text) => ({ type: 'mrkdwn', text });
+
+  const sectionBlocks = digest.sections.map(({
+    title, emptyMessage, items, more,
+  }) => {
+    const lines = items.map(({ name, imsOrgId, detail }) => (
+      `• <${getCustomerUrl(dashboardUrl, imsOrgId)}|${escapeMarkup(name)}> – ${escapeMarkup(detail)}`
+    ));
+    if (more) lines.push(`_and ${more.toLocaleString()} more_`);
+    if (!items.length) lines.push(`_${escapeMarkup(emptyMessage)}_`);
+    return {
+      type: 'section',
+      text: markdown(`*${escapeMarkup(title)} (${(items.length + more).toLocaleString()})*\n${lines.join('\n')}`),
+    };
+  });
+
+  return {
+    text: getDigestSubject(digest),
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: `Weekly migrations digest: ${digest.period.label}` },
+      },
+      {
+        type: 'section',
+        fields: getHeadlines(digest).map(({ label, value, change }) => (
+          markdown(`*${label}*\n${value}, ${change} vs week before`)
+        )),
+      },
+      ...sectionBlocks,
+      {
+        type: 'context',
+        elements: [markdown(
+          `Generated ${DateUtils.formatDate(digest.generatedAt, true)} · <${dashboardUrl}|Open the dashboard>`,
+        )],
+      },
+    ],
+  };
+}
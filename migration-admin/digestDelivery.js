@@ -0,0 +1,136 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Digest delivery - pluggable adapters that send a rendered digest somewhere.
+ * Register more with registerDeliveryAdapter (e.g. an email relay).
+ * @module digestDelivery
+ */
+
+import { API_CONFIG } from './constants.js';
+import { ApiError, ERROR_TYPES } from './errors.js';
+
+/**
+ * A rendered digest, ready to send
+ * @typedef {Object} DigestMessage
+ * @property {string} subject - Subject line
+ * @property {string} html - HTML email document
+ * @property {Object} payload - Chat-webhook payload
+ */
+
+/**
+ * Sends digests to one destination
+ * @typedef {Object} DeliveryAdapter
+ * @property {string} name - Adapter name
+ * @property {function(DigestMessage): Promise<string>} send - Sends a digest and resolves
+ *   with a confirmation to show the user
+ */
+
+/**
+ * Creates an adapter that POSTs the chat payload as JSON to a webhook URL
+ * @param {Object} options - Adapter options
+ * @param {string} options.url - Webhook URL, e.g. CONFIG.DIGEST_WEBHOOK_URL
+ * @returns {DeliveryAdapter} Webhook adapter
+ * @throws {Error} If the URL is not an http(s) URL
+ */
+function createWebhookAdapter({ url }) {
+  let webhookUrl;
+  try {
+    webhookUrl = new URL(url);
+  } catch (error) {
+    throw new Error('Enter the webhook URL to send to');
+  }
+  if (!['http:', 'https:'].includes(webhookUrl.protocol)) {
+    throw new Error('The webhook URL must start with http:// or https://');
+  }
+
+  return {
+    name: 'webhook',
+    async send({ payload }) {
+      let response;
+      try {
+        response = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(API_CONFIG.TIMEOUT_MS),
+        });
+      } catch (error) {
+        const type = error.name === 'TimeoutError' ? ERROR_TYPES.TIMEOUT : ERROR_TYPES.OFFLINE;
+        throw new ApiError(`Could not reach ${webhookUrl.origin}`, { type, cause: error });
+      }
+
+      if (!response.ok) {
+        throw new ApiError(`The webhook rejected the digest (HTTP ${response.status})`, {
+          type: response.status >= 500 ? ERROR_TYPES.SERVER : ERROR_TYPES.CLIENT,
+          status: response.status,
+        });
+      }
+      return `Sent to ${webhookUrl.href}`;
+    },
+  };
+}
+
+// Digests "sent" by the outbox adapter during this page session
+const outbox = [];
+
+/**
+ * Creates an adapter that keeps sent digests in memory instead of sending them,
+ * for trying the flow without a webhook
+ * @returns {DeliveryAdapter & {messages: DigestMessage[]}} Outbox adapter
+ */
+function createOutboxAdapter() {
+  return {
+    name: 'outbox',
+    messages: outbox,
+    async send(message) {
+      outbox.push(message);
+      return `Kept in the outbox (${outbox.length} this session); nothing was sent`;
+    },
+  };
+}
+
+const adapterFactories = new Map([
+  ['webhook', { label: 'Chat webhook', create: createWebhookAdapter }],
+  ['outbox', { label: 'Outbox (no delivery)', create: createOutboxAdapter }],
+]);
+
+/**
+ * Registers a delivery adapter, replacing any with the same name
+ * @param {string} name - Adapter name
+ * @param {string} label - Name shown in the preview page
+ * @param {function(Object): DeliveryAdapter} create - Creates the adapter from its options
+ */
+export function registerDeliveryAdapter(name, label, create) {
+  adapterFactories.set(name, { label, create });
+}
+
+/**
+ * Lists the registered adapters
+ * @returns {Array<{name: string, label: string}>} Adapters in registration order
+ */
+export function getDeliveryAdapters() {
+  return [...adapterFactories].map(([name, { label }]) => ({ name, label }));
+}
+
+/**
+ * Creates a registered adapter
+ * @param {string} name - Adapter name
+ * @param {Object} [options={}] - Adapter options, e.g. `{ url }` for the webhook
+ * @returns {DeliveryAdapter} Adapter
+ * @throws {Error} If no adapter has that name or the options are invalid
+ */
+export function createDeliveryAdapter(name, options = {}) {
+  const factory = adapterFactories.get(name);
+  if (!factory) throw new Error(`Unknown delivery adapter: ${name}`);
+  return factory.create(options);
+}
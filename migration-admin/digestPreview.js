@@ -0,0 +1,194 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Digest preview page - generates the weekly digest from live data, shows the
+ * email and the webhook payload, and sends it through a delivery adapter
+ * @module digestPreview
+ */
+
+import { getCustomerMigrationInfo } from './api.js';
+import { CONFIG, loadConfig } from './config.js';
+import { getPreviousPeriodBounds } from './DateRange.js';
+import {
+  buildDigest, getDigestPeriod, renderDigestEmail, toWebhookPayload,
+} from './digest.js';
+import { createDeliveryAdapter, getDeliveryAdapters } from './digestDelivery.js';
+import { getErrorMessage } from './errors.js';
+import { download } from './exporter.js';
+import { restoreSession } from './auth.js';
+import { getSearchBy } from './roles.js';
+import SignInScreen from './signIn.js';
+import { DateUtils } from './utils.js';
+import { validateMigrations } from './validators.js';
+
+const signInScreen = new SignInScreen();
+
+const form = document.getElementById('digest-form');
+const weekEndInput = document.getElementById('digest-week-end');
+const generateButton = document.getElementById('digest-generate');
+const deliveryForm = document.getElementById('digest-delivery-form');
+const adapterSelect = document.getElementById('digest-adapter');
+const webhookUrlInput = document.getElementById('digest-webhook-url');
+const sendButton = document.getElementById('digest-send');
+const status = document.getElementById('digest-status');
+const preview = document.getElementById('digest-preview');
+
+// Digest currently shown, rendered for every channel
+let message = null;
+
+/**
+ * Shows a status message under the controls
+ * @param {string} text - Message
+ * @param {boolean} [isError=false] - Show as an error
+ */
+function setStatus(text, isError = false) {
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Returns the name the worker scopes results by, like the dashboard's own book,
+ * signing in first if needed
+ * @returns {Promise<string>} User name or email
+ */
+async function getUserSearchBy() {
+  await loadConfig();
+  const session = await restoreSession() || await signInScreen.prompt();
+  return getSearchBy(session.profile);
+}
+
+/**
+ * Loads and validates the migrations of a period
+ * @param {string} searchBy - User name or email
+ * @param {Object} dateRange - Period to load
+ * @returns {Promise<Array<Object>>} Validated migrations
+ */
+async function loadMigrations(searchBy, dateRange) {
+  return validateMigrations(await getCustomerMigrationInfo(searchBy, dateRange)).migrations;
+}
+
+/**
+ * Returns the end of the selected week: the end of the chosen day, or now for today
+ * @returns {number} Timestamp
+ */
+function getWeekEnd() {
+  const dayEnd = Date.parse(`${weekEndInput.value}T00:00:00Z`) + DateUtils.MS_PER_DAY - 1;
+  return Number.isNaN(dayEnd) ? Date.now() : Math.min(dayEnd, Date.now());
+}
+
+/**
+ * Shows the rendered digest
+ * @param {{subject: string, html: string, payload: Object}} rendered - Rendered digest
+ */
+function renderPreview({ subject, html, payload }) {
+  document.getElementById('digest-subject').textContent = subject;
+  document.getElementById('digest-email').srcdoc = html;
+  document.getElementById('digest-payload').textContent = JSON.stringify(payload, null, 2);
+  preview.classList.remove('hidden');
+}
+
+/**
+ * Loads the selected week and the week before it and renders the digest
+ */
+async function generateDigest() {
+  generateButton.disabled = true;
+  sendButton.disabled = true;
+  setStatus('Loading migration data…');
+
+  try {
+    const searchBy = await getUserSearchBy();
+    const period = getDigestPeriod(getWeekEnd());
+    const [migrations, previousMigrations] = await Promise.all([
+      loadMigrations(searchBy, period),
+      loadMigrations(searchBy, getPreviousPeriodBounds(period)),
+    ]);
+
+    const digest = buildDigest({ migrations, previousMigrations, period });
+    const dashboardUrl = new URL('./index.html', window.location.href).href;
+    message = {
+      ...renderDigestEmail(digest, { dashboardUrl }),
+      payload: toWebhookPayload(digest, { dashboardUrl }),
+    };
+    renderPreview(message);
+    sendButton.disabled = false;
+    setStatus(`Digest for ${period.label} generated from ${migrations.length.toLocaleString()} customers.`);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(error);
+    setStatus(error.type ? getErrorMessage(error) : error.message, true);
+  } finally {
+    generateButton.disabled = false;
+  }
+}
+
+/**
+ * Sends the shown digest through the selected adapter
+ */
+async function sendDigest() {
+  if (!message) return;
+  sendButton.disabled = true;
+  setStatus('Sending…');
+
+  try {
+    const adapter = createDeliveryAdapter(adapterSelect.value, {
+      url: webhookUrlInput.value.trim(),
+    });
+    setStatus(await adapter.send(message));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(error);
+    setStatus(error.message, true);
+  } finally {
+    sendButton.disabled = false;
+  }
+}
+
+/**
+ * Shows the webhook URL only for the webhook adapter
+ */
+function updateWebhookUrlVisibility() {
+  const isWebhook = adapterSelect.value === 'webhook';
+  webhookUrlInput.hidden = !isWebhook;
+  webhookUrlInput.labels.forEach((label) => { label.hidden = !isWebhook; });
+}
+
+getDeliveryAdapters().forEach(({ name, label }) => {
+  adapterSelect.appendChild(new Option(label, name));
+});
+loadConfig().then(() => {
+  if (!webhookUrlInput.value) webhookUrlInput.value = CONFIG.DIGEST_WEBHOOK_URL;
+});
+weekEndInput.value = DateUtils.toDayKey(Date.now());
+updateWebhookUrlVisibility();
+
+adapterSelect.addEventListener('change', updateWebhookUrlVisibility);
+form.addEventListener('submit', (e) => {
+  e.preventDefault();
+  generateDigest();
+});
+deliveryForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  sendDigest();
+});
+preview.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-download]');
+  if (!button || !message) return;
+  const filename = `migrations-digest_${weekEndInput.value}`;
+  if (button.dataset.download === 'html') {
+    download(message.html, `${filename}.html`, 'text/html');
+  } else {
+    download(JSON.stringify(message.payload, null, 2), `${filename}.json`, 'application/json');
+  }
+});
+
+generateDigest();
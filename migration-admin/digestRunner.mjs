@@ -0,0 +1,131 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Scheduled digest runner - builds the weekly digest of one book from the worker and
+ * sends it to a chat webhook, like the "Send" button of digest.html. Run every Monday
+ * by `.github/workflows/digest.yaml` once DIGEST_API_ENDPOINT is set as a repository
+ * variable; settings come from the environment:
+ *
+ *   DIGEST_API_ENDPOINT   Worker serving the migration data
+ *   DIGEST_API_TOKEN      Bearer token the worker accepts (e.g. an IMS service token)
+ *   DIGEST_SEARCH_BY      User name or email whose book the digest covers
+ *   DIGEST_WEBHOOK_URL    Webhook the payload is POSTed to
+ *   DIGEST_DASHBOARD_URL  Dashboard the digest links to (defaults to the live site)
+ *
+ *   node migration-admin/digestRunner.mjs [--dry-run]
+ *
+ * `--dry-run` prints the subject and payload instead of sending them.
+ * @module digestRunner
+ */
+
+import { API_CONFIG } from './constants.js';
+import { getPreviousPeriodBounds } from './DateRange.js';
+import {
+  buildDigest, getDigestPeriod, getDigestSubject, toWebhookPayload,
+} from './digest.js';
+import { createDeliveryAdapter } from './digestDelivery.js';
+import { ApiError, ERROR_TYPES } from './errors.js';
+import { validateMigrations } from './validators.js';
+
+const DEFAULT_DASHBOARD_URL = 'https://main--aem-cloud-migration-reporter--aemdemos.aem.live/migration-admin/index.html';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Reads a setting from the environment
+ * @param {string} name - Variable name
+ * @param {string} [fallback] - Value when the variable is unset; without one it is required
+ * @returns {string} Value
+ * @throws {Error} If a required variable is unset
+ */
+function getSetting(name, fallback) {
+  const value = process.env[name]?.trim() || fallback;
+  if (!value) throw new Error(`Set ${name} to run the digest`);
+  return value;
+}
+
+/**
+ * Loads and validates the migrations of a period, the way api.js asks the worker
+ * @param {Object} settings - Runner settings
+ * @param {{value: string, start: number, end: number}} dateRange - Period to load
+ * @returns {Promise<Array<Object>>} Validated migrations
+ * @throws {ApiError} If the worker cannot be reached or answers with an error
+ */
+async function loadMigrations({ endpoint, token, searchBy }, dateRange) {
+  const url = new URL(`${endpoint}/customerMigrationInfo`);
+  url.searchParams.set('from', String(dateRange.start));
+  url.searchParams.set('to', String(dateRange.end));
+  url.searchParams.set('searchBy', searchBy);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Authorization: `Bearer ${token}` },
+      signal: AbortSignal.timeout(API_CONFIG.TIMEOUT_MS),
+    });
+  } catch (error) {
+    const type = error.name === 'TimeoutError' ? ERROR_TYPES.TIMEOUT : ERROR_TYPES.OFFLINE;
+    throw new ApiError(`Could not reach ${url.origin}`, { type, cause: error });
+  }
+
+  if (!response.ok) {
+    const { status } = response;
+    let type = status >= 500 ? ERROR_TYPES.SERVER : ERROR_TYPES.CLIENT;
+    if (status === 401 || status === 403) type = ERROR_TYPES.AUTH;
+    throw new ApiError(`The worker answered HTTP ${status}`, { type, status });
+  }
+
+  const body = await response.json();
+  if (!Array.isArray(body)) {
+    throw new ApiError('Expected an array of migrations', { type: ERROR_TYPES.BAD_DATA });
+  }
+  return validateMigrations(body).migrations;
+}
+
+/**
+ * Builds the digest of the week ending now and sends or prints it
+ */
+async function run() {
+  const settings = {
+    endpoint: getSetting('DIGEST_API_ENDPOINT'),
+    token: getSetting('DIGEST_API_TOKEN'),
+    searchBy: getSetting('DIGEST_SEARCH_BY'),
+  };
+  const dashboardUrl = getSetting('DIGEST_DASHBOARD_URL', DEFAULT_DASHBOARD_URL);
+  // Checked before loading anything so a bad URL fails fast
+  const adapter = dryRun
+    ? createDeliveryAdapter('outbox')
+    : createDeliveryAdapter('webhook', { url: getSetting('DIGEST_WEBHOOK_URL') });
+
+  const period = getDigestPeriod();
+  const [migrations, previousMigrations] = await Promise.all([
+    loadMigrations(settings, period),
+    loadMigrations(settings, getPreviousPeriodBounds(period)),
+  ]);
+  const digest = buildDigest({ migrations, previousMigrations, period });
+  const payload = toWebhookPayload(digest, { dashboardUrl });
+
+  if (dryRun) {
+    console.log(getDigestSubject(digest));
+    console.log(JSON.stringify(payload, null, 2));
+  }
+  console.log(await adapter.send({ subject: getDigestSubject(digest), payload }));
+}
+
+run().catch((error) => {
+  console.error(`Digest not sent: ${error.message}`);
+  process.exitCode = 1;
+});
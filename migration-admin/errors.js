@@ -0,0 +1,127 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Error classes and inline error display for the migration admin
+ * @module errors
+ */
+
+import { ELEMENT_IDS } from './constants.js';
+
+// Error categories used to pick a user-facing message
+export const ERROR_TYPES = Object.freeze({
+  AUTH: 'auth',
+  SERVER: 'server',
+  OFFLINE: 'offline',
+  TIMEOUT: 'timeout',
+  BAD_DATA: 'bad-data',
+  CLIENT: 'client',
+  CANCELLED: 'cancelled',
+});
+
+/**
+ * General application error
+ * @class
+ */
+export class MigrationError extends Error {
+  /**
+   * @param {string} message - Developer-facing message
+   * @param {Object} [options={}] - Error details
+   * @param {string} [options.type] - Error category from ERROR_TYPES
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { type, cause } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.type = type;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error raised by the API client
+ * @class
+ */
+export class ApiError extends MigrationError {
+  /**
+   * @param {string} message - Developer-facing message
+   * @param {Object} options - Error details
+   * @param {string} options.type - Error category from ERROR_TYPES
+   * @param {number} [options.status] - HTTP status, if a response was received
+   * @param {boolean} [options.retryable=false] - Whether repeating the request may succeed
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, {
+    type, status, retryable = false, cause,
+  }) {
+    super(message, { type, cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Whether an error comes from a request that was cancelled on purpose
+ * @param {Error} error - Any error
+ * @returns {boolean} True for cancelled requests
+ */
+export function isCancelled(error) {
+  return error instanceof MigrationError && error.type === ERROR_TYPES.CANCELLED;
+}
+
+/**
+ * Returns a user-facing message for an error
+ * @param {Error} error - Any error
+ * @param {string} [fallbackMessage] - Message for errors without a known category
+ * @returns {string} Message safe to show in the UI
+ */
+export function getErrorMessage(error, fallbackMessage = 'Failed to load migration data.') {
+  const status = error?.status ? ` (HTTP ${error.status})` : '';
+
+  switch (error?.type) {
+    case ERROR_TYPES.AUTH:
+      return `You are not authorized to view this migration data${status}. Sign in again or ask an admin for access.`;
+    case ERROR_TYPES.SERVER:
+      return `The migration service is unavailable${status}. Please try again later.`;
+    case ERROR_TYPES.OFFLINE:
+      return 'Could not reach the migration service. Check your network connection and try again.';
+    case ERROR_TYPES.TIMEOUT:
+      return 'The migration service took too long to respond. Please try again.';
+    case ERROR_TYPES.BAD_DATA:
+      return 'The migration service returned data in an unexpected format.';
+    case ERROR_TYPES.CLIENT:
+      return `The request for migration data was rejected${status}.`;
+    default:
+      return fallbackMessage;
+  }
+}
+
+/**
+ * Shows an error inline in the migrations container and logs it
+ * @param {Error} error - Any error
+ * @param {string} [fallbackMessage] - Message for errors without a known category
+ */
+export function handleError(error, fallbackMessage) {
+  // eslint-disable-next-line no-console
+  console.error(error);
+
+  const container = document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER);
+  if (!container) return;
+
+  const message = document.createElement('p');
+  message.className = `error${error?.type ? ` error-${error.type}` : ''}`;
+  message.textContent = getErrorMessage(error, fallbackMessage);
+  container.replaceChildren(message);
+}
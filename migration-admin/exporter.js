@@ -0,0 +1,283 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Export module - serialises migration records to CSV and XLSX downloads
+ * @module exporter
+ */
+
+import { TABLE_CONFIG } from './constants.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// How long a download's object URL is kept after the click (ms)
+const REVOKE_DELAY_MS = 10000;
+
+/**
+ * Column keys included in every export: all table columns plus the IMS Org ID
+ * @returns {string[]} Ordered column keys
+ */
+function getExportColumns() {
+  const [name, ...rest] = Object.values(TABLE_CONFIG.COLUMNS);
+  return [name, 'imsOrgId', ...rest];
+}
+
+/**
+ * Converts migrations into a header row and value rows.
+ * Timestamps are written as ISO 8601 strings instead of display dates.
+ * @param {Array<Object>} migrations - Migrations in the order they should be exported
+ * @returns {{headers: string[], rows: Array<Array<string|number>>}} Tabular export data
+ */
+export function buildExportRows(migrations) {
+  const columns = getExportColumns();
+  const headers = columns.map((key) => TABLE_CONFIG.COLUMN_LABELS[key] || key);
+
+  const rows = migrations.map((migration) => columns.map((key) => {
+    const value = migration[key];
+    if (value == null || value === '') return '';
+    if (TABLE_CONFIG.DATE_COLUMNS.includes(key)) {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+    }
+    return value;
+  }));
+
+  return { headers, rows };
+}
+
+/**
+ * Escapes a value for CSV. Values starting with a formula character are
+ * prefixed with a quote so spreadsheets don't evaluate them.
+ * @param {string|number} value - Cell value
+ * @returns {string} Escaped CSV field
+ */
+function escapeCsvField(value) {
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises migrations as CSV
+ * @param {Array<Object>} migrations - Migrations in the order they should be exported
+ * @returns {string} CSV text with a header row
+ */
+export function toCSV(migrations) {
+  const { headers, rows } = buildExportRows(migrations);
+  return [headers, ...rows]
+    .map((row) => row.map(escapeCsvField).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Escapes text for use in XML, dropping characters XML cannot represent
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum used by the zip format
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        // eslint-disable-next-line no-bitwise
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  bytes.forEach((byte) => {
+    // eslint-disable-next-line no-bitwise
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  });
+  // eslint-disable-next-line no-bitwise
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed (stored) zip archive
+ * @param {Array<{name: string, content: string}>} files - Files to add
+ * @returns {Uint8Array} Zip archive bytes
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // stored, no compression
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Serialises migrations as a single-sheet XLSX workbook
+ * @param {Array<Object>} migrations - Migrations in the order they should be exported
+ * @returns {Uint8Array} XLSX file bytes
+ */
+export function toXLSX(migrations) {
+  const { headers, rows } = buildExportRows(migrations);
+
+  const cell = (value) => {
+    if (value === '') return '<c/>';
+    if (typeof value === 'number') return `<c><v>${value}</v></c>`;
+    return `<c t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+  };
+  const sheetRows = [headers, ...rows]
+    .map((row, index) => `<row r="${index + 1}">${row.map(cell).join('')}</row>`)
+    .join('');
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+        + '<sheets><sheet name="Migrations" sheetId="1" r:id="rId1"/></sheets>'
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>',
+    },
+  ]);
+}
+
+/**
+ * Builds an export filename that includes the date range
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Filename such as `aem-migrations_2025-01-01_to_2025-01-31.csv`
+ */
+export function getExportFilename(dateRange, extension) {
+  const day = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+  return `aem-migrations_${day(dateRange.start)}_to_${day(dateRange.end)}.${extension}`;
+}
+
+/**
+ * Triggers a browser download for the given content
+ * @param {string|Uint8Array} content - File content
+ * @param {string} filename - Download filename
+ * @param {string} type - MIME type
+ */
+export function download(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start reading the file only after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+/**
+ * Downloads migrations as CSV or XLSX
+ * @param {Array<Object>} migrations - Migrations in the order they should be exported
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {'csv'|'xlsx'} format - Export format
+ */
+export function exportMigrations(migrations, dateRange, format) {
+  if (format === 'xlsx') {
+    download(toXLSX(migrations), getExportFilename(dateRange, 'xlsx'), XLSX_MIME_TYPE);
+  } else {
+    // Prepend a BOM so Excel detects UTF-8 customer names
+    download(`\uFEFF${toCSV(migrations)}`, getExportFilename(dateRange, 'csv'), 'text/csv;charset=utf-8');
+  }
+}
@@ -0,0 +1,295 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Filter builder - UI for composing advanced filters out of conditions and AND/OR groups
+ * @module filterBuilder
+ */
+
+import { ELEMENT_IDS } from './constants.js';
+import {
+  COMBINATORS, FILTER_FIELDS, FILTER_OPERATORS, FILTER_PRESETS,
+  countActiveConditions, createCondition, createEmptyFilter, getFieldLabel, isGroup,
+  operatorTakesValue,
+} from './filters.js';
+
+// Input type per field type
+const INPUT_TYPES = {
+  number: 'number',
+  percent: 'number',
+  date: 'date',
+  string: 'text',
+};
+
+/**
+ * Creates an element with optional class name and text content
+ * @param {string} tagName - Element tag name
+ * @param {string} [className=''] - Optional CSS class name
+ * @param {string} [text] - Optional text content
+ * @returns {HTMLElement} The created element
+ */
+function createElement(tagName, className = '', text = undefined) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Creates a select element
+ * @param {Array<{value: string, label: string}>} options - Options in order
+ * @param {string} value - Selected value
+ * @param {string} ariaLabel - Accessible name
+ * @returns {HTMLSelectElement} The created select
+ */
+function createSelect(options, value, ariaLabel) {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', ariaLabel);
+  options.forEach((option) => {
+    select.appendChild(new Option(option.label, option.value, false, option.value === value));
+  });
+  return select;
+}
+
+/**
+ * Creates a small text button
+ * @param {string} label - Button text
+ * @param {string} className - CSS class name
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The created button
+ */
+function createButton(label, className, onClick) {
+  const button = createElement('button', className, label);
+  button.type = 'button';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * FilterBuilder class - edits a filter in place and reports every change
+ * @class
+ */
+class FilterBuilder {
+  /**
+   * Creates a new FilterBuilder instance
+   * @constructor
+   */
+  constructor() {
+    /** @type {HTMLElement|null} Builder container */
+    this.container = document.getElementById(ELEMENT_IDS.FILTER_BUILDER);
+    /** @type {HTMLButtonElement|null} Button that shows and hides the builder */
+    this.toggleButton = document.getElementById(ELEMENT_IDS.FILTER_TOGGLE);
+    /** @type {import('./filters.js').FilterGroup} Filter being edited */
+    this.filter = createEmptyFilter();
+    /** @type {Function|null} Called with the filter after every change */
+    this.onChange = null;
+
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => this.setExpanded(!this.isExpanded()));
+    }
+  }
+
+  /**
+   * Whether the builder is currently visible
+   * @returns {boolean} True if expanded
+   */
+  isExpanded() {
+    return Boolean(this.container) && !this.container.classList.contains('hidden');
+  }
+
+  /**
+   * Shows or hides the builder
+   * @param {boolean} expanded - Whether the builder should be visible
+   */
+  setExpanded(expanded) {
+    if (!this.container) return;
+    this.container.classList.toggle('hidden', !expanded);
+    if (this.toggleButton) this.toggleButton.setAttribute('aria-expanded', String(expanded));
+    if (expanded) this.render();
+  }
+
+  /**
+   * Returns the current filter
+   * @returns {import('./filters.js').FilterGroup} Filter
+   */
+  getFilter() {
+    return this.filter;
+  }
+
+  /**
+   * Replaces the filter without reporting a change, e.g. when restoring a view
+   * @param {import('./filters.js').FilterGroup|null} filter - Filter, or null for none
+   */
+  setFilter(filter) {
+    this.filter = filter || createEmptyFilter();
+    this.render();
+  }
+
+  /**
+   * Reports a change of the filter
+   * @param {Object} [options={}] - Change options
+   * @param {boolean} [options.rerender=false] - Rebuild the controls (structural changes);
+   *   value edits keep the inputs so focus is not lost
+   */
+  notifyChange({ rerender = false } = {}) {
+    if (rerender) {
+      this.render();
+    } else {
+      this.updateToggleLabel();
+    }
+    if (this.onChange) this.onChange(this.filter);
+  }
+
+  /**
+   * Shows the number of active conditions on the toggle button
+   */
+  updateToggleLabel() {
+    if (!this.toggleButton) return;
+    const count = countActiveConditions(this.filter);
+    this.toggleButton.textContent = count ? `Filters (${count})` : 'Filters';
+    this.toggleButton.classList.toggle('active', count > 0);
+  }
+
+  /**
+   * Renders the builder
+   */
+  render() {
+    this.updateToggleLabel();
+    if (!this.container) return;
+
+    const footer = createElement('div', 'filter-footer');
+    footer.appendChild(createElement('span', 'filter-presets-label', 'Presets:'));
+    FILTER_PRESETS.forEach((preset) => {
+      footer.appendChild(createButton(preset.label, 'filter-preset', () => {
+        this.filter = structuredClone(preset.filter);
+        this.notifyChange({ rerender: true });
+      }));
+    });
+    footer.appendChild(createButton('Clear all', 'filter-clear', () => {
+      this.filter = createEmptyFilter();
+      this.notifyChange({ rerender: true });
+    }));
+
+    this.container.replaceChildren(this.renderGroup(this.filter, null), footer);
+  }
+
+  /**
+   * Renders a group with its conditions and subgroups
+   * @param {import('./filters.js').FilterGroup} group - Group to render
+   * @param {import('./filters.js').FilterGroup|null} parent - Enclosing group, null for the root
+   * @returns {HTMLElement} Group element
+   */
+  renderGroup(group, parent) {
+    const el = createElement('div', parent ? 'filter-group nested' : 'filter-group');
+
+    const header = createElement('div', 'filter-group-header');
+    const combinator = createSelect([
+      { value: COMBINATORS.AND, label: 'all' },
+      { value: COMBINATORS.OR, label: 'any' },
+    ], group.combinator, 'Combine conditions with');
+    combinator.addEventListener('change', () => {
+      group.combinator = combinator.value;
+      this.notifyChange();
+    });
+    header.append('Match ', combinator, ' of the following:');
+    if (parent) {
+      header.appendChild(createButton('Remove group', 'filter-remove', () => {
+        parent.conditions.splice(parent.conditions.indexOf(group), 1);
+        this.notifyChange({ rerender: true });
+      }));
+    }
+    el.appendChild(header);
+
+    group.conditions.forEach((entry) => {
+      el.appendChild(isGroup(entry)
+        ? this.renderGroup(entry, group)
+        : this.renderCondition(entry, group));
+    });
+
+    const actions = createElement('div', 'filter-group-actions');
+    actions.append(
+      createButton('+ Condition', 'filter-add', () => {
+        group.conditions.push(createCondition());
+        this.notifyChange({ rerender: true });
+      }),
+      createButton('+ Group', 'filter-add', () => {
+        group.conditions.push({
+          combinator: COMBINATORS.OR,
+          conditions: [createCondition()],
+        });
+        this.notifyChange({ rerender: true });
+      }),
+    );
+    el.appendChild(actions);
+
+    return el;
+  }
+
+  /**
+   * Renders one condition row
+   * @param {import('./filters.js').FilterCondition} condition - Condition to render
+   * @param {import('./filters.js').FilterGroup} group - Group containing the condition
+   * @returns {HTMLElement} Condition element
+   */
+  renderCondition(condition, group) {
+    const row = createElement('div', 'filter-condition');
+    const { type } = FILTER_FIELDS[condition.field];
+
+    const field = createSelect(
+      Object.keys(FILTER_FIELDS).map((key) => ({ value: key, label: getFieldLabel(key) })),
+      condition.field,
+      'Field',
+    );
+    field.addEventListener('change', () => {
+      group.conditions[group.conditions.indexOf(condition)] = createCondition(field.value);
+      this.notifyChange({ rerender: true });
+    });
+
+    const operator = createSelect(FILTER_OPERATORS[type], condition.operator, 'Operator');
+    operator.addEventListener('change', () => {
+      condition.operator = operator.value;
+      this.notifyChange({ rerender: true });
+    });
+    row.append(field, operator);
+
+    if (operatorTakesValue(condition.operator)) {
+      const createInput = (key, label) => {
+        const input = document.createElement('input');
+        input.type = INPUT_TYPES[type];
+        input.value = condition[key] ?? '';
+        input.setAttribute('aria-label', label);
+        if (type === 'number' || type === 'percent') input.step = 'any';
+        input.addEventListener('input', () => {
+          condition[key] = input.value;
+          this.notifyChange();
+        });
+        return input;
+      };
+
+      row.appendChild(createInput('value', 'Value'));
+      if (condition.operator === 'between') {
+        row.append(' and ', createInput('value2', 'Upper value'));
+      }
+      if (type === 'percent') row.append('%');
+    }
+
+    row.appendChild(createButton('×', 'filter-remove', () => {
+      group.conditions.splice(group.conditions.indexOf(condition), 1);
+      this.notifyChange({ rerender: true });
+    }));
+    row.lastChild.setAttribute('aria-label', 'Remove condition');
+
+    return row;
+  }
+}
+
+export default FilterBuilder;
@@ -0,0 +1,434 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Advanced filters - condition model and evaluation for the filter builder
+ * @module filters
+ */
+
+import { FUNNEL_CONFIG, TABLE_CONFIG } from './constants.js';
+import { DateUtils } from './utils.js';
+
+/**
+ * A single condition, e.g. `{ field: 'failedIngestions', operator: 'gt', value: '5' }`.
+ * Values are kept as entered (strings) so half-typed conditions survive re-rendering.
+ * @typedef {Object} FilterCondition
+ * @property {string} field - Key from FILTER_FIELDS
+ * @property {string} operator - Operator valid for the field's type
+ * @property {string} [value] - First operand
+ * @property {string} [value2] - Second operand, for `between`
+ */
+
+/**
+ * Conditions and nested groups combined with AND or OR
+ * @typedef {Object} FilterGroup
+ * @property {'and'|'or'} combinator - How the conditions are combined
+ * @property {Array<FilterCondition|FilterGroup>} conditions - Conditions and subgroups
+ */
+
+export const COMBINATORS = Object.freeze({
+  AND: 'and',
+  OR: 'or',
+});
+
+// Filterable fields; `getValue` derives fields that are not on the record
+export const FILTER_FIELDS = Object.freeze({
+  failedIngestions: { type: 'number' },
+  totalIngestions: { type: 'number' },
+  totalProjects: { type: 'number' },
+  failureRate: { type: 'percent' },
+  healthScore: { type: 'number' },
+  daysSinceLastIngestion: { type: 'number' },
+  daysSinceBpaUpload: { type: 'number' },
+  bpaReportUploaded: { type: 'date' },
+  firstIngestion: { type: 'date' },
+  lastIngestion: { type: 'date' },
+  imsOrgId: { type: 'string' },
+  hasStartedIngesting: {
+    type: 'boolean',
+    label: 'Has Started Ingesting',
+    getValue: (migration) => Boolean(migration.firstIngestion)
+      || (migration.totalIngestions || 0) > 0,
+  },
+});
+
+const NUMBER_OPERATORS = [
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '≥' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '≤' },
+  { value: 'eq', label: '=' },
+  { value: 'between', label: 'between' },
+  { value: 'empty', label: 'is empty' },
+];
+
+// Operators per field type, in menu order
+export const FILTER_OPERATORS = Object.freeze({
+  number: NUMBER_OPERATORS,
+  percent: NUMBER_OPERATORS,
+  date: [
+    { value: 'before', label: 'before' },
+    { value: 'after', label: 'after' },
+    { value: 'notSince', label: 'none since' },
+    { value: 'empty', label: 'is empty' },
+    { value: 'notEmpty', label: 'is set' },
+  ],
+  string: [
+    { value: 'equals', label: 'is' },
+    { value: 'notEquals', label: 'is not' },
+  ],
+  boolean: [
+    { value: 'isTrue', label: 'yes' },
+    { value: 'isFalse', label: 'no' },
+  ],
+});
+
+// Operators that don't take a value
+const UNARY_OPERATORS = ['empty', 'notEmpty', 'isTrue', 'isFalse'];
+
+/**
+ * Whether an operator needs a value operand
+ * @param {string} operator - Operator key
+ * @returns {boolean} False for operators such as `empty` or `isTrue`
+ */
+export function operatorTakesValue(operator) {
+  return !UNARY_OPERATORS.includes(operator);
+}
+
+/**
+ * Returns the display label of a filter field
+ * @param {string} field - Key from FILTER_FIELDS
+ * @returns {string} Label
+ */
+export function getFieldLabel(field) {
+  return FILTER_FIELDS[field]?.label || TABLE_CONFIG.COLUMN_LABELS[field] || field;
+}
+
+/**
+ * Creates a filter without conditions
+ * @param {'and'|'or'} [combinator='and'] - How conditions will be combined
+ * @returns {FilterGroup} Empty filter
+ */
+export function createEmptyFilter(combinator = COMBINATORS.AND) {
+  return { combinator, conditions: [] };
+}
+
+/**
+ * Creates a condition with the field's first operator
+ * @param {string} [field='failedIngestions'] - Key from FILTER_FIELDS
+ * @returns {FilterCondition} New condition
+ */
+export function createCondition(field = 'failedIngestions') {
+  return { field, operator: FILTER_OPERATORS[FILTER_FIELDS[field].type][0].value, value: '' };
+}
+
+/**
+ * Whether an entry of a group is a nested group
+ * @param {FilterCondition|FilterGroup} entry - Group entry
+ * @returns {boolean} True for groups
+ */
+export function isGroup(entry) {
+  return Array.isArray(entry?.conditions);
+}
+
+/**
+ * Whether a condition has everything it needs to be evaluated
+ * @param {FilterCondition} condition - Condition to check
+ * @returns {boolean} True if complete
+ */
+function isConditionComplete({
+  field, operator, value, value2,
+}) {
+  const definition = FILTER_FIELDS[field];
+  if (!definition || !FILTER_OPERATORS[definition.type].some((op) => op.value === operator)) {
+    return false;
+  }
+  if (UNARY_OPERATORS.includes(operator)) return true;
+
+  const isSet = (operand) => operand !== undefined && operand !== null && String(operand).trim() !== '';
+  return isSet(value) && (operator !== 'between' || isSet(value2));
+}
+
+/**
+ * Counts the complete conditions in a filter, including nested groups
+ * @param {FilterGroup} filter - Filter to count
+ * @returns {number} Number of conditions that take part in filtering
+ */
+export function countActiveConditions(filter) {
+  return (filter?.conditions || []).reduce((count, entry) => {
+    if (isGroup(entry)) return count + countActiveConditions(entry);
+    return count + (isConditionComplete(entry) ? 1 : 0);
+  }, 0);
+}
+
+/**
+ * Parses a `YYYY-MM-DD` operand as the UTC day it names
+ * @param {string} value - Date operand
+ * @returns {{start: number, end: number}|null} Day bounds, or null if invalid
+ */
+function parseDay(value) {
+  const start = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  return Number.isNaN(start) ? null : { start, end: start + DateUtils.MS_PER_DAY - 1 };
+}
+
+/**
+ * Evaluates a complete condition against a migration
+ * @param {Object} migration - Migration with health metrics
+ * @param {FilterCondition} condition - Complete condition
+ * @returns {boolean} True if the migration matches
+ */
+function matchesCondition(migration, {
+  field, operator, value, value2,
+}) {
+  const definition = FILTER_FIELDS[field];
+  const actual = definition.getValue ? definition.getValue(migration) : migration[field];
+  const isEmpty = actual === null || actual === undefined || actual === '';
+
+  if (operator === 'empty') return isEmpty;
+  if (operator === 'notEmpty') return !isEmpty;
+
+  switch (definition.type) {
+    case 'boolean':
+      return operator === 'isTrue' ? Boolean(actual) : !actual;
+    case 'string': {
+      const matches = !isEmpty && String(actual).trim() === String(value).trim();
+      return operator === 'equals' ? matches : !matches;
+    }
+    case 'date': {
+      const day = parseDay(value);
+      if (!day) return true;
+      if (operator === 'notSince') return isEmpty || actual < day.start;
+      if (isEmpty) return false;
+      return operator === 'before' ? actual < day.start : actual > day.end;
+    }
+    default: {
+      // Percent operands are entered as 0-100 and compared to 0-1 ratios
+      const scale = definition.type === 'percent' ? 100 : 1;
+      const operand = Number(value) / scale;
+      if (isEmpty || Number.isNaN(operand)) return false;
+      switch (operator) {
+        case 'gt': return actual > operand;
+        case 'gte': return actual >= operand;
+        case 'lt': return actual < operand;
+        case 'lte': return actual <= operand;
+        case 'eq': return actual === operand;
+        case 'between': {
+          const operand2 = Number(value2) / scale;
+          return actual >= Math.min(operand, operand2) && actual <= Math.max(operand, operand2);
+        }
+        default: return true;
+      }
+    }
+  }
+}
+
+/**
+ * Evaluates a filter against a migration. Incomplete conditions and empty
+ * groups are ignored, so a filter that is still being built never hides rows.
+ * @param {Object} migration - Migration with health metrics
+ * @param {FilterGroup} filter - Filter to evaluate
+ * @returns {boolean} True if the migration matches
+ */
+export function matchesFilter(migration, filter) {
+  const active = (filter?.conditions || []).filter((entry) => (isGroup(entry)
+    ? countActiveConditions(entry) > 0
+    : isConditionComplete(entry)));
+  if (active.length === 0) return true;
+
+  const test = (entry) => (isGroup(entry)
+    ? matchesFilter(migration, entry)
+    : matchesCondition(migration, entry));
+  return filter.combinator === COMBINATORS.OR ? active.some(test) : active.every(test);
+}
+
+/**
+ * Checks and normalises a filter from an untrusted source (URL, saved views)
+ * @param {*} value - Parsed JSON
+ * @returns {FilterGroup|null} Normalised filter, or null if the shape is invalid
+ */
+function normaliseGroup(value) {
+  if (!isGroup(value)) return null;
+
+  const conditions = [];
+  value.conditions.forEach((entry) => {
+    if (isGroup(entry)) {
+      const group = normaliseGroup(entry);
+      if (group) conditions.push(group);
+    } else if (entry && FILTER_FIELDS[entry.field]) {
+      conditions.push({
+        field: entry.field,
+        operator: String(entry.operator || ''),
+        value: entry.value === undefined ? '' : String(entry.value),
+        ...(entry.value2 !== undefined && { value2: String(entry.value2) }),
+      });
+    }
+  });
+
+  return {
+    combinator: value.combinator === COMBINATORS.OR ? COMBINATORS.OR : COMBINATORS.AND,
+    conditions,
+  };
+}
+
+/**
+ * Serialises a filter for the URL, or '' if it has no active conditions
+ * @param {FilterGroup} filter - Filter to serialise
+ * @returns {string} JSON text
+ */
+export function serializeFilter(filter) {
+  return countActiveConditions(filter) > 0 ? JSON.stringify(filter) : '';
+}
+
+/**
+ * Parses a filter serialised by serializeFilter
+ * @param {string} text - JSON text
+ * @returns {FilterGroup|null} Filter, or null if the text is not a valid filter
+ */
+export function parseFilter(text) {
+  if (!text) return null;
+  try {
+    return normaliseGroup(JSON.parse(text));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Ready-made filters for common triage questions
+export const FILTER_PRESETS = Object.freeze([
+  {
+    label: 'BPA uploaded, no ingestions',
+    filter: {
+      combinator: COMBINATORS.AND,
+      conditions: [
+        { field: 'bpaReportUploaded', operator: 'notEmpty', value: '' },
+        { field: 'hasStartedIngesting', operator: 'isFalse', value: '' },
+      ],
+    },
+  },
+  {
+    label: 'Failing or stalled',
+    filter: {
+      combinator: COMBINATORS.OR,
+      conditions: [
+        { field: 'failureRate', operator: 'gte', value: '25' },
+        { field: 'daysSinceLastIngestion', operator: 'gt', value: '30' },
+      ],
+    },
+  },
+]);
+
+/**
+ * Days a chart selection narrows the table to, e.g. a heatmap day or the span of a bar
+ * @typedef {Object} ActivityWindow
+ * @property {string} from - First day as `YYYY-MM-DD` (UTC)
+ * @property {string} to - Last day as `YYYY-MM-DD` (UTC), inclusive
+ */
+
+/**
+ * Whether a customer started an ingestion within an activity window
+ * @param {Object} migration - Migration object with ingestionStartDates
+ * @param {ActivityWindow} activityWindow - Days to match
+ * @returns {boolean} True if any ingestion started within the window
+ */
+export function matchesActivityWindow(migration, { from, to }) {
+  return (migration.ingestionStartDates || []).some((timestamp) => {
+    const day = DateUtils.toDayKey(timestamp);
+    return day >= from && day <= to;
+  });
+}
+
+/**
+ * Serialises an activity window for the URL: one day, or `from..to`
+ * @param {ActivityWindow|null} activityWindow - Window to serialise
+ * @returns {string} Text, or '' without a window
+ */
+export function serializeActivityWindow(activityWindow) {
+  if (!activityWindow) return '';
+  const { from, to } = activityWindow;
+  return from === to ? from : `${from}..${to}`;
+}
+
+/**
+ * Parses an activity window serialised by serializeActivityWindow
+ * @param {string} text - `YYYY-MM-DD` or `YYYY-MM-DD..YYYY-MM-DD`
+ * @returns {ActivityWindow|null} Window, or null if the text is not a valid window
+ */
+export function parseActivityWindow(text) {
+  const [from, to = from, ...rest] = String(text || '').split('..');
+  if (rest.length || !parseDay(from) || !parseDay(to) || from > to) return null;
+  return { from, to };
+}
+
+/**
+ * Migration funnel stages in order. A customer reaches a stage when it passes
+ * that stage's test and every test before it.
+ */
+export const FUNNEL_STAGES = Object.freeze([
+  {
+    key: 'bpa',
+    label: 'BPA uploaded',
+    test: (migration) => Boolean(migration.bpaReportUploaded),
+  },
+  {
+    key: 'project',
+    label: 'Project created',
+    test: (migration) => migration.totalProjects > 0,
+  },
+  {
+    key: 'ingested',
+    label: 'First ingestion',
+    test: (migration) => Boolean(migration.firstIngestion),
+  },
+  {
+    key: 'active',
+    label: `Active in last ${FUNNEL_CONFIG.ACTIVE_DAYS} days`,
+    test: (migration) => migration.daysSinceLastIngestion !== null
+      && migration.daysSinceLastIngestion !== undefined
+      && migration.daysSinceLastIngestion <= FUNNEL_CONFIG.ACTIVE_DAYS,
+  },
+  {
+    key: 'noFailures',
+    label: 'No failures',
+    test: (migration) => !migration.failedIngestions,
+  },
+]);
+
+/**
+ * Returns the furthest funnel stage a customer has reached
+ * @param {Object} migration - Migration object with health metrics
+ * @returns {number} Index into FUNNEL_STAGES, -1 if not even the first stage is reached
+ */
+export function getFunnelStageIndex(migration) {
+  const firstMissed = FUNNEL_STAGES.findIndex((stage) => !stage.test(migration));
+  return firstMissed === -1 ? FUNNEL_STAGES.length - 1 : firstMissed - 1;
+}
+
+/**
+ * Whether a customer is stuck at a funnel stage: reached it but not the next one.
+ * For the last stage this means the customer completed the funnel.
+ * @param {Object} migration - Migration object with health metrics
+ * @param {string} stageKey - Key from FUNNEL_STAGES
+ * @returns {boolean} True if the stage is the furthest one reached
+ */
+export function matchesFunnelStage(migration, stageKey) {
+  const index = getFunnelStageIndex(migration);
+  return index >= 0 && FUNNEL_STAGES[index].key === stageKey;
+}
+
+/**
+ * Parses a funnel stage key from the URL
+ * @param {string} text - Stage key
+ * @returns {Object|null} Stage from FUNNEL_STAGES, or null if the key is unknown
+ */
+export function parseFunnelStage(text) {
+  return FUNNEL_STAGES.find((stage) => stage.key === text) || null;
+}
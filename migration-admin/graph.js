@@ -12,394 +12,534 @@
 
 /**
  * Graph rendering module for migration analytics
- * Provides SVG-based bar graphs for visualizing customer and ingestion activity
+ * Turns migrations into the dashboard's charts (drawn by charts.js): customer and
+ * ingestion activity with click-to-filter and drag-to-zoom, adoption, ingestion outcomes,
+ * per-customer history and sparklines, plus the migration funnel
  * @module graph
  */
 
+import { FUNNEL_CONFIG, GRAPH_CONFIG, GRANULARITY } from './constants.js';
+import {
+  CHART_TYPES, attachTooltip, createChart, createDownloadMenu, createGraphContainer,
+  createSparkline,
+} from './charts.js';
+import { FUNNEL_STAGES, getFunnelStageIndex } from './filters.js';
+import { countCustomersPerBucket, findBucketIndex, sumPerBucket } from './stats.js';
+import { DateUtils, createSvgElement } from './utils.js';
+
 /**
- * Generic function to create a bar graph with day ranges on X-axis
- * @param {Object} config - Configuration object
- * @param {Array} config.migrations - Array of migration data
- * @param {string} config.title - Graph title
- * @param {string} config.yAxisLabel - Y-axis label
- * @param {string} config.xAxisLabel - X-axis label
- * @param {string} config.barColor - Bar color (hex)
- * @param {Function} config.calculateData - Function to calculate bar data from migrations
- * @returns {HTMLElement} - The graph container element
+ * Formats a timestamp as a short UTC day label, e.g. "Nov 5"
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} Formatted day
  */
-function createBarGraph(config) {
-  const {
-    migrations, title, barColor, calculateData,
-  } = config;
+const formatDay = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
 
-  const container = document.createElement('div');
-  container.className = 'graph-container';
+/**
+ * Creates a label for a bucket spanning one or more days
+ * @param {number} start - Bucket start timestamp
+ * @param {number} end - Bucket end timestamp (inclusive)
+ * @param {string} granularity - Granularity value from GRANULARITY
+ * @returns {string} Label such as "Nov 5", "Nov 1-7", "Oct 29-Nov 4" or "Nov 2024"
+ */
+function formatBucketLabel(start, end, granularity) {
+  if (granularity === GRANULARITY.MONTHLY.value) {
+    return new Date(start).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
 
-  // Calculate data based on provided function
-  const { dataPoints, maxCount, totalUniqueCustomers } = calculateData(migrations);
+  const startLabel = formatDay(start);
+  const endLabel = formatDay(end);
+  if (granularity === GRANULARITY.DAILY.value || startLabel === endLabel) return startLabel;
 
-  if (dataPoints.length === 0) {
-    container.innerHTML = '<p class="no-data">No ingestion data available</p>';
-    return container;
+  // If same month, show "Nov 1-10", otherwise "Oct 31-Nov 5"
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  if (startDate.getUTCMonth() === endDate.getUTCMonth()) {
+    return `${startLabel}-${endDate.getUTCDate()}`;
   }
+  return `${startLabel}-${endLabel}`;
+}
 
-  // Graph dimensions
-  const width = 800;
-  const height = 300;
-  const padding = {
-    top: 50, right: 30, bottom: 50, left: 60,
-  };
-  const graphWidth = width - padding.left - padding.right;
-  const graphHeight = height - padding.top - padding.bottom;
-
-  // Create SVG
-  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-  svg.setAttribute('class', 'graph-svg');
-
-  // Create title
-  const titleElement = document.createElement('h3');
-  titleElement.className = 'graph-title';
-  titleElement.textContent = title;
-
-  // Create grid lines
-  const gridGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  gridGroup.setAttribute('class', 'grid-lines');
-  const ySteps = 5;
-  for (let i = 0; i <= ySteps; i += 1) {
-    const y = padding.top + ((graphHeight * i) / ySteps);
-    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    line.setAttribute('x1', String(padding.left));
-    line.setAttribute('y1', String(y));
-    line.setAttribute('x2', String(padding.left + graphWidth));
-    line.setAttribute('y2', String(y));
-    line.setAttribute('stroke', '#e5e7eb');
-    line.setAttribute('stroke-width', '1');
-    gridGroup.appendChild(line);
-  }
-  svg.appendChild(gridGroup);
-
-  // Calculate grand total
-  // For customer graphs, use totalUniqueCustomers; for ingestions, sum the bars
-  const grandTotal = totalUniqueCustomers !== undefined
-    ? totalUniqueCustomers
-    : dataPoints.reduce((sum, dp) => sum + dp.count, 0);
-
-  // Bars
-  const dayRanges = ['1-10', '11-20', '21-30', '31-40', '41-50', '51-60'].slice().reverse();
-  const reversedDataPoints = dataPoints.slice().reverse();
-  const barWidth = (graphWidth / dayRanges.length) * 0.8;
-  const barSpacing = (graphWidth / dayRanges.length) * 0.2;
-
-  reversedDataPoints.forEach((point, index) => {
-    const x = padding.left + ((index * graphWidth) / dayRanges.length) + (barSpacing / 2);
-    const barHeight = ((point.count / maxCount) * graphHeight);
-    const y = padding.top + graphHeight - barHeight;
-
-    // Calculate color intensity based on value (gradient effect)
-    const intensity = maxCount > 0 ? point.count / maxCount : 0;
-    let gradientColor;
-    if (barColor === '#3b82f6') {
-      // Blue gradient for customers graph
-      gradientColor = `rgba(59, 130, 246, ${0.4 + (intensity * 0.6)})`;
+/**
+ * Splits a date range into consecutive time buckets, oldest first.
+ * Daily and weekly buckets start at UTC midnight of the range start;
+ * monthly buckets follow calendar months. The first and last buckets are
+ * clipped to the range.
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {number} dateRange.start - Range start timestamp
+ * @param {number} dateRange.end - Range end timestamp (inclusive)
+ * @param {string} granularity - Granularity value from GRANULARITY
+ * @returns {Array<{start: number, end: number, label: string}>} Time buckets
+ */
+export function getTimeBuckets(dateRange, granularity) {
+  const buckets = [];
+  const first = new Date(dateRange.start);
+  let cursor = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate());
+
+  while (cursor <= dateRange.end) {
+    let next;
+    if (granularity === GRANULARITY.MONTHLY.value) {
+      const date = new Date(cursor);
+      next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    } else if (granularity === GRANULARITY.DAILY.value) {
+      next = cursor + DateUtils.MS_PER_DAY;
     } else {
-      // Green gradient for ingestions graph
-      gradientColor = `rgba(16, 185, 129, ${0.4 + (intensity * 0.6)})`;
+      next = cursor + (7 * DateUtils.MS_PER_DAY);
     }
 
-    // Bar rectangle
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    rect.setAttribute('x', String(x));
-    rect.setAttribute('y', String(y));
-    rect.setAttribute('width', String(barWidth));
-    rect.setAttribute('height', String(barHeight));
-    rect.setAttribute('fill', gradientColor);
-    rect.setAttribute('rx', '4');
-    rect.setAttribute('class', 'data-bar');
-    rect.innerHTML = `<title>${point.tooltip}</title>`;
-    svg.appendChild(rect);
-
-    // Label above each bar with count and percentage
-    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    label.setAttribute('x', String(x + barWidth / 2));
-    label.setAttribute('y', String(y - 5));
-    label.setAttribute('text-anchor', 'middle');
-    label.setAttribute('class', 'bar-label');
-    label.textContent = `${point.count.toLocaleString()}`;
-    svg.appendChild(label);
-  });
-
-  // Grand total text above graph
-  const totalText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  totalText.setAttribute('x', String(padding.left + graphWidth / 2));
-  totalText.setAttribute('y', String(padding.top - 20));
-  totalText.setAttribute('text-anchor', 'middle');
-  totalText.setAttribute('class', 'grand-total');
-  totalText.textContent = `Total: ${grandTotal.toLocaleString()}`;
-  svg.appendChild(totalText);
-
-  // Y-axis labels
-  const yAxisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  yAxisGroup.setAttribute('class', 'y-axis');
-  for (let i = 0; i <= ySteps; i += 1) {
-    const value = Math.round(maxCount - ((maxCount * i) / ySteps));
-    const y = padding.top + ((graphHeight * i) / ySteps);
-
-    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    text.setAttribute('x', String(padding.left - 10));
-    text.setAttribute('y', String(y + 5));
-    text.setAttribute('text-anchor', 'end');
-    text.setAttribute('class', 'axis-label');
-    text.textContent = String(value);
-    yAxisGroup.appendChild(text);
+    const start = Math.max(cursor, dateRange.start);
+    const end = Math.min(next - 1, dateRange.end);
+    buckets.push({ start, end, label: formatBucketLabel(start, end, granularity) });
+    cursor = next;
   }
-  svg.appendChild(yAxisGroup);
 
-  // X-axis labels with actual dates
-  const xAxisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  xAxisGroup.setAttribute('class', 'x-axis');
-
-  // Helper function to format date range labels
-  const formatDateRange = (rangeStr) => {
-    const now = new Date();
-    const [start, end] = rangeStr.split('-').map(Number);
-
-    // Label "1-10" represents daysAgo 0-9 (positions 1-10 in sequence)
-    // So we need to subtract 1 to get actual daysAgo values
-    const oldestDaysAgo = end - 1; // e.g., "1-10" → 10-1 = 9 days ago
-    const newestDaysAgo = start - 1; // e.g., "1-10" → 1-1 = 0 (today)
-
-    // Calculate actual dates
-    const startDate = new Date(now.getTime() - (oldestDaysAgo * 24 * 60 * 60 * 1000));
-    const endDate = new Date(now.getTime() - (newestDaysAgo * 24 * 60 * 60 * 1000));
+  return buckets;
+}
 
-    const formatDate = (date) => {
-      const month = date.toLocaleDateString('en-US', { month: 'short' });
-      const day = date.getDate();
-      return `${month} ${day}`;
-    };
+/**
+ * Lists a bucket's customers, busiest first
+ * @param {Map<string, number>} customers - Ingestions by customer name
+ * @returns {Array<{name: string, count: number}>} Customers behind a bar
+ */
+function toCustomerList(customers) {
+  return [...customers]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
 
-    const startFormatted = formatDate(startDate);
-    const endFormatted = formatDate(endDate);
+/**
+ * Whether a bucket lies inside the activity window the table is filtered to
+ * @param {{start: number, end: number}} bucket - Time bucket
+ * @param {{from: string, to: string}} [selectedWindow] - Selected days
+ * @returns {boolean} True if selected
+ */
+function isBucketSelected(bucket, selectedWindow) {
+  return Boolean(selectedWindow)
+    && DateUtils.toDayKey(bucket.start) >= selectedWindow.from
+    && DateUtils.toDayKey(bucket.end) <= selectedWindow.to;
+}
 
-    // If same month, show "Nov 1-10", otherwise "Oct 31-Nov 5"
-    const startMonth = startDate.toLocaleDateString('en-US', { month: 'short' });
-    const endMonth = endDate.toLocaleDateString('en-US', { month: 'short' });
+/**
+ * Looks up the granularity definition for a value, falling back to the default
+ * @param {string} granularity - Granularity value from GRANULARITY
+ * @returns {Object} Granularity definition
+ */
+function getGranularity(granularity) {
+  return Object.values(GRANULARITY).find((g) => g.value === granularity)
+    || Object.values(GRANULARITY).find((g) => g.value === GRAPH_CONFIG.DEFAULT_GRANULARITY);
+}
 
-    if (startMonth === endMonth) {
-      return `${startMonth} ${startDate.getDate()}-${endDate.getDate()}`;
-    }
-    return `${startFormatted}-${endFormatted}`;
+/**
+ * Maps the time interactions of the bar graphs onto chart options
+ * @param {Object} interactions - Graph interactions
+ * @param {Function} [interactions.onBarClick] - Called with the clicked bucket's
+ *   {start, end, label}
+ * @param {Function} [interactions.onZoom] - Called with the {start, end} of buckets
+ *   selected by dragging
+ * @param {Function} [interactions.onResetZoom] - Called by the "Reset zoom" button
+ * @param {boolean} [interactions.zoomed=false] - Whether the graph shows a zoomed-in range
+ * @param {{from: string, to: string}} [interactions.selectedWindow] - Days the table is
+ *   filtered to
+ * @returns {Object} Options for createChart
+ */
+function getTimeInteractions({
+  onBarClick, onZoom, onResetZoom, zoomed = false, selectedWindow,
+}) {
+  const hint = [
+    onBarClick && 'click a bar to filter the table',
+    onZoom && 'drag across bars to zoom',
+  ].filter(Boolean).join(', ');
+
+  return {
+    hint: hint && `${hint.charAt(0).toUpperCase()}${hint.slice(1)}`,
+    isSelected: (bucket) => isBucketSelected(bucket, selectedWindow),
+    onCategoryClick: onBarClick && (({ start, end, label }) => onBarClick({ start, end, label })),
+    onRangeSelect: onZoom && ((first, last) => onZoom({ start: first.start, end: last.end })),
+    onResetZoom,
+    zoomed,
   };
-
-  dayRanges.forEach((range, index) => {
-    const rangeWidth = graphWidth / dayRanges.length;
-    const x = padding.left + ((index * graphWidth) / dayRanges.length) + (rangeWidth / 2);
-
-    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    text.setAttribute('x', String(x));
-    text.setAttribute('y', String(height - padding.bottom + 20));
-    text.setAttribute('text-anchor', 'middle');
-    text.setAttribute('class', 'axis-label');
-    text.textContent = formatDateRange(range);
-    xAxisGroup.appendChild(text);
-  });
-  svg.appendChild(xAxisGroup);
-
-  // Y-axis label
-  const yAxisLabelText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  yAxisLabelText.setAttribute('x', String(-height / 2));
-  yAxisLabelText.setAttribute('y', String(15));
-  yAxisLabelText.setAttribute('transform', 'rotate(-90)');
-  yAxisLabelText.setAttribute('text-anchor', 'middle');
-  yAxisLabelText.setAttribute('class', 'axis-title');
-  yAxisLabelText.textContent = config.yAxisLabel;
-  svg.appendChild(yAxisLabelText);
-
-  // X-axis label
-  const xAxisLabelText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  xAxisLabelText.setAttribute('x', String(padding.left + graphWidth / 2));
-  xAxisLabelText.setAttribute('y', String(height - 5));
-  xAxisLabelText.setAttribute('text-anchor', 'middle');
-  xAxisLabelText.setAttribute('class', 'axis-title');
-  xAxisLabelText.textContent = config.xAxisLabel;
-  svg.appendChild(xAxisLabelText);
-
-  container.appendChild(titleElement);
-  container.appendChild(svg);
-  return container;
 }
 
 /**
- * Creates a bar graph showing unique customers running ingestions by day ranges
- * Groups customers by 10-day periods (1-10, 11-20, etc.) over the last 60 days
+ * Creates a bar graph showing unique customers running ingestions per time bucket
  * @param {Array<Object>} migrations - Array of migration objects with ingestionStartDates
  * @param {string} migrations[].customerName - Customer name
  * @param {number[]} migrations[].ingestionStartDates - Array of ingestion start timestamps
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {string} [granularity] - Granularity value from GRANULARITY
+ * @param {Object} [interactions={}] - Click, zoom and selection options
+ *   (onBarClick, onZoom, onResetZoom, zoomed, selectedWindow)
  * @returns {HTMLElement} Graph container element
  * @example
- * const graph = createCustomersGraph(migrations);
+ * const graph = createCustomersGraph(migrations, dateRange, GRANULARITY.WEEKLY.value);
  * document.body.appendChild(graph);
  */
-export function createCustomersGraph(migrations) {
-  const dayRanges = ['1-10', '11-20', '21-30', '31-40', '41-50', '51-60'];
-
-  return createBarGraph({
-    migrations,
-    title: 'Customers Running Ingestions - Last 60 Days',
+export function createCustomersGraph(migrations, dateRange, granularity, interactions = {}) {
+  const { value, axisLabel } = getGranularity(granularity);
+  const buckets = getTimeBuckets(dateRange, value);
+  const customersPerBucket = countCustomersPerBucket(migrations, buckets);
+  const allUniqueCustomers = new Set(
+    customersPerBucket.flatMap((customers) => [...customers.keys()]),
+  );
+
+  return createChart({
+    ...getTimeInteractions(interactions),
+    type: CHART_TYPES.BAR,
+    title: `Customers Running Ingestions - ${dateRange.label}`,
     yAxisLabel: 'Number of Customers',
-    xAxisLabel: 'Date Range',
-    barColor: '#3b82f6',
-    calculateData: (migs) => {
-      const now = Date.now();
-
-      // Filter migrations with ingestionStartDates
-      const validMigrations = migs.filter(
-        (m) => m.ingestionStartDates && Array.isArray(m.ingestionStartDates),
-      );
-
-      if (validMigrations.length === 0) {
-        return { dataPoints: [], maxCount: 0 };
-      }
-
-      // Count unique customers per day range
-      const customersPerRange = {
-        '1-10': new Set(),
-        '11-20': new Set(),
-        '21-30': new Set(),
-        '31-40': new Set(),
-        '41-50': new Set(),
-        '51-60': new Set(),
-      };
-
-      validMigrations.forEach((migration) => {
-        migration.ingestionStartDates.forEach((timestamp) => {
-          // Include all ingestions
-          const daysAgo = Math.floor((now - timestamp) / (86400000));
-          if (daysAgo >= 0) {
-            if (daysAgo >= 0 && daysAgo < 10) {
-              customersPerRange['1-10'].add(migration.customerName);
-            } else if (daysAgo >= 10 && daysAgo < 20) {
-              customersPerRange['11-20'].add(migration.customerName);
-            } else if (daysAgo >= 20 && daysAgo < 30) {
-              customersPerRange['21-30'].add(migration.customerName);
-            } else if (daysAgo >= 30 && daysAgo < 40) {
-              customersPerRange['31-40'].add(migration.customerName);
-            } else if (daysAgo >= 40 && daysAgo < 50) {
-              customersPerRange['41-50'].add(migration.customerName);
-            } else if (daysAgo >= 50) {
-              customersPerRange['51-60'].add(migration.customerName);
-            }
-          }
-        });
-      });
-
-      // Convert Sets to counts and create data points
-      const rangeCounts = {};
-      dayRanges.forEach((range) => {
-        rangeCounts[range] = customersPerRange[range].size;
-      });
-
-      const maxCount = Math.max(...Object.values(rangeCounts));
-
-      // Calculate total unique customers across all ranges
-      const allUniqueCustomers = new Set();
-      Object.values(customersPerRange).forEach((customerSet) => {
-        customerSet.forEach((customer) => allUniqueCustomers.add(customer));
-      });
-      const totalUniqueCustomers = allUniqueCustomers.size;
-
-      // Create distributed data
-      const distributedData = dayRanges.map((range) => ({
-        range,
-        count: Number(rangeCounts[range]),
-        tooltip: `${range} days ago: ${rangeCounts[range].toLocaleString()} unique customers`,
-      }));
-
-      return {
-        dataPoints: distributedData,
-        maxCount: maxCount || 1,
-        totalUniqueCustomers,
-      };
-    },
+    xAxisLabel: axisLabel,
+    totalLabel: `Total: ${allUniqueCustomers.size.toLocaleString()}`,
+    emptyMessage: 'No ingestion data available',
+    categories: buckets.map((bucket, index) => ({
+      ...bucket,
+      customers: toCustomerList(customersPerBucket[index]),
+      tooltip: `${bucket.label}: ${customersPerBucket[index].size.toLocaleString()} unique customers`,
+    })),
+    series: [{
+      key: 'customers',
+      label: 'Customers',
+      color: 'primary',
+      values: customersPerBucket.map((customers) => customers.size),
+    }],
   });
 }
 
 /**
- * Creates a bar graph showing total number of ingestions by day ranges
- * Counts all ingestions grouped by 10-day periods (1-10, 11-20, etc.) over the last 60 days
+ * Creates a bar graph showing total number of ingestions per time bucket
  * @param {Array<Object>} migrations - Array of migration objects with ingestionStartDates
  * @param {number[]} migrations[].ingestionStartDates - Array of ingestion start timestamps
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {string} [granularity] - Granularity value from GRANULARITY
+ * @param {Object} [interactions={}] - Click, zoom and selection options
+ *   (onBarClick, onZoom, onResetZoom, zoomed, selectedWindow)
  * @returns {HTMLElement} Graph container element
  * @example
- * const graph = createIngestionsGraph(migrations);
+ * const graph = createIngestionsGraph(migrations, dateRange, GRANULARITY.WEEKLY.value);
  * document.body.appendChild(graph);
  */
-export function createIngestionsGraph(migrations) {
-  const dayRanges = ['1-10', '11-20', '21-30', '31-40', '41-50', '51-60'];
+export function createIngestionsGraph(migrations, dateRange, granularity, interactions = {}) {
+  const { value, axisLabel } = getGranularity(granularity);
+  const buckets = getTimeBuckets(dateRange, value);
+  const customersPerBucket = countCustomersPerBucket(migrations, buckets);
+  const counts = sumPerBucket(customersPerBucket);
+
+  return createChart({
+    ...getTimeInteractions(interactions),
+    type: CHART_TYPES.BAR,
+    title: `Ingestion Activity - ${dateRange.label}`,
+    yAxisLabel: 'Number of Ingestions',
+    xAxisLabel: axisLabel,
+    totalLabel: `Total: ${counts.reduce((sum, count) => sum + count, 0).toLocaleString()}`,
+    emptyMessage: 'No ingestion data available',
+    categories: buckets.map((bucket, index) => ({
+      ...bucket,
+      customers: toCustomerList(customersPerBucket[index]),
+      tooltip: `${bucket.label}: ${counts[index].toLocaleString()} ingestions`,
+    })),
+    series: [{
+      key: 'ingestions', label: 'Ingestions', color: 'success', values: counts,
+    }],
+  });
+}
+
+/**
+ * Creates a cumulative area graph of customers reaching their first ingestion
+ * @param {Array<Object>} migrations - Migrations with firstIngestion
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {string} [granularity] - Granularity value from GRANULARITY
+ * @returns {HTMLElement} Graph container element
+ */
+export function createAdoptionGraph(migrations, dateRange, granularity) {
+  const { value, axisLabel } = getGranularity(granularity);
+  const buckets = getTimeBuckets(dateRange, value);
+  const startedPerBucket = buckets.map(() => []);
+  migrations.forEach((migration) => {
+    const index = findBucketIndex(buckets, migration.firstIngestion);
+    if (index >= 0) startedPerBucket[index].push({ name: migration.customerName, count: 1 });
+  });
+  const total = startedPerBucket.reduce((sum, started) => sum + started.length, 0);
+
+  return createChart({
+    type: CHART_TYPES.AREA,
+    cumulative: true,
+    title: `Customers Starting Ingestions - ${dateRange.label}`,
+    yAxisLabel: 'Customers (cumulative)',
+    xAxisLabel: axisLabel,
+    totalLabel: `Total: ${total.toLocaleString()}`,
+    emptyMessage: 'No first ingestions in this range',
+    categories: buckets.map((bucket, index) => ({
+      ...bucket,
+      customers: startedPerBucket[index],
+      tooltip: `${bucket.label}: ${startedPerBucket[index].length.toLocaleString()} first ingestions`,
+    })),
+    series: [{
+      key: 'started',
+      label: 'Customers so far',
+      color: 'accent',
+      values: startedPerBucket.map((started) => started.length),
+    }],
+  });
+}
 
-  return createBarGraph({
-    migrations,
-    title: 'Ingestion Activity - Last 60 Days',
+/**
+ * Creates a stacked bar graph of successful and failed ingestions for the busiest customers
+ * @param {Array<Object>} migrations - Migrations with totalIngestions and failedIngestions
+ * @returns {HTMLElement} Graph container element
+ */
+export function createOutcomesGraph(migrations) {
+  const busiest = migrations
+    .filter((migration) => migration.totalIngestions > 0)
+    .sort((a, b) => b.totalIngestions - a.totalIngestions)
+    .slice(0, GRAPH_CONFIG.OUTCOMES_MAX_CUSTOMERS);
+  const failed = busiest.map((migration) => migration.failedIngestions || 0);
+
+  return createChart({
+    type: CHART_TYPES.STACKED_BAR,
+    title: 'Ingestion Outcomes by Customer',
     yAxisLabel: 'Number of Ingestions',
-    xAxisLabel: 'Date Range',
-    barColor: '#10b981',
-    calculateData: (migs) => {
-      const now = Date.now();
-
-      // Filter migrations with ingestionStartDates
-      const validMigrations = migs.filter(
-        (m) => m.ingestionStartDates && Array.isArray(m.ingestionStartDates),
-      );
-
-      if (validMigrations.length === 0) {
-        return { dataPoints: [], maxCount: 0 };
-      }
-
-      // Initialize counts for each day range
-      const rangeCounts = {
-        '1-10': 0,
-        '11-20': 0,
-        '21-30': 0,
-        '31-40': 0,
-        '41-50': 0,
-        '51-60': 0,
-      };
-
-      // Count ingestions per day range
-      validMigrations.forEach((migration) => {
-        migration.ingestionStartDates.forEach((timestamp) => {
-          // Include all ingestions
-          if (timestamp <= now) {
-            const daysAgo = Math.floor((now - timestamp) / (24 * 60 * 60 * 1000));
-
-            if (daysAgo >= 0 && daysAgo <= 9) {
-              rangeCounts['1-10'] += 1;
-            } else if (daysAgo >= 10 && daysAgo <= 19) {
-              rangeCounts['11-20'] += 1;
-            } else if (daysAgo >= 20 && daysAgo <= 29) {
-              rangeCounts['21-30'] += 1;
-            } else if (daysAgo >= 30 && daysAgo <= 39) {
-              rangeCounts['31-40'] += 1;
-            } else if (daysAgo >= 40 && daysAgo <= 49) {
-              rangeCounts['41-50'] += 1;
-            } else if (daysAgo >= 50) {
-              rangeCounts['51-60'] += 1;
-            }
-          }
-        });
-      });
-
-      const maxCount = Math.max(...Object.values(rangeCounts));
-
-      // Create distributed data
-      const distributedData = dayRanges.map((range) => ({
-        range,
-        count: Number(rangeCounts[range]),
-        tooltip: `${range} days ago: ${rangeCounts[range].toLocaleString()} ingestions`,
-      }));
-
-      return { dataPoints: distributedData, maxCount: maxCount || 1 };
-    },
+    xAxisLabel: `Top ${busiest.length} customers by ingestions`,
+    emptyMessage: 'No ingestion data available',
+    categories: busiest.map((migration) => ({
+      label: migration.customerName,
+      tooltip: `${migration.customerName}: ${migration.totalIngestions.toLocaleString()} ingestions`,
+    })),
+    series: [
+      {
+        key: 'successful',
+        label: 'Successful',
+        color: 'success',
+        values: busiest.map((migration, index) => migration.totalIngestions - failed[index]),
+      },
+      {
+        key: 'failed', label: 'Failed', color: 'danger', values: failed,
+      },
+    ],
+  });
+}
+
+/**
+ * Creates a line graph of one customer's ingestions per week, split into successful and
+ * failed when the ingestions have a status
+ * @param {Array<{startDate: number, status: string}>} ingestions - The customer's ingestions
+ * @returns {HTMLElement} Graph container element
+ */
+export function createCustomerIngestionsGraph(ingestions) {
+  const startDates = ingestions.map((ingestion) => ingestion.startDate);
+  const buckets = startDates.length
+    ? getTimeBuckets(
+      { start: Math.min(...startDates), end: Math.max(...startDates) },
+      GRANULARITY.WEEKLY.value,
+    )
+    : [];
+  const countPerBucket = (entries) => {
+    const counts = buckets.map(() => 0);
+    entries.forEach(({ startDate }) => {
+      const index = findBucketIndex(buckets, startDate);
+      if (index >= 0) counts[index] += 1;
+    });
+    return counts;
+  };
+
+  const hasStatus = ingestions.some((ingestion) => ingestion.status);
+  const series = hasStatus
+    ? [
+      {
+        key: 'successful',
+        label: 'Successful',
+        color: 'success',
+        values: countPerBucket(ingestions.filter((ingestion) => ingestion.status !== 'failed')),
+      },
+      {
+        key: 'failed',
+        label: 'Failed',
+        color: 'danger',
+        values: countPerBucket(ingestions.filter((ingestion) => ingestion.status === 'failed')),
+      },
+    ]
+    : [{
+      key: 'ingestions', label: 'Ingestions', color: 'primary', values: countPerBucket(ingestions),
+    }];
+
+  return createChart({
+    type: CHART_TYPES.LINE,
+    title: 'Ingestions per Week',
+    height: 200,
+    emptyMessage: 'No ingestions in the selected date range',
+    categories: buckets,
+    series,
+  });
+}
+
+/**
+ * Creates a sparkline of ingestions per time bucket, e.g. for the summary bar
+ * @param {Array<Object>} migrations - Migrations with ingestionStartDates
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {string} [granularity] - Granularity value from GRANULARITY
+ * @returns {SVGElement} Sparkline SVG
+ */
+export function createIngestionsSparkline(migrations, dateRange, granularity) {
+  const { value, label } = getGranularity(granularity);
+  const buckets = getTimeBuckets(dateRange, value);
+  const counts = sumPerBucket(countCustomersPerBucket(migrations, buckets));
+  return createSparkline(counts, {
+    label: `${label} ingestions: ${counts.map((count) => count.toLocaleString()).join(', ')}`,
+    color: 'success',
+  });
+}
+
+/**
+ * Formats a share as a whole percentage
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {string} e.g. "42%", or "–" when the whole is empty
+ */
+function formatPercent(count, total) {
+  return total > 0 ? `${Math.round((count / total) * 100)}%` : '–';
+}
+
+/**
+ * Counts how many customers reach each funnel stage and how many stop there
+ * @param {Array<Object>} migrations - Migrations with health metrics
+ * @returns {{total: number, notStarted: number, stages: Array<Object>}} Per-stage
+ *   `reached` and `stuck` counts, with the conversion from the stage before
+ */
+function countFunnelStages(migrations) {
+  const stuck = FUNNEL_STAGES.map(() => 0);
+  let notStarted = 0;
+  migrations.forEach((migration) => {
+    const index = getFunnelStageIndex(migration);
+    if (index < 0) notStarted += 1;
+    else stuck[index] += 1;
   });
+
+  // Customers reaching a stage are those stuck there or at any later stage
+  const reached = stuck.map((_, index) => stuck.slice(index).reduce((sum, n) => sum + n, 0));
+
+  return {
+    total: migrations.length,
+    notStarted,
+    stages: FUNNEL_STAGES.map((stage, index) => ({
+      ...stage,
+      reached: reached[index],
+      stuck: stuck[index],
+      conversion: formatPercent(
+        reached[index],
+        index === 0 ? migrations.length : reached[index - 1],
+      ),
+    })),
+  };
+}
+
+/**
+ * Creates the migration funnel: how many customers reach each stage from BPA upload to
+ * failure-free ingestion, with the conversion from the stage before
+ * @param {Array<Object>} migrations - Migrations with health metrics
+ * @param {Object} [options={}] - Funnel options
+ * @param {string} [options.selectedStage] - Key of the stage the table is filtered to
+ * @param {Function} [options.onStageClick] - Called with the key of a clicked stage
+ * @returns {HTMLElement} Graph container element
+ * @example
+ * const funnel = createFunnelGraph(migrations, { onStageClick: (key) => filterTo(key) });
+ * document.body.appendChild(funnel);
+ */
+export function createFunnelGraph(migrations, { selectedStage, onStageClick } = {}) {
+  const title = 'Migration Funnel';
+  const container = createGraphContainer(title, 'funnel-container');
+
+  if (migrations.length === 0) {
+    container.insertAdjacentHTML('beforeend', '<p class="no-data">No customers to show</p>');
+    return container;
+  }
+
+  const { total, notStarted, stages } = countFunnelStages(migrations);
+
+  const hint = document.createElement('p');
+  hint.className = 'graph-hint';
+  hint.textContent = [
+    `${total.toLocaleString()} customers`,
+    notStarted > 0 && `${notStarted.toLocaleString()} without a BPA upload`,
+    onStageClick && 'click a stage to show the customers stuck there',
+  ].filter(Boolean).join(' · ');
+  container.appendChild(hint);
+  container.appendChild(createDownloadMenu(container));
+
+  // Stage names on the left, centered bars, counts and conversion on the right
+  const width = GRAPH_CONFIG.WIDTH;
+  const labelWidth = 170;
+  const statsWidth = 200;
+  const barAreaWidth = width - labelWidth - statsWidth;
+  const rowStep = FUNNEL_CONFIG.ROW_HEIGHT + FUNNEL_CONFIG.ROW_GAP;
+  const height = (stages.length * rowStep) - FUNNEL_CONFIG.ROW_GAP;
+
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    class: 'graph-svg funnel-svg',
+    role: 'group',
+    'aria-label': title,
+  });
+
+  stages.forEach((stage, index) => {
+    const y = index * rowStep;
+    const middle = y + (FUNNEL_CONFIG.ROW_HEIGHT / 2);
+    const description = `${stage.label}: ${stage.reached.toLocaleString()} customers (${stage.conversion} ${index === 0 ? 'of all customers' : 'of the previous stage'}), ${stage.stuck.toLocaleString()} stuck here`;
+
+    const row = createSvgElement('g', {
+      class: 'funnel-stage',
+      'data-stage': stage.key,
+      role: onStageClick ? 'button' : 'img',
+      'aria-label': description,
+    });
+    if (stage.key === selectedStage) row.classList.add('selected');
+    if (onStageClick) {
+      row.setAttribute('tabindex', '0');
+      row.setAttribute('aria-pressed', String(stage.key === selectedStage));
+    }
+
+    row.appendChild(createSvgElement('rect', {
+      x: 0, y, width, height: FUNNEL_CONFIG.ROW_HEIGHT, class: 'funnel-row',
+    }));
+
+    const barWidth = stage.reached > 0
+      ? Math.max(FUNNEL_CONFIG.MIN_BAR_WIDTH, (stage.reached / total) * barAreaWidth)
+      : 0;
+    row.appendChild(createSvgElement('rect', {
+      x: labelWidth + ((barAreaWidth - barWidth) / 2),
+      y: y + 4,
+      width: barWidth,
+      height: FUNNEL_CONFIG.ROW_HEIGHT - 8,
+      rx: 4,
+      class: 'funnel-bar',
+    }));
+
+    const label = createSvgElement('text', {
+      x: labelWidth - 12, y: middle + 5, 'text-anchor': 'end', class: 'axis-title',
+    });
+    label.textContent = stage.label;
+    row.appendChild(label);
+
+    const stats = createSvgElement('text', {
+      x: width - statsWidth + 12, y: middle + 5, class: 'bar-label',
+    });
+    stats.textContent = `${stage.reached.toLocaleString()} · ${stage.conversion}`;
+    row.appendChild(stats);
+
+    svg.appendChild(row);
+  });
+
+  if (onStageClick) {
+    const getStageKey = (target) => target.closest?.('.funnel-stage')?.getAttribute('data-stage');
+    svg.addEventListener('click', (e) => {
+      const key = getStageKey(e.target);
+      if (key) onStageClick(key);
+    });
+    svg.addEventListener('keydown', (e) => {
+      const key = getStageKey(e.target);
+      if (!key || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      onStageClick(key);
+    });
+  }
+
+  container.appendChild(svg);
+  attachTooltip(container, svg, '.funnel-stage', (row) => ({ label: row.getAttribute('aria-label') }));
+  return container;
 }
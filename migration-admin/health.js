@@ -0,0 +1,147 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Health metrics - derived per-customer columns and the composite health score
+ * @module health
+ */
+
+import { HEALTH_CONFIG } from './constants.js';
+import { DateUtils } from './utils.js';
+
+export const HEALTH_STATUS = Object.freeze({
+  HEALTHY: 'healthy',
+  WARNING: 'warning',
+  AT_RISK: 'at-risk',
+});
+
+const STATUS_ORDER = [HEALTH_STATUS.HEALTHY, HEALTH_STATUS.WARNING, HEALTH_STATUS.AT_RISK];
+
+/**
+ * Whole days elapsed since a timestamp
+ * @param {number|null} timestamp - Timestamp in milliseconds
+ * @param {number} now - Reference time
+ * @returns {number|null} Days, or null without a timestamp
+ */
+function daysSince(timestamp, now) {
+  if (!timestamp) return null;
+  return Math.max(0, Math.floor((now - timestamp) / DateUtils.MS_PER_DAY));
+}
+
+/**
+ * Status of a single metric against its thresholds
+ * @param {number} value - Metric value
+ * @param {{WARNING: number, AT_RISK: number}} thresholds - Thresholds from HEALTH_CONFIG
+ * @returns {string} Status from HEALTH_STATUS
+ */
+function getFactorStatus(value, thresholds) {
+  if (value >= thresholds.AT_RISK) return HEALTH_STATUS.AT_RISK;
+  if (value >= thresholds.WARNING) return HEALTH_STATUS.WARNING;
+  return HEALTH_STATUS.HEALTHY;
+}
+
+/**
+ * Computes the derived metrics of one customer.
+ * The score weighs each available factor from 100 (best) down to 0 at its
+ * at-risk threshold; factors without data are left out.
+ * @param {Object} migration - Validated migration object
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {{
+ *   failureRate: number|null,
+ *   daysSinceLastIngestion: number|null,
+ *   daysSinceBpaUpload: number|null,
+ *   healthScore: number|null,
+ *   healthStatus: string,
+ *   healthIssues: string[]
+ * }} Derived metrics; failureRate is a 0-1 ratio
+ */
+export function getHealthMetrics(migration, now = Date.now()) {
+  const total = migration.totalIngestions || 0;
+  const failureRate = total > 0 ? (migration.failedIngestions || 0) / total : null;
+  const daysSinceLastIngestion = daysSince(migration.lastIngestion, now);
+  const daysSinceBpaUpload = daysSince(migration.bpaReportUploaded, now);
+
+  // A customer that never ingested has been idle since the BPA upload
+  const idleDays = daysSinceLastIngestion ?? daysSinceBpaUpload;
+
+  const factors = [
+    {
+      value: failureRate,
+      thresholds: HEALTH_CONFIG.FAILURE_RATE,
+      weight: HEALTH_CONFIG.WEIGHTS.FAILURE_RATE,
+      issue: () => `${(failureRate * 100).toFixed(1)}% of ingestions failed`,
+    },
+    {
+      value: idleDays,
+      thresholds: HEALTH_CONFIG.DAYS_SINCE_LAST_INGESTION,
+      weight: HEALTH_CONFIG.WEIGHTS.DAYS_SINCE_LAST_INGESTION,
+      issue: () => (daysSinceLastIngestion === null
+        ? `No ingestion ${idleDays} days after the BPA upload`
+        : `No ingestion for ${idleDays} days`),
+    },
+    {
+      value: daysSinceBpaUpload,
+      thresholds: HEALTH_CONFIG.DAYS_SINCE_BPA_UPLOAD,
+      weight: HEALTH_CONFIG.WEIGHTS.DAYS_SINCE_BPA_UPLOAD,
+      issue: () => `BPA report is ${daysSinceBpaUpload} days old`,
+      // An old report is worth a reminder but says nothing about the migration itself;
+      // a customer that never ingested is caught by the idle days above
+      maxStatus: HEALTH_STATUS.WARNING,
+    },
+  ].filter((factor) => factor.value !== null);
+
+  let status = HEALTH_STATUS.HEALTHY;
+  const healthIssues = [];
+  const worsen = (candidate) => {
+    if (STATUS_ORDER.indexOf(candidate) > STATUS_ORDER.indexOf(status)) status = candidate;
+  };
+
+  let weightedScore = 0;
+  let totalWeight = 0;
+  factors.forEach(({
+    value, thresholds, weight, issue, maxStatus = HEALTH_STATUS.AT_RISK,
+  }) => {
+    weightedScore += weight * Math.min(1, Math.max(0, 1 - value / thresholds.AT_RISK));
+    totalWeight += weight;
+
+    const factorStatus = getFactorStatus(value, thresholds);
+    if (factorStatus !== HEALTH_STATUS.HEALTHY) healthIssues.push(issue());
+    const rank = Math.min(STATUS_ORDER.indexOf(factorStatus), STATUS_ORDER.indexOf(maxStatus));
+    worsen(STATUS_ORDER[rank]);
+  });
+
+  const healthScore = totalWeight > 0 ? Math.round((weightedScore / totalWeight) * 100) : null;
+  if (healthScore !== null) {
+    if (healthScore < HEALTH_CONFIG.SCORE.AT_RISK) worsen(HEALTH_STATUS.AT_RISK);
+    else if (healthScore < HEALTH_CONFIG.SCORE.WARNING) worsen(HEALTH_STATUS.WARNING);
+  }
+
+  return {
+    failureRate,
+    daysSinceLastIngestion,
+    daysSinceBpaUpload,
+    healthScore,
+    healthStatus: status,
+    healthIssues,
+  };
+}
+
+/**
+ * Returns copies of the migrations with the derived metrics added as fields,
+ * so they can be displayed, sorted and exported like the API fields
+ * @param {Array<Object>} migrations - Validated migrations
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {Array<Object>} Migrations with health metrics
+ */
+export function addHealthMetrics(migrations, now = Date.now()) {
+  return migrations.map((migration) => ({ ...migration, ...getHealthMetrics(migration, now) }));
+}
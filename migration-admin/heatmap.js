@@ -0,0 +1,374 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Activity heatmap - GitHub-style calendars of ingestions per day, for the whole
+ * portfolio and as small multiples per customer
+ * @module heatmap
+ */
+
+import { attachTooltip, createDownloadMenu, createGraphContainer } from './charts.js';
+import { HEATMAP_CONFIG } from './constants.js';
+import { DateUtils, createSvgElement } from './utils.js';
+
+const DAYS_PER_WEEK = 7;
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+// Tooltip of each day cell, shown by the shared chart tooltip
+const cellTooltips = new WeakMap();
+
+/**
+ * Lays out the days of a range as calendar weeks (columns, Sunday first).
+ * Ranges longer than HEATMAP_CONFIG.MAX_WEEKS keep their most recent weeks.
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @returns {{days: Array<{start: number, key: string, week: number, weekday: number}>,
+ *   weeks: number, start: number, end: number, truncated: boolean}} Calendar layout
+ */
+export function getCalendar(dateRange) {
+  const { MS_PER_DAY } = DateUtils;
+  const lastDay = Math.floor(dateRange.end / MS_PER_DAY) * MS_PER_DAY;
+  const rangeFirstDay = Math.floor(dateRange.start / MS_PER_DAY) * MS_PER_DAY;
+
+  // The oldest week may be partial, so the limit counts whole weeks back from the last day
+  const lastWeekStart = lastDay - new Date(lastDay).getUTCDay() * MS_PER_DAY;
+  const earliestDay = lastWeekStart - (HEATMAP_CONFIG.MAX_WEEKS - 1) * DAYS_PER_WEEK * MS_PER_DAY;
+  const firstDay = Math.max(rangeFirstDay, earliestDay);
+  const gridStart = firstDay - new Date(firstDay).getUTCDay() * MS_PER_DAY;
+
+  const days = [];
+  for (let start = firstDay; start <= lastDay; start += MS_PER_DAY) {
+    const offset = Math.round((start - gridStart) / MS_PER_DAY);
+    days.push({
+      start,
+      key: DateUtils.toDayKey(start),
+      week: Math.floor(offset / DAYS_PER_WEEK),
+      weekday: offset % DAYS_PER_WEEK,
+    });
+  }
+
+  return {
+    days,
+    weeks: days.length ? days[days.length - 1].week + 1 : 0,
+    start: firstDay,
+    end: lastDay + MS_PER_DAY - 1,
+    truncated: firstDay > rangeFirstDay,
+  };
+}
+
+/**
+ * Counts ingestions and customers per day within the calendar
+ * @param {Array<Object>} migrations - Migrations with ingestionStartDates
+ * @param {{start: number, end: number}} calendar - Calendar from getCalendar
+ * @returns {Map<string, {count: number, customers: Map<string, number>}>} Activity by day key,
+ *   with the ingestions of each customer
+ */
+function countByDay(migrations, calendar) {
+  const activity = new Map();
+  migrations.forEach((migration) => {
+    (migration.ingestionStartDates || []).forEach((timestamp) => {
+      if (timestamp < calendar.start || timestamp > calendar.end) return;
+      const key = DateUtils.toDayKey(timestamp);
+      const day = activity.get(key) || { count: 0, customers: new Map() };
+      day.count += 1;
+      const { customerName } = migration;
+      day.customers.set(customerName, (day.customers.get(customerName) || 0) + 1);
+      activity.set(key, day);
+    });
+  });
+  return activity;
+}
+
+/**
+ * Maps a day's count to a color step
+ * @param {number} count - Ingestions on the day
+ * @param {number} maxCount - Ingestions on the busiest day
+ * @returns {number} 0 for no activity, otherwise 1 to HEATMAP_CONFIG.LEVELS
+ */
+function getLevel(count, maxCount) {
+  if (!count || !maxCount) return 0;
+  return Math.max(1, Math.ceil((count / maxCount) * HEATMAP_CONFIG.LEVELS));
+}
+
+/**
+ * Draws a calendar of day cells colored by activity
+ * @param {Object} options - Drawing options
+ * @param {Object} options.calendar - Calendar from getCalendar
+ * @param {Map<string, {count: number, customers: Map<string, number>}>} options.activity -
+ *   Activity by day
+ * @param {number} options.cellSize - Cell size in SVG units
+ * @param {number} options.gap - Space between cells in SVG units
+ * @param {boolean} options.labels - Whether to draw month and weekday labels
+ * @param {{from: string, to: string}} [options.selectedWindow] - Days to outline
+ * @param {boolean} options.clickable - Whether days can be picked
+ * @param {Function} options.describe - Returns the tooltip of a day and its activity:
+ *   `{label, customers}`, the label also naming the cell for screen readers
+ * @returns {SVGSVGElement} Calendar SVG
+ */
+function createCalendarSvg({
+  calendar, activity, cellSize, gap, labels, selectedWindow, clickable, describe,
+}) {
+  const step = cellSize + gap;
+  const offsetX = labels ? 30 : 0;
+  const offsetY = labels ? 16 : 0;
+  const width = offsetX + calendar.weeks * step;
+  const height = offsetY + DAYS_PER_WEEK * step;
+  const maxCount = Math.max(0, ...[...activity.values()].map((day) => day.count));
+
+  const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'heatmap-svg' });
+
+  if (labels) {
+    WEEKDAY_LABELS.forEach((label, weekday) => {
+      if (!label) return;
+      const text = createSvgElement('text', {
+        x: 0, y: offsetY + weekday * step + cellSize - 2, class: 'heatmap-label',
+      });
+      text.textContent = label;
+      svg.appendChild(text);
+    });
+
+    // Month names above the week holding the 1st. The partial first month is
+    // labeled too, unless the next month's label would overlap it.
+    let lastMonth = null;
+    let lastLabel = null;
+    calendar.days.forEach(({ start, week }) => {
+      const month = new Date(start).getUTCMonth();
+      if (month === lastMonth) return;
+      lastMonth = month;
+      if (lastLabel && week - lastLabel.week < 3) lastLabel.text.remove();
+
+      const text = createSvgElement('text', { x: offsetX + week * step, y: 10, class: 'heatmap-label' });
+      text.textContent = new Date(start).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+      svg.appendChild(text);
+      lastLabel = { text, week };
+    });
+  }
+
+  calendar.days.forEach(({ key, week, weekday }, index) => {
+    const day = activity.get(key);
+    const tooltip = describe(key, day);
+    const cell = createSvgElement('rect', {
+      x: offsetX + week * step,
+      y: offsetY + weekday * step,
+      width: cellSize,
+      height: cellSize,
+      rx: Math.max(1, cellSize / 6),
+      class: `heatmap-cell level-${getLevel(day?.count, maxCount)}`,
+      'data-day': key,
+      'data-index': index,
+      tabindex: index === calendar.days.length - 1 ? 0 : -1,
+      role: clickable ? 'button' : 'img',
+      'aria-label': tooltip.label,
+    });
+    const selected = Boolean(selectedWindow)
+      && key >= selectedWindow.from && key <= selectedWindow.to;
+    if (selected) cell.classList.add('selected');
+    if (clickable) cell.setAttribute('aria-pressed', String(selected));
+
+    cellTooltips.set(cell, tooltip);
+    svg.appendChild(cell);
+  });
+
+  return svg;
+}
+
+/**
+ * Creates the color legend, from no activity to the busiest days
+ * @returns {HTMLElement} Legend element
+ */
+function createLegend() {
+  const legend = document.createElement('span');
+  legend.className = 'heatmap-legend';
+  legend.append('Less');
+  for (let level = 0; level <= HEATMAP_CONFIG.LEVELS; level += 1) {
+    const swatch = document.createElement('span');
+    swatch.className = `heatmap-swatch level-${level}`;
+    legend.appendChild(swatch);
+  }
+  legend.append('More');
+  return legend;
+}
+
+/**
+ * Creates the per-customer small multiples, customers with the oldest last
+ * ingestion first so the ones that stopped ingesting stand out
+ * @param {Array<Object>} migrations - Migrations with ingestionStartDates
+ * @param {Object} calendar - Calendar from getCalendar
+ * @param {{from: string, to: string}} [selectedWindow] - Days to outline
+ * @param {boolean} clickable - Whether days can be picked
+ * @returns {HTMLElement} Grid of small calendars
+ */
+function createCustomerMultiples(migrations, calendar, selectedWindow, clickable) {
+  const grid = document.createElement('div');
+  grid.className = 'heatmap-multiples';
+
+  const customers = migrations
+    .map((migration) => ({ migration, activity: countByDay([migration], calendar) }))
+    .filter(({ activity }) => activity.size > 0)
+    .map((entry) => ({ ...entry, lastDay: [...entry.activity.keys()].sort().pop() }))
+    .sort((a, b) => a.lastDay.localeCompare(b.lastDay)
+      || a.migration.customerName.localeCompare(b.migration.customerName));
+
+  if (customers.length === 0) {
+    grid.innerHTML = '<p class="no-data">No customer ran ingestions in this period</p>';
+    return grid;
+  }
+
+  customers.slice(0, HEATMAP_CONFIG.MAX_CUSTOMERS).forEach(({ migration, activity, lastDay }) => {
+    const total = [...activity.values()].reduce((sum, day) => sum + day.count, 0);
+    const item = document.createElement('figure');
+    item.className = 'heatmap-multiple';
+
+    const caption = document.createElement('figcaption');
+    caption.textContent = migration.customerName;
+    caption.title = `${migration.customerName}: ${total.toLocaleString()} ingestions, last on ${DateUtils.formatDayKey(lastDay)}`;
+    item.appendChild(caption);
+
+    item.appendChild(createCalendarSvg({
+      calendar,
+      activity,
+      cellSize: HEATMAP_CONFIG.MULTIPLE_CELL_SIZE,
+      gap: HEATMAP_CONFIG.MULTIPLE_CELL_GAP,
+      labels: false,
+      selectedWindow,
+      clickable,
+      describe: (key, day) => ({
+        label: `${migration.customerName} · ${DateUtils.formatDayKey(key)}: ${(day?.count || 0).toLocaleString()} ingestions`,
+      }),
+    }));
+    grid.appendChild(item);
+  });
+
+  if (customers.length > HEATMAP_CONFIG.MAX_CUSTOMERS) {
+    const note = document.createElement('p');
+    note.className = 'heatmap-note';
+    note.textContent = `Showing ${HEATMAP_CONFIG.MAX_CUSTOMERS} of ${customers.length.toLocaleString()} customers. Filter the table to see others.`;
+    grid.appendChild(note);
+  }
+  return grid;
+}
+
+/**
+ * Creates the activity heatmap: a portfolio-wide calendar of ingestions per day
+ * and, on demand, one small calendar per customer. Hovering or focusing a day shows
+ * the shared chart tooltip; clicking it (or Enter/Space) reports it, e.g. to filter
+ * the table to the customers active that day.
+ * @param {Array<Object>} migrations - Migrations with ingestionStartDates
+ * @param {Object} dateRange - Resolved range from getDateRangeBounds
+ * @param {Object} [options={}] - Heatmap options
+ * @param {{from: string, to: string}} [options.selectedWindow] - Days (`YYYY-MM-DD`) to outline
+ * @param {Function} [options.onDayClick] - Called with the clicked day key
+ * @param {boolean} [options.customersOpen=false] - Whether the per-customer grid starts open
+ * @param {Function} [options.onCustomersToggle] - Called with the grid's new open state
+ * @returns {HTMLElement} Heatmap container element
+ * @example
+ * const heatmap = createActivityHeatmap(migrations, dateRange, {
+ *   onDayClick: (day) => { dayInput.value = day; },
+ * });
+ * document.body.appendChild(heatmap);
+ */
+export function createActivityHeatmap(migrations, dateRange, {
+  selectedWindow, onDayClick, customersOpen = false, onCustomersToggle,
+} = {}) {
+  const container = createGraphContainer(`Daily Ingestion Activity - ${dateRange.label}`, 'heatmap-container');
+
+  const calendar = getCalendar(dateRange);
+  const activity = countByDay(migrations, calendar);
+  if (activity.size === 0) {
+    container.insertAdjacentHTML('beforeend', '<p class="no-data">No ingestion data available</p>');
+    return container;
+  }
+
+  const total = [...activity.values()].reduce((sum, day) => sum + day.count, 0);
+  const summary = document.createElement('p');
+  summary.className = 'heatmap-summary';
+  summary.textContent = `${total.toLocaleString()} ingestions on ${activity.size.toLocaleString()} days`;
+  if (calendar.truncated) summary.textContent += ` (last ${HEATMAP_CONFIG.MAX_WEEKS} weeks)`;
+  summary.append(createLegend());
+  container.appendChild(summary);
+  container.appendChild(createDownloadMenu(container));
+
+  container.appendChild(createCalendarSvg({
+    calendar,
+    activity,
+    cellSize: HEATMAP_CONFIG.CELL_SIZE,
+    gap: HEATMAP_CONFIG.CELL_GAP,
+    labels: true,
+    selectedWindow,
+    clickable: Boolean(onDayClick),
+    describe: (key, day) => {
+      if (!day) return { label: `${DateUtils.formatDayKey(key)}: no ingestions` };
+      return {
+        label: `${DateUtils.formatDayKey(key)}: ${day.count.toLocaleString()} ingestions by ${day.customers.size.toLocaleString()} customers`,
+        customers: [...day.customers]
+          .map(([name, count]) => ({ name, count }))
+          .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+      };
+    },
+  }));
+
+  // Customer calendars are only drawn once opened; large portfolios have many
+  const details = document.createElement('details');
+  details.className = 'heatmap-customers';
+  details.innerHTML = '<summary>Activity by customer</summary>';
+  const renderMultiples = () => {
+    if (details.querySelector('.heatmap-multiples')) return;
+    details.appendChild(createCustomerMultiples(
+      migrations,
+      calendar,
+      selectedWindow,
+      Boolean(onDayClick),
+    ));
+  };
+  if (customersOpen) {
+    details.open = true;
+    renderMultiples();
+  }
+  details.addEventListener('toggle', () => {
+    if (details.open) renderMultiples();
+    if (onCustomersToggle) onCustomersToggle(details.open);
+  });
+  container.appendChild(details);
+
+  container.addEventListener('click', (e) => {
+    const cell = e.target.closest('[data-day]');
+    if (cell && onDayClick) onDayClick(cell.getAttribute('data-day'));
+  });
+
+  // Arrow keys move between the days of a calendar (one tab stop each): left and
+  // right by week, up and down by day. Enter or Space picks the day.
+  container.addEventListener('keydown', (e) => {
+    const cell = e.target.closest?.('.heatmap-cell');
+    if (!cell) return;
+    const cells = [...cell.closest('svg').querySelectorAll('.heatmap-cell')];
+    const index = Number(cell.getAttribute('data-index'));
+    const moves = {
+      ArrowRight: index + DAYS_PER_WEEK,
+      ArrowLeft: index - DAYS_PER_WEEK,
+      ArrowDown: index + 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: cells.length - 1,
+    };
+    if (e.key in moves) {
+      e.preventDefault();
+      const target = cells[Math.max(0, Math.min(moves[e.key], cells.length - 1))];
+      cells.forEach((other) => other.setAttribute('tabindex', other === target ? '0' : '-1'));
+      target.focus();
+    } else if ((e.key === 'Enter' || e.key === ' ') && onDayClick) {
+      e.preventDefault();
+      onDayClick(cell.getAttribute('data-day'));
+    }
+  });
+  attachTooltip(container, container, '.heatmap-cell', (cell) => cellTooltips.get(cell));
+
+  return container;
+}
@@ -10,14 +10,61 @@
  * governing permissions and limitations under the License.
  */
 
-import { getCustomerMigrationInfo } from './api.js';
+import { getTeamMigrationInfo, getCustomerMigrationDetails } from './api.js';
 import MigrationsTable from './migrationsTable.js';
-import { ELEMENT_IDS } from './constants.js';
-import { DateRange } from './DateRange.js';
-import getUserProfile from './userProfile.js';
-import { createCustomersGraph, createIngestionsGraph } from './graph.js';
+import CustomerDetailPanel from './customerDetail.js';
+import FilterBuilder from './filterBuilder.js';
+import SavedViewsMenu from './savedViewsMenu.js';
+import AlertsPanel from './alertsPanel.js';
+import ColumnMenu from './columnMenu.js';
+import { parseVisibleColumns, serializeVisibleColumns } from './columnLayout.js';
+import { getDefaultView, getUserKey } from './savedViews.js';
+import {
+  TABLE_CONFIG, ELEMENT_IDS, DATE_RANGE_CONFIG, GRAPH_CONFIG,
+} from './constants.js';
+import { DateRange, getDateRangeBounds, getPreviousPeriodBounds } from './DateRange.js';
+import {
+  getAuthProvider, isSessionExpired, restoreSession, signOut,
+} from './auth.js';
+import SignInScreen from './signIn.js';
+import { CONFIG, loadConfig } from './config.js';
+import {
+  getScope, getTeamRoster, hasPermission, resolveAccess, SELF_SCOPE_ID,
+} from './roles.js';
+import { DateUtils, NumberUtils, debounce } from './utils.js';
+import {
+  createAdoptionGraph, createCustomersGraph, createFunnelGraph, createIngestionsGraph,
+  createIngestionsSparkline, createOutcomesGraph,
+} from './graph.js';
+import { createChart, releaseCharts } from './charts.js';
+import { exportMigrations } from './exporter.js';
+import { openReport } from './report.js';
+import { readUrlState, writeUrlState } from './urlState.js';
+import {
+  ApiError, ERROR_TYPES, handleError, isCancelled,
+} from './errors.js';
+import { validateMigrations } from './validators.js';
+import { addHealthMetrics } from './health.js';
+import { computeIngestionStats } from './stats.js';
+import { evaluateAlertRules, getAlertWindows, getWindowKey } from './alerts.js';
+import {
+  countActiveConditions, matchesActivityWindow, matchesFilter, matchesFunnelStage,
+  parseActivityWindow, parseFilter, parseFunnelStage, serializeActivityWindow, serializeFilter,
+} from './filters.js';
+import { getDefaultSort, parseSort, serializeSort } from './sorting.js';
+import { createActivityHeatmap } from './heatmap.js';
+import {
+  getCacheKey, getCachedResponse, setCachedResponse, isFresh,
+} from './cache.js';
 
 const migrationsTable = new MigrationsTable();
+const customerDetailPanel = new CustomerDetailPanel();
+const filterBuilder = new FilterBuilder();
+const savedViewsMenu = new SavedViewsMenu();
+const alertsPanel = new AlertsPanel();
+const signInScreen = new SignInScreen();
+// eslint-disable-next-line no-new
+new ColumnMenu(migrationsTable);
 
 /**
 * AEM Cloud Service Migrations Reporter Application
@@ -26,9 +73,32 @@ const migrationsTable = new MigrationsTable();
 class MigrationsApp {
   constructor() {
     this.userProfile = null;
+    // Role and viewable scopes, resolved once the profile is known
+    this.access = null;
+    // Scope the loaded data belongs to
+    this.scope = null;
     this.migrations = [];
     this.filteredMigrations = [];
-    this.isLocalhost = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    // Filtered migrations before the funnel stage filter, plotted by the funnel
+    this.funnelMigrations = [];
+    this.dateRange = getDateRangeBounds(DATE_RANGE_CONFIG.DEFAULT_RANGE);
+    this.isRestoringState = false;
+    this.searchController = null;
+    this.detailController = null;
+    this.previousMigrations = null;
+    this.comparisonController = null;
+    this.alertsController = null;
+    this.validationReport = null;
+    this.isHeatmapExpanded = false;
+    this.graphZoom = null;
+    // Typing in the customer filter re-filters once the user pauses
+    this.debouncedCustomerFilter = debounce(() => {
+      this.handleCustomerSearchFilter();
+      this.syncUrlState();
+    }, TABLE_CONFIG.FILTER_DEBOUNCE_MS);
+    // Re-prompts for sign-in when the session expires
+    this.sessionTimer = null;
+    this.isSigningIn = false;
     this.init();
   }
 
@@ -37,171 +107,480 @@ class MigrationsApp {
    */
   init() {
     try {
-      this.setupUserProfile();
+      // Fetch config.json while the page sets up; the first search waits for it
+      loadConfig();
       this.setupEventListeners();
-      MigrationsApp.setupSidekickLogout();
+      this.setupSessionEvents();
 
-      // Load graphs and table on page entry with LAST_2_MONTHS data
+      // Restore a shared view from the URL before the first load
+      MigrationsApp.applyViewState(readUrlState());
+
+      // Load graphs and table on page entry with the URL or default range
       this.startMigrationSearchWithDefaultRange().catch((error) => {
         // eslint-disable-next-line no-console
         console.error('Failed to load initial data:', error);
       });
     } catch (error) {
-      // Error already handled in setupUserProfile (alert shown, UI disabled)
       // eslint-disable-next-line no-console
       console.error('Initialization failed:', error.message);
     }
   }
 
   async startMigrationSearchWithDefaultRange() {
-    const spinner = document.getElementById('loading-spinner');
     try {
-      document.body.classList.add('loading');
-      if (spinner) spinner.classList.remove('hidden');
+      MigrationsApp.setLoading(true);
 
-      await this.ensureUserProfile();
+      await this.ensureAccess();
 
-      const searchBy = this.userProfile.name || this.userProfile.email;
+      const userKey = getUserKey(this.userProfile);
+      savedViewsMenu.setUser(userKey);
+      alertsPanel.setUser(userKey);
 
-      // Fetch last 2 months data
-      const resp = await getCustomerMigrationInfo(searchBy, DateRange.LAST_2_MONTHS.value);
-      this.migrations = await this.processApiResponse(resp);
+      // A shared URL wins; otherwise start from the user's default view
+      const defaultView = Object.keys(readUrlState()).length === 0 ? getDefaultView(userKey) : null;
+      if (defaultView) {
+        MigrationsApp.applyViewState(defaultView.state);
+        savedViewsMenu.setCurrent(defaultView.id);
+      }
 
-      // Sort alphabetically
-      this.migrations.sort((a, b) => a.customerName.localeCompare(b.customerName));
+      // Load data for the restored range, or the built-in default range
+      let dateRange = MigrationsApp.getSelectedDateRange();
+      if (!dateRange) {
+        MigrationsApp.applyViewState({});
+        dateRange = getDateRangeBounds(DATE_RANGE_CONFIG.DEFAULT_RANGE);
+      }
+      await this.loadMigrationData(this.getSelectedScope(), dateRange);
+      if (defaultView) this.syncUrlState();
+
+      // Reopen a shared drill-down
+      const { customer } = readUrlState();
+      if (customer) await this.showCustomerDetail({ imsOrgId: customer });
+    } catch (error) {
+      if (!isCancelled(error)) MigrationsApp.setLoading(false);
+      this.handleSearchError(error);
+    }
+  }
 
-      // Apply filter (empty = all)
-      this.filterMigrations('');
+  /**
+   * Load migrations for a date range. A cached response is rendered immediately
+   * and then revalidated over the network, unless it is still fresh and no
+   * refresh was forced. Without a cached response the spinner is shown instead.
+   * @param {import('./roles.js').Scope} scope - Book(s) of customers to load
+   * @param {Object} dateRange - Resolved range from getDateRangeBounds
+   * @param {Object} [options={}] - Load options
+   * @param {boolean} [options.force=false] - Revalidate even if the cached response is fresh
+   * @throws {ApiError} If loading fails and there is no cached response to fall back to
+   */
+  async loadMigrationData(scope, dateRange, { force = false } = {}) {
+    const controller = this.beginSearchRequest();
+    const cacheKey = getCacheKey(scope.searchBy, dateRange);
 
-      // Update table header
-      const totalIngestionsHeader = document.getElementById('total-ingestions-header');
-      if (totalIngestionsHeader) {
-        totalIngestionsHeader.textContent = `Total Ingestions (${DateRange.LAST_2_MONTHS.label})`;
-      }
+    const cached = await getCachedResponse(cacheKey);
+    if (this.searchController !== controller) {
+      throw new ApiError('Search superseded', { type: ERROR_TYPES.CANCELLED });
+    }
+
+    if (cached) {
+      MigrationsApp.setLoading(false);
+      await this.renderMigrationData(cached.data, dateRange, scope);
+      MigrationsApp.renderDataFreshness(cached.fetchedAt);
+      if (!force && isFresh(cached)) return;
+      MigrationsApp.renderDataFreshness(cached.fetchedAt, 'updating');
+    } else {
+      MigrationsApp.setLoading(true);
 
-      // Update summary
-      const totalIngestions = this.computeIngestionStats(this.filteredMigrations);
-      this.renderIngestionsCount(totalIngestions);
+      // Show loading state for the table and graphs
+      migrationsTable.initTable([]);
+      migrationsTable.enableSorting();
+      MigrationsApp.renderGraphPlaceholders();
+    }
 
-      // Render graphs
-      this.renderGraph(this.migrations);
+    try {
+      const resp = await getTeamMigrationInfo(scope.searchBy, dateRange, {
+        signal: controller.signal,
+      });
+      // Unchanged data keeps the render, alerts and comparison of the cached pass
+      if (!cached || JSON.stringify(resp) !== JSON.stringify(cached.data)) {
+        await this.renderMigrationData(resp, dateRange, scope);
+      }
+      MigrationsApp.renderDataFreshness(Date.now());
+      await setCachedResponse(cacheKey, resp);
+    } catch (error) {
+      // An expired session is reported even with cached data, so the user can sign in again
+      if (!cached || isCancelled(error) || error.status === 401) throw error;
+
+      // Keep showing the cached data and only flag the failed refresh
+      // eslint-disable-next-line no-console
+      console.error('Failed to refresh migration data:', error);
+      MigrationsApp.renderDataFreshness(cached.fetchedAt, 'failed');
     } finally {
-      document.body.classList.remove('loading');
-      if (spinner) spinner.classList.add('hidden');
+      // A superseding search owns the loading state now
+      if (this.searchController === controller) MigrationsApp.setLoading(false);
     }
   }
 
   /**
-   * Setup user profile for localhost development
+   * Validate a response and render it: table, summary and graphs
+   * @param {Response|Array|Object} resp - The API response
+   * @param {Object} dateRange - Resolved range the response belongs to
+   * @param {import('./roles.js').Scope} scope - Scope the response belongs to
    */
-  setupUserProfile() {
-    if (this.isLocalhost) {
-      const params = new URLSearchParams(window.location.search);
-      const email = params.get('email');
-      const name = params.get('name');
+  async renderMigrationData(resp, dateRange, scope) {
+    this.migrations = addHealthMetrics(await this.processApiResponse(resp));
+    // A zoom belongs to the search it was made in; revalidating the same search keeps it
+    if (dateRange !== this.dateRange) this.graphZoom = null;
+    this.dateRange = dateRange;
+    this.scope = scope;
 
-      if (email && name) {
-        this.userProfile = { email, name };
-      } else {
-        // Alert and prevent user from continuing if params are missing
-        // eslint-disable-next-line no-alert
-        alert('Email and name parameters are required for localhost development.\n\nPlease add them to the URL:\n?email=you@adobe.com&name=YourFullName');
+    // Sort customer Names alphabetically for predictable loading
+    this.migrations.sort((a, b) => a.customerName.localeCompare(b.customerName));
+
+    // Apply customer search filter
+    const customerSearch = document.getElementById(ELEMENT_IDS.CUSTOMER_SEARCH);
+    this.filterMigrations(customerSearch ? customerSearch.value : '');
 
-        // Disable the UI
-        this.disableUI();
+    this.renderSummary();
 
-        // Throw error to prevent further initialization
-        throw new Error('Missing required URL parameters: email and name');
-      }
+    this.renderGraph(this.filteredMigrations);
+
+    this.updateComparison();
+    this.updateAlerts();
+  }
+
+  /**
+   * Load the migrations of another period, from the cache while it is fresh
+   * @param {string[]} searchBy - User names or emails of the books to load, from the scope
+   * @param {Object} dateRange - Period to load
+   * @param {AbortSignal} signal - Cancels the request when aborted
+   * @returns {Promise<Array<Object>>} Validated migrations with health metrics as of the
+   *   period's end
+   */
+  static async loadPeriodMigrations(searchBy, dateRange, signal) {
+    const cacheKey = getCacheKey(searchBy, dateRange);
+    const cached = await getCachedResponse(cacheKey);
+    let body = cached && isFresh(cached) ? cached.data : null;
+    if (!body) {
+      body = await getTeamMigrationInfo(searchBy, dateRange, { signal });
+      await setCachedResponse(cacheKey, body);
     }
+    return addHealthMetrics(validateMigrations(body).migrations, dateRange.end);
   }
 
   /**
-   * Hide UI elements (filters and graphs)
+   * Load the previous period when comparison is on, or drop it when it is off,
+   * then refresh the summary deltas and table trend arrows. Failures only
+   * remove the comparison; the current period stays visible.
    */
-  // eslint-disable-next-line class-methods-use-this
-  hideUI() {
-    const filtersForm = document.querySelector('.filters-form');
-    if (filtersForm) {
-      filtersForm.style.display = 'none';
+  async updateComparison() {
+    if (this.comparisonController) this.comparisonController.abort();
+    this.comparisonController = null;
+    this.previousMigrations = null;
+    migrationsTable.setComparison(null);
+
+    if (!MigrationsApp.isComparing() || !this.scope) {
+      this.renderSummary();
+      return;
     }
 
-    const graphWrapper = document.getElementById('graph-wrapper');
-    if (graphWrapper) {
-      graphWrapper.style.display = 'none';
+    const controller = new AbortController();
+    this.comparisonController = controller;
+    const { searchBy } = this.scope;
+    const previousRange = getPreviousPeriodBounds(this.dateRange);
+
+    try {
+      const previousMigrations = await MigrationsApp.loadPeriodMigrations(
+        searchBy,
+        previousRange,
+        controller.signal,
+      );
+      if (this.comparisonController !== controller) return;
+      this.previousMigrations = previousMigrations;
+    } catch (error) {
+      if (isCancelled(error) || this.comparisonController !== controller) return;
+      // eslint-disable-next-line no-console
+      console.error('Failed to load the previous period:', error);
     }
+
+    migrationsTable.setComparison(this.previousMigrations);
+    this.renderSummary();
   }
 
   /**
-   * Disable the UI when validation fails
+   * Evaluate the user's alert rules against the loaded data, loading the extra
+   * windows the rules need. A window that fails to load counts as empty, so the
+   * remaining rules still report.
    */
-  // eslint-disable-next-line class-methods-use-this
-  disableUI() {
-    const customerSearch = document.getElementById(ELEMENT_IDS.CUSTOMER_SEARCH);
-    if (customerSearch) {
-      customerSearch.disabled = true;
-    }
+  async updateAlerts() {
+    if (this.alertsController) this.alertsController.abort();
+    this.alertsController = null;
+    if (!this.scope) return;
+
+    const controller = new AbortController();
+    this.alertsController = controller;
+    const { searchBy } = this.scope;
+    const rules = alertsPanel.getRules();
+    const { end } = this.dateRange;
+    const windows = new Map();
+
+    await Promise.all(getAlertWindows(rules, end).map(async (range) => {
+      if (range.start === this.dateRange.start && range.end === this.dateRange.end) {
+        windows.set(getWindowKey(range), this.migrations);
+        return;
+      }
+      try {
+        const migrations = await MigrationsApp.loadPeriodMigrations(
+          searchBy,
+          range,
+          controller.signal,
+        );
+        windows.set(getWindowKey(range), migrations);
+      } catch (error) {
+        if (isCancelled(error)) return;
+        // eslint-disable-next-line no-console
+        console.error(`Failed to load ${range.label} for alerts:`, error);
+      }
+    }));
+    if (this.alertsController !== controller) return;
 
-    const searchButton = document.getElementById('search-button');
-    if (searchButton) {
-      searchButton.disabled = true;
-    }
+    alertsPanel.setAlerts(evaluateAlertRules(rules, { migrations: this.migrations, windows, end }));
+    migrationsTable.setAlerts(alertsPanel.getActiveAlerts());
+  }
 
-    this.hideUI();
+  /**
+   * Whether the "compare to previous period" toggle is on
+   * @returns {boolean} True when comparing
+   */
+  static isComparing() {
+    return Boolean(document.getElementById(ELEMENT_IDS.COMPARE_TOGGLE)?.checked);
+  }
 
-    const container = document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER);
-    if (container) {
-      container.innerHTML = '<p class="error">Access denied. Please add email and name parameters to the URL.</p>';
-    }
+  /**
+   * Show or hide the spinner and the loading state of the page
+   * @param {boolean} isLoading - Whether data is loading
+   */
+  static setLoading(isLoading) {
+    const spinner = document.getElementById(ELEMENT_IDS.LOADING_SPINNER);
+    document.body.classList.toggle('loading', isLoading);
+    if (spinner) spinner.classList.toggle('hidden', !isLoading);
   }
 
   /**
-   * Setup AEM sidekick logout functionality
+   * Show when the displayed data was fetched
+   * @param {number} fetchedAt - Fetch time of the displayed data
+   * @param {''|'updating'|'failed'} [status=''] - Background refresh status
    */
-  static setupSidekickLogout() {
-    const doLogout = () => window.location.reload();
+  static renderDataFreshness(fetchedAt, status = '') {
+    const freshness = document.getElementById(ELEMENT_IDS.DATA_FRESHNESS);
+    if (!freshness) return;
+
+    const time = new Date(fetchedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const suffix = { updating: ' · updating…', failed: ' · refresh failed' }[status] || '';
+    freshness.textContent = `Data as of ${time}${suffix}`;
+    freshness.classList.toggle('failed', status === 'failed');
+  }
 
-    const sk = document.querySelector('aem-sidekick');
-    if (sk) {
-      sk.addEventListener('logged-out', doLogout);
-    } else {
-      document.addEventListener('sidekick-ready', () => {
-        document.querySelector('aem-sidekick')?.addEventListener('logged-out', doLogout);
-      }, { once: true });
+  /**
+   * Cancel any in-flight search so its late response can't overwrite a newer one
+   * @returns {AbortController} Controller for the new search
+   */
+  beginSearchRequest() {
+    if (this.searchController) this.searchController.abort();
+    this.searchController = new AbortController();
+    return this.searchController;
+  }
+
+  /**
+   * Surface a failed search to the user with a message matching the error type
+   * @param {Error} error - Error thrown while loading migration data
+   */
+  handleSearchError(error) {
+    if (isCancelled(error)) return;
+
+    // An expired session is renewed in place; the search runs again after sign-in
+    if (error.type === ERROR_TYPES.AUTH && error.status === 401) {
+      this.renewSession('Your session has expired. Sign in again to continue.');
+      return;
     }
+    handleError(error);
   }
 
   /**
-   * Ensure user profile is available
+   * Re-prompt for sign-in when the sidekick logs out (sidekick sign-in only), and sign
+   * out on request
+   */
+  setupSessionEvents() {
+    const onLoggedOut = () => this.renewSession('You signed out of AEM Sidekick. Sign in again to continue.');
+
+    // The provider may come from config.json; other providers keep their own session
+    loadConfig().then(() => {
+      if (CONFIG.AUTH_PROVIDER !== 'sidekick') return;
+      const sk = document.querySelector('aem-sidekick');
+      if (sk) {
+        sk.addEventListener('logged-out', onLoggedOut);
+      } else {
+        document.addEventListener('sidekick-ready', () => {
+          document.querySelector('aem-sidekick')?.addEventListener('logged-out', onLoggedOut);
+        }, { once: true });
+      }
+    });
+
+    document.getElementById(ELEMENT_IDS.SESSION_INFO)?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="sign-out"]')) this.renewSession('You signed out.');
+    });
+  }
+
+  /**
+   * Ensure the user is signed in, showing the sign-in screen if needed
    */
   async ensureUserProfile() {
-    if (!this.userProfile) {
-      try {
-        this.userProfile = await getUserProfile();
-      } catch (error) {
-        this.hideUI();
-        const container = document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER);
-        if (container) {
-          container.innerHTML = '<p class="error">You are not logged in. Please log in to view migration data.</p>';
-        }
-        const loginError = new Error('User not logged in');
-        loginError.originalError = error;
-        throw loginError;
+    if (this.userProfile) return;
+    // While re-prompting, the old session must not be restored behind the sign-in screen
+    const session = (!this.isSigningIn && await restoreSession()) || await signInScreen.prompt();
+    this.startSession(session);
+  }
+
+  /**
+   * Adopt a new session: show who is signed in and watch for its expiry
+   * @param {import('./auth.js').Session} session - Session from auth.js
+   */
+  startSession(session) {
+    this.userProfile = session.profile;
+    MigrationsApp.renderSessionInfo(session.profile);
+    this.scheduleSessionExpiry(session);
+  }
+
+  /**
+   * Re-prompt for sign-in once a session's expiry time has passed
+   * @param {import('./auth.js').Session} session - Session to watch
+   */
+  scheduleSessionExpiry(session) {
+    clearTimeout(this.sessionTimer);
+    if (!session.expiresAt) return;
+
+    // Timers overflow after ~24.8 days; longer sessions are checked again then
+    const delay = Math.min(session.expiresAt - Date.now(), 2 ** 31 - 1);
+    this.sessionTimer = setTimeout(() => {
+      if (isSessionExpired(session)) {
+        this.renewSession('Your session has expired. Sign in again to continue.');
+      } else {
+        this.scheduleSessionExpiry(session);
       }
+    }, Math.max(delay, 0));
+  }
+
+  /**
+   * Sign out and prompt for sign-in again without reloading the page. The same
+   * user carries on where they were; a different user starts from their own view.
+   * @param {string} message - Why the user has to sign in again
+   */
+  async handleSessionExpired(message) {
+    if (this.isSigningIn) return;
+    this.isSigningIn = true;
+    clearTimeout(this.sessionTimer);
+    if (this.searchController) this.searchController.abort();
+    const previousUserKey = getUserKey(this.userProfile);
+    // Searches started meanwhile wait in ensureUserProfile for the new sign-in
+    this.userProfile = null;
+    signOut();
+
+    let session;
+    try {
+      await loadConfig();
+      session = await signInScreen.prompt({ message });
+    } finally {
+      this.isSigningIn = false;
     }
+    this.startSession(session);
 
-    if (!this.userProfile) {
-      this.hideUI();
-      const container = document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER);
-      if (container) {
-        container.innerHTML = this.isLocalhost
-          ? '<p class="error">You are not logged in. Please add ?email=you@adobe.com&name=YourFullName to the URL</p>'
-          : '<p class="error">You are not logged in. Please log in via <a href="https://www.aem.live/docs/sidekick" target="_blank" rel="noopener noreferrer">AEM Sidekick</a> to view migration data.</p>';
-      }
-      throw new Error('User not logged in');
+    if (getUserKey(session.profile) === previousUserKey) {
+      await this.startMigrationSearch();
+    } else {
+      this.access = null;
+      if (customerDetailPanel.isOpen()) customerDetailPanel.close();
+      await this.startMigrationSearchWithDefaultRange();
     }
   }
 
+  /**
+   * Run handleSessionExpired from an event, reporting failures
+   * @param {string} message - Why the user has to sign in again
+   */
+  renewSession(message) {
+    this.handleSessionExpired(message).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error('Unhandled error in handleSessionExpired:', error);
+      handleError(error);
+    });
+  }
+
+  /**
+   * Show who is signed in; the sign-out button only for providers that can sign out
+   * @param {Object} profile - Signed-in user's profile
+   */
+  static renderSessionInfo(profile) {
+    const info = document.getElementById(ELEMENT_IDS.SESSION_INFO);
+    if (!info) return;
+    info.querySelector('.session-user').textContent = `Signed in as ${profile.name || profile.email}`;
+    info.querySelector('[data-action="sign-out"]').hidden = !getAuthProvider().signOut;
+    info.classList.remove('hidden');
+  }
+
+  /**
+   * Ensure the user profile is available and resolve the user's role from it
+   * and the team roster
+   */
+  async ensureAccess() {
+    await loadConfig();
+    await this.ensureUserProfile();
+    if (this.access) return;
+
+    this.access = resolveAccess(this.userProfile, await getTeamRoster());
+    MigrationsApp.renderAccess(this.access);
+    alertsPanel.setCanEditRules(hasPermission(this.access, 'editAlertRules'));
+    MigrationsApp.selectScope(readUrlState().as);
+  }
+
+  /**
+   * Fill the "Viewing as" select with the user's scopes and hide the controls
+   * their role may not use
+   * @param {import('./roles.js').Access} access - Access from resolveAccess
+   */
+  static renderAccess(access) {
+    document.querySelectorAll('[data-permission]').forEach((el) => {
+      el.classList.toggle('hidden', !hasPermission(access, el.dataset.permission));
+    });
+
+    const select = document.getElementById(ELEMENT_IDS.VIEW_AS_SELECT);
+    if (!select) return;
+    select.replaceChildren(...access.scopes.map((scope) => new Option(scope.label, scope.id)));
+    // Roles without other scopes only ever see their own book
+    document.getElementById(ELEMENT_IDS.VIEW_AS)?.classList.toggle(
+      'hidden',
+      !hasPermission(access, 'viewAs') || access.scopes.length < 2,
+    );
+  }
+
+  /**
+   * Select a scope in the "Viewing as" select, falling back to the user's own book
+   * @param {string} [id] - Scope ID
+   */
+  static selectScope(id) {
+    const select = document.getElementById(ELEMENT_IDS.VIEW_AS_SELECT);
+    if (!select) return;
+    const scopeId = id || SELF_SCOPE_ID;
+    select.value = [...select.options].some((option) => option.value === scopeId)
+      ? scopeId
+      : SELF_SCOPE_ID;
+  }
+
+  /**
+   * Resolve the scope chosen in the "Viewing as" select
+   * @returns {import('./roles.js').Scope} Selected scope, or the user's own book
+   */
+  getSelectedScope() {
+    return getScope(this.access, document.getElementById(ELEMENT_IDS.VIEW_AS_SELECT)?.value);
+  }
+
   /**
    * Set up event listeners for search and filters
    */
@@ -219,48 +598,193 @@ class MigrationsApp {
       });
     }
 
-    // Handle customer search input - filter locally with spinner
-    if (customerSearch) {
-      customerSearch.addEventListener('input', () => {
-        this.handleCustomerSearchFilter();
+    // Handle refresh button click - revalidate even if the cached data is fresh
+    document.getElementById(ELEMENT_IDS.REFRESH_BUTTON)?.addEventListener('click', () => {
+      this.startMigrationSearch({ force: true }).catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error('Unhandled error in startMigrationSearch:', error);
+      });
+    });
+
+    // Show the from/to pickers only for a custom range
+    const dateRangeSelect = document.getElementById(ELEMENT_IDS.DATE_RANGE_SELECT);
+    const customRange = document.getElementById(ELEMENT_IDS.CUSTOM_RANGE);
+    if (dateRangeSelect && customRange) {
+      dateRangeSelect.addEventListener('change', () => MigrationsApp.updateCustomRangeVisibility());
+    }
+
+    // Export the filtered and sorted table
+    [
+      [ELEMENT_IDS.EXPORT_CSV_BUTTON, 'csv'],
+      [ELEMENT_IDS.EXPORT_XLSX_BUTTON, 'xlsx'],
+    ].forEach(([id, format]) => {
+      document.getElementById(id)?.addEventListener('click', () => {
+        if (!hasPermission(this.access, 'export')) return;
+        exportMigrations(migrationsTable.getSortedMigrations(), this.dateRange, format);
+      });
+    });
+
+    document.getElementById(ELEMENT_IDS.REPORT_BUTTON)?.addEventListener('click', () => {
+      this.generateReport();
+    });
+
+    // Re-bucket the graphs and the summary sparkline locally when the granularity changes
+    const granularitySelect = document.getElementById(ELEMENT_IDS.GRANULARITY_SELECT);
+    if (granularitySelect) {
+      granularitySelect.addEventListener('change', () => {
+        this.renderGraph(this.filteredMigrations);
+        this.renderSummary();
+        this.syncUrlState();
       });
     }
 
-    // Listen for Enter key press anywhere on the page - always load fresh data
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
+    // Load another book when a lead or admin switches who they are viewing as
+    document.getElementById(ELEMENT_IDS.VIEW_AS_SELECT)?.addEventListener('change', () => {
+      this.startMigrationSearch();
+    });
+
+    // Fetch or drop the previous period when comparison is toggled
+    document.getElementById(ELEMENT_IDS.COMPARE_TOGGLE)?.addEventListener('change', () => {
+      this.updateComparison();
+      this.syncUrlState();
+    });
+
+    // Keep the visible columns in the URL and saved views
+    migrationsTable.onLayoutChange = () => this.syncUrlState();
+
+    // Switch to a saved view like navigating to its URL
+    savedViewsMenu.getState = () => this.getViewState();
+    savedViewsMenu.onSelect = (view) => {
+      writeUrlState(view.state, { push: true });
+      this.restoreViewState().catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error('Failed to apply saved view:', error);
+      });
+    };
+
+    // Clear the activity window picked in the graphs
+    document.getElementById(ELEMENT_IDS.ACTIVITY_WINDOW_FILTER)?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="clear-window"]')) this.setActivityWindow(null);
+    });
+
+    // Clear the funnel stage picked in the funnel chart
+    document.getElementById(ELEMENT_IDS.FUNNEL_STAGE_FILTER)?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="clear-stage"]')) this.setFunnelStage(null);
+    });
+
+    // Re-filter locally whenever the advanced filter changes
+    filterBuilder.onChange = () => {
+      this.handleCustomerSearchFilter();
+      this.syncUrlState();
+    };
+
+    // Handle customer search input - filter locally once typing pauses
+    if (customerSearch) {
+      customerSearch.addEventListener('input', () => this.debouncedCustomerFilter());
+    }
+
+    // Handle row clicks - open the customer drill-down panel
+    migrationsTable.onRowClick = (row) => {
+      this.showCustomerDetail(row).catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error('Unhandled error in showCustomerDetail:', error);
+      });
+    };
+    // Re-evaluate when rules change; keep table badges to the alerts still active
+    alertsPanel.onRulesChange = () => this.updateAlerts();
+    alertsPanel.onStateChange = () => migrationsTable.setAlerts(alertsPanel.getActiveAlerts());
+    alertsPanel.onCustomerClick = migrationsTable.onRowClick;
+    migrationsTable.onAlertClick = (ruleId) => alertsPanel.focusAlert(ruleId);
+    customerDetailPanel.onClose = () => {
+      migrationsTable.setSelectedRow(null);
+      this.syncUrlState({ push: true });
+    };
+    migrationsTable.onSortChange = () => this.syncUrlState({ push: true });
+
+    // Restore the view when navigating back/forward through history
+    window.addEventListener('popstate', () => {
+      this.restoreViewState().catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error('Unhandled error in restoreViewState:', error);
+      });
+    });
+
+    // Enter in the customer filter or a date field loads fresh data. Other controls
+    // (buttons, filter values, charts, the sign-in form) keep Enter to themselves.
+    [ELEMENT_IDS.CUSTOMER_SEARCH, ELEMENT_IDS.DATE_FROM, ELEMENT_IDS.DATE_TO].forEach((id) => {
+      document.getElementById(id)?.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
         this.startMigrationSearch().catch((error) => {
           // eslint-disable-next-line no-console
           console.error('Unhandled error in startMigrationSearch:', error);
         });
-      }
+      });
     });
   }
 
+  /**
+   * Open the detail panel for a table row and load the customer's full history
+   * @param {Object} row - Row identifiers reported by the table
+   * @param {string} row.imsOrgId - IMS Organization ID of the clicked row
+   * @param {string} row.migrationId - Migration ID of the clicked row
+   */
+  async showCustomerDetail({ imsOrgId, migrationId }) {
+    const migration = this.migrations.find((m) => (imsOrgId
+      ? m.imsOrgId === imsOrgId
+      : m.id === migrationId));
+    if (!migration) return;
+
+    migrationsTable.setSelectedRow(migration.imsOrgId);
+    customerDetailPanel.open(migration);
+    this.syncUrlState({ push: true });
+
+    if (this.detailController) this.detailController.abort();
+    this.detailController = new AbortController();
+
+    let detail = null;
+    if (migration.imsOrgId) {
+      try {
+        detail = await getCustomerMigrationDetails(migration.imsOrgId, this.dateRange, {
+          signal: this.detailController.signal,
+        });
+      } catch (error) {
+        if (isCancelled(error)) return;
+        // eslint-disable-next-line no-console
+        console.error('Failed to load customer details:', error);
+      }
+    }
+    customerDetailPanel.update(migration, detail);
+  }
+
   /**
    * Filter migrations based on customer search
    * @param {string} searchTerm - The search term for customer name
    */
   filterMigrations(searchTerm) {
-    const lowerSearchTerm = searchTerm.toLowerCase().trim();
-
-    if (!lowerSearchTerm) {
-      this.filteredMigrations = [...this.migrations];
-    } else {
-      // eslint-disable-next-line max-len
-      this.filteredMigrations = this.migrations.filter((migration) => migration?.customerName?.toLowerCase().includes(lowerSearchTerm));
-    }
+    const activityWindow = MigrationsApp.getActivityWindow();
+    const funnelStage = MigrationsApp.getFunnelStage();
+    this.funnelMigrations = this.migrations
+      .filter((migration) => MigrationsApp.matchesFilters(migration, searchTerm))
+      .filter((migration) => !activityWindow || matchesActivityWindow(migration, activityWindow));
+    this.filteredMigrations = this.funnelMigrations
+      .filter((migration) => !funnelStage || matchesFunnelStage(migration, funnelStage.key));
+
+    // Update the table header with the loaded range
+    migrationsTable.setColumnLabel(
+      TABLE_CONFIG.COLUMNS.TOTAL_INGESTIONS,
+      `Total Ingestions (${this.dateRange.label})`,
+    );
 
     migrationsTable.initTable(this.filteredMigrations);
     migrationsTable.enableSorting();
   }
 
   /**
-   * Process API response and normalize to migrations array
+   * Process API response, validate it and normalize to migrations array
    * @param {Response|Array|Object} resp - The API response
-   * @returns {Promise<Array>} - Array of migrations
+   * @returns {Promise<Array>} - Array of valid migrations
+   * @throws {ValidationError} If every record in the response is invalid
    */
-  // eslint-disable-next-line class-methods-use-this
   async processApiResponse(resp) {
     let body;
 
@@ -276,11 +800,33 @@ class MigrationsApp {
       body = resp;
     }
 
-    // Normalize migrations array
-    if (Array.isArray(body)) {
-      return body;
+    // Validate and normalize migration records
+    this.validationReport = validateMigrations(Array.isArray(body) ? body : []);
+    MigrationsApp.renderValidationNotice(this.validationReport);
+    return this.validationReport.migrations;
+  }
+
+  /**
+   * Tell the user how many records were dropped or corrected by validation
+   * @param {Object} report - Validation report from validateMigrations
+   */
+  static renderValidationNotice({ rejected, flagged }) {
+    const notice = document.getElementById(ELEMENT_IDS.VALIDATION_NOTICE);
+    if (!notice) return;
+
+    const parts = [];
+    if (rejected.length > 0) {
+      parts.push(`${rejected.length.toLocaleString()} record(s) skipped because of invalid data`);
+    }
+    if (flagged.length > 0) {
+      parts.push(`${flagged.length.toLocaleString()} record(s) had invalid fields that were cleared`);
     }
-    return [];
+
+    notice.textContent = parts.length > 0 ? `${parts.join('; ')}.` : '';
+    notice.title = [...rejected, ...flagged]
+      .map(({ index, customerName, issues }) => `#${index}${customerName ? ` ${customerName}` : ''}: ${issues.join(', ')}`)
+      .join('\n');
+    notice.classList.toggle('hidden', parts.length === 0);
   }
 
   /**
@@ -293,94 +839,382 @@ class MigrationsApp {
     const searchTerm = customerSearch.value;
     this.filterMigrations(searchTerm);
 
-    // Update summary stats based on filtered results
-    const totalIngestions = this.computeIngestionStats(this.filteredMigrations);
-    this.renderIngestionsCount(totalIngestions);
+    // Update summary stats and graphs based on filtered results
+    this.renderSummary();
+    this.renderGraph(this.filteredMigrations);
+  }
+
+  /**
+   * Render the summary bar for the filtered migrations, with deltas against
+   * the same customers in the previous period when comparing
+   */
+  renderSummary() {
+    const stats = computeIngestionStats(this.filteredMigrations);
+    if (!this.previousMigrations) {
+      this.renderIngestionsCount(stats);
+      return;
+    }
+
+    const searchTerm = document.getElementById(ELEMENT_IDS.CUSTOMER_SEARCH)?.value || '';
+    let previous = this.previousMigrations
+      .filter((migration) => MigrationsApp.matchesFilters(migration, searchTerm));
+
+    // The picked window or stage doesn't carry over to the previous period;
+    // compare the same customers instead
+    if (MigrationsApp.getActivityWindow() || MigrationsApp.getFunnelStage()) {
+      const getKey = (migration) => migration.imsOrgId || migration.customerName;
+      const customers = new Set(this.filteredMigrations.map(getKey));
+      previous = previous.filter((migration) => customers.has(getKey(migration)));
+    }
+    this.renderIngestionsCount(stats, computeIngestionStats(previous));
+  }
+
+  /**
+   * Days picked in the graphs (a heatmap day or a bar) that the table is filtered to
+   * @returns {import('./filters.js').ActivityWindow|null} Window, or null when not filtering
+   */
+  static getActivityWindow() {
+    const notice = document.getElementById(ELEMENT_IDS.ACTIVITY_WINDOW_FILTER);
+    return parseActivityWindow(notice?.getAttribute('data-window'));
+  }
+
+  /**
+   * Show or hide the notice for the activity window filter
+   * @param {import('./filters.js').ActivityWindow|null} activityWindow - Window, or null
+   *   to clear the filter
+   */
+  static renderActivityWindowFilter(activityWindow) {
+    const notice = document.getElementById(ELEMENT_IDS.ACTIVITY_WINDOW_FILTER);
+    if (!notice) return;
+
+    notice.setAttribute('data-window', serializeActivityWindow(activityWindow));
+    notice.classList.toggle('hidden', !activityWindow);
+    notice.innerHTML = '';
+    if (!activityWindow) return;
+
+    const { from, to } = activityWindow;
+    notice.append(from === to
+      ? `Showing customers who started ingestions on ${DateUtils.formatDayKey(from)}`
+      : `Showing customers who started ingestions between ${DateUtils.formatDayKey(from)} and ${DateUtils.formatDayKey(to)}`);
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.setAttribute('data-action', 'clear-window');
+    clear.textContent = 'Clear';
+    notice.append(' ', clear);
   }
 
-  // eslint-disable-next-line class-methods-use-this
-  computeIngestionStats(migrations) {
-    let total = 0;
-    let failed = 0;
+  /**
+   * Filter the table, summary and graphs to the customers active in a window.
+   * Picking the window that is already applied clears it.
+   * @param {import('./filters.js').ActivityWindow|null} activityWindow - Window, or null
+   *   to clear the filter
+   */
+  setActivityWindow(activityWindow) {
+    const current = serializeActivityWindow(MigrationsApp.getActivityWindow());
+    const next = serializeActivityWindow(activityWindow);
+    MigrationsApp.renderActivityWindowFilter(next && next !== current ? activityWindow : null);
+    this.handleCustomerSearchFilter();
+    this.syncUrlState({ push: true });
+    if (next && next !== current) {
+      document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER)?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }
 
-    migrations.forEach((m) => {
-      const t = Number(m.totalIngestions);
-      const f = Number(m.failedIngestions);
-      if (Number.isFinite(t)) total += t;
-      if (Number.isFinite(f)) failed += f;
+  /**
+   * Funnel stage picked in the funnel chart that the table is filtered to
+   * @returns {Object|null} Stage from FUNNEL_STAGES, or null when not filtering
+   */
+  static getFunnelStage() {
+    const notice = document.getElementById(ELEMENT_IDS.FUNNEL_STAGE_FILTER);
+    return parseFunnelStage(notice?.getAttribute('data-stage'));
+  }
+
+  /**
+   * Show or hide the notice for the funnel stage filter
+   * @param {Object|null} stage - Stage from FUNNEL_STAGES, or null to clear the filter
+   */
+  static renderFunnelStageFilter(stage) {
+    const notice = document.getElementById(ELEMENT_IDS.FUNNEL_STAGE_FILTER);
+    if (!notice) return;
+
+    notice.setAttribute('data-stage', stage ? stage.key : '');
+    notice.classList.toggle('hidden', !stage);
+    notice.innerHTML = '';
+    if (!stage) return;
+
+    notice.append(`Showing customers stuck at funnel stage "${stage.label}"`);
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.setAttribute('data-action', 'clear-stage');
+    clear.textContent = 'Clear';
+    notice.append(' ', clear);
+  }
+
+  /**
+   * Filter the table, summary and graphs to the customers stuck at a funnel stage.
+   * Picking the stage that is already applied clears it.
+   * @param {string|null} stageKey - Key from FUNNEL_STAGES, or null to clear the filter
+   */
+  setFunnelStage(stageKey) {
+    const stage = stageKey && stageKey !== MigrationsApp.getFunnelStage()?.key
+      ? parseFunnelStage(stageKey)
+      : null;
+    MigrationsApp.renderFunnelStageFilter(stage);
+    this.handleCustomerSearchFilter();
+    this.syncUrlState({ push: true });
+    if (stage) {
+      document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER)?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }
+
+  /**
+   * Describe the filters narrowing the current view, for the report cover
+   * @returns {string[]} One description per active filter
+   */
+  static describeFilters() {
+    const filters = [];
+    const searchTerm = document.getElementById(ELEMENT_IDS.CUSTOMER_SEARCH)?.value.trim();
+    if (searchTerm) filters.push(`customer name contains "${searchTerm}"`);
+
+    const conditions = countActiveConditions(filterBuilder.getFilter());
+    if (conditions > 0) filters.push(`${conditions} advanced filter condition(s)`);
+
+    const activityWindow = MigrationsApp.getActivityWindow();
+    if (activityWindow) {
+      const { from, to } = activityWindow;
+      filters.push(from === to
+        ? `ingestions started on ${DateUtils.formatDayKey(from)}`
+        : `ingestions started between ${DateUtils.formatDayKey(from)} and ${DateUtils.formatDayKey(to)}`);
+    }
+
+    const funnelStage = MigrationsApp.getFunnelStage();
+    if (funnelStage) filters.push(`stuck at funnel stage "${funnelStage.label}"`);
+    return filters;
+  }
+
+  /**
+   * Open a printable report of the current view: the summary, the graphs and
+   * every row of the filtered table in its current sort
+   */
+  generateReport() {
+    if (!this.dateRange || !hasPermission(this.access, 'export')) return;
+
+    const graphWrapper = document.getElementById(ELEMENT_IDS.GRAPH_WRAPPER);
+    const opened = openReport({
+      dateRange: this.dateRange,
+      generatedAt: Date.now(),
+      preparedBy: this.userProfile?.name || this.userProfile?.email || '',
+      filters: MigrationsApp.describeFilters(),
+      summary: document.querySelector('.table-summary'),
+      charts: [...(graphWrapper?.querySelectorAll('.graph-container') || [])],
+      table: migrationsTable.createPrintTable(),
+      customerCount: this.filteredMigrations.length,
     });
 
-    const successful = total - failed;
-    const customers = migrations.length;
+    if (!opened) {
+      // eslint-disable-next-line no-alert
+      alert('The report could not be opened. Please allow pop-ups for this page and try again.');
+    }
+  }
+
+  /**
+   * Whether a migration matches the customer name filter and the advanced filter
+   * @param {Object} migration - Migration object
+   * @param {string} searchTerm - Customer name filter text; empty matches everything
+   * @returns {boolean} True if the migration passes both filters
+   */
+  static matchesFilters(migration, searchTerm) {
+    const lowerSearchTerm = searchTerm.toLowerCase().trim();
+    if (lowerSearchTerm && !migration?.customerName?.toLowerCase().includes(lowerSearchTerm)) {
+      return false;
+    }
+    return matchesFilter(migration, filterBuilder.getFilter());
+  }
+
+  /**
+   * Show the from/to pickers only when a custom range is selected
+   */
+  static updateCustomRangeVisibility() {
+    const dateRangeSelect = document.getElementById(ELEMENT_IDS.DATE_RANGE_SELECT);
+    const customRange = document.getElementById(ELEMENT_IDS.CUSTOM_RANGE);
+    if (!dateRangeSelect || !customRange) return;
+    customRange.classList.toggle('hidden', dateRangeSelect.value !== DateRange.CUSTOM.value);
+  }
 
+  /**
+   * Describe a resolved date range as URL view state
+   * @param {Object} dateRange - Resolved range from getDateRangeBounds
+   * @returns {{range: string, from: string, to: string}} Range key, plus custom range dates
+   */
+  static getRangeState(dateRange) {
+    const isCustom = dateRange.value === DateRange.CUSTOM.value;
+    const day = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
     return {
-      customers, total, successful, failed,
+      range: dateRange.value,
+      from: isCustom ? day(dateRange.start) : '',
+      to: isCustom ? day(dateRange.end) : '',
     };
   }
 
   /**
-   * Start the migration search and display process
+   * Collect the current view as URL state: the loaded range, the customer filter,
+   * the table sort, the open drill-down, the graph granularity and the scope viewed as
+   * @returns {Object} View state for writeUrlState
    */
-  async startMigrationSearch() {
-    const spinner = document.getElementById('loading-spinner');
+  getViewState() {
+    return {
+      ...MigrationsApp.getRangeState(this.dateRange),
+      q: document.getElementById(ELEMENT_IDS.CUSTOMER_SEARCH)?.value.trim() || '',
+      ...serializeSort(migrationsTable.getSort()),
+      customer: customerDetailPanel.currentImsOrgId || '',
+      granularity: document.getElementById(ELEMENT_IDS.GRANULARITY_SELECT)?.value || '',
+      compare: MigrationsApp.isComparing() ? '1' : '',
+      filter: serializeFilter(filterBuilder.getFilter()),
+      columns: serializeVisibleColumns(migrationsTable.getLayout()),
+      active: serializeActivityWindow(MigrationsApp.getActivityWindow()),
+      stage: MigrationsApp.getFunnelStage()?.key || '',
+      as: this.scope?.id || '',
+    };
+  }
 
-    try {
-      // Ensure user profile is available
-      await this.ensureUserProfile();
+  /**
+   * Write the current view to the URL
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.push=false] - Add a history entry instead of replacing the URL
+   */
+  syncUrlState({ push = false } = {}) {
+    if (this.isRestoringState) return;
+    writeUrlState(this.getViewState(), { push });
+  }
 
-      const searchBy = this.userProfile.name || this.userProfile.email;
+  /**
+   * Apply URL view state to the filters form and table sort, falling back to defaults
+   * @param {Object} state - View state from readUrlState
+   */
+  static applyViewState(state) {
+    MigrationsApp.selectScope(state.as);
 
-      // Show spinner and set loading state
-      document.body.classList.add('loading');
-      if (spinner) spinner.classList.remove('hidden');
+    const dateRangeSelect = document.getElementById(ELEMENT_IDS.DATE_RANGE_SELECT);
+    if (dateRangeSelect) dateRangeSelect.value = state.range || DATE_RANGE_CONFIG.DEFAULT_RANGE;
 
-      // Show loading state for the table
-      migrationsTable.initTable([]);
-      migrationsTable.enableSorting();
+    const dateFrom = document.getElementById(ELEMENT_IDS.DATE_FROM);
+    if (dateFrom) dateFrom.value = state.from || '';
+    const dateTo = document.getElementById(ELEMENT_IDS.DATE_TO);
+    if (dateTo) dateTo.value = state.to || '';
+    MigrationsApp.updateCustomRangeVisibility();
 
-      // Fetch customer migration data
-      const dateRangeSelect = document.getElementById('date-range-select');
-      const selectedRange = dateRangeSelect ? dateRangeSelect.value : 'LAST_1_MONTH';
+    const customerSearch = document.getElementById(ELEMENT_IDS.CUSTOMER_SEARCH);
+    if (customerSearch) customerSearch.value = state.q || '';
 
-      const resp = await getCustomerMigrationInfo(searchBy, selectedRange);
-      this.migrations = await this.processApiResponse(resp);
+    const granularitySelect = document.getElementById(ELEMENT_IDS.GRANULARITY_SELECT);
+    if (granularitySelect) {
+      granularitySelect.value = state.granularity || GRAPH_CONFIG.DEFAULT_GRANULARITY;
+    }
 
-      // Sort customer Names alphabetically for predictable loading
-      this.migrations.sort((a, b) => a.customerName.localeCompare(b.customerName));
+    filterBuilder.setFilter(parseFilter(state.filter));
+    MigrationsApp.renderActivityWindowFilter(parseActivityWindow(state.active));
+    MigrationsApp.renderFunnelStageFilter(parseFunnelStage(state.stage));
 
-      // Apply customer search filter
-      const customerSearch = document.getElementById(ELEMENT_IDS.CUSTOMER_SEARCH);
-      const searchTerm = customerSearch ? customerSearch.value : '';
-      this.filterMigrations(searchTerm);
+    // A state without columns (the URL leaves the default out) shows the layout saved in
+    // this browser, not the columns a previous link or view left on screen
+    if (state.columns) {
+      migrationsTable.setVisibleColumns(parseVisibleColumns(state.columns));
+    } else {
+      migrationsTable.restoreSavedLayout();
+    }
 
-      // Update the table header
-      const totalIngestionsHeader = document.getElementById('total-ingestions-header');
-      if (totalIngestionsHeader) {
-        totalIngestionsHeader.textContent = `Total Ingestions (${DateRange[selectedRange].label})`;
-      }
+    const compareToggle = document.getElementById(ELEMENT_IDS.COMPARE_TOGGLE);
+    if (compareToggle) compareToggle.checked = state.compare === '1';
 
-      const totalIngestions = this.computeIngestionStats(this.filteredMigrations);
-      this.renderIngestionsCount(totalIngestions);
-    } catch (error) {
-      if (error.message === 'User not logged in') return;
+    migrationsTable.setSort(parseSort(state.sort, state.dir) || getDefaultSort());
+  }
 
-      this.hideUI();
-      const errorContainer = document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER);
-      if (errorContainer) {
-        errorContainer.innerHTML = '<p class="error">Failed to load migration data.</p>';
+  /**
+   * Restore the view after a history navigation. Reloads data only when the
+   * date range or the scope viewed as differs from the loaded one; everything
+   * else is applied locally.
+   */
+  async restoreViewState() {
+    const state = readUrlState();
+    const current = MigrationsApp.getRangeState(this.dateRange);
+    const wasComparing = MigrationsApp.isComparing();
+
+    this.isRestoringState = true;
+    // The restored filter text replaces whatever was still being typed
+    this.debouncedCustomerFilter.cancel();
+    try {
+      MigrationsApp.applyViewState(state);
+
+      const rangeChanged = (state.range || DATE_RANGE_CONFIG.DEFAULT_RANGE) !== current.range
+        || (state.from || '') !== current.from
+        || (state.to || '') !== current.to;
+      const scopeChanged = this.access && this.getSelectedScope() !== this.scope;
+
+      if (rangeChanged || scopeChanged) {
+        await this.startMigrationSearch();
+      } else {
+        this.handleCustomerSearchFilter();
+        if (MigrationsApp.isComparing() !== wasComparing) await this.updateComparison();
+      }
+
+      if (state.customer && state.customer !== customerDetailPanel.currentImsOrgId) {
+        await this.showCustomerDetail({ imsOrgId: state.customer });
+      } else if (!state.customer && customerDetailPanel.isOpen()) {
+        customerDetailPanel.close();
       }
     } finally {
-      // Hide spinner and remove loading state
-      document.body.classList.remove('loading');
-      if (spinner) spinner.classList.add('hidden');
+      this.isRestoringState = false;
+    }
+  }
+
+  /**
+   * Resolve the date range chosen in the filters form
+   * @returns {Object|null} Resolved range, or null if the custom dates are invalid
+   */
+  static getSelectedDateRange() {
+    const dateRangeSelect = document.getElementById(ELEMENT_IDS.DATE_RANGE_SELECT);
+    const selectedRange = dateRangeSelect ? dateRangeSelect.value : DATE_RANGE_CONFIG.DEFAULT_RANGE;
+
+    return getDateRangeBounds(selectedRange, {
+      from: document.getElementById(ELEMENT_IDS.DATE_FROM)?.value,
+      to: document.getElementById(ELEMENT_IDS.DATE_TO)?.value,
+    });
+  }
+
+  /**
+   * Start the migration search and display process
+   * @param {Object} [options={}] - Search options
+   * @param {boolean} [options.force=false] - Bypass a fresh cached response
+   */
+  async startMigrationSearch({ force = false } = {}) {
+    try {
+      // Ensure user profile and role are available
+      await this.ensureAccess();
+
+      const dateRange = MigrationsApp.getSelectedDateRange();
+      if (!dateRange) {
+        const container = document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER);
+        if (container) {
+          container.innerHTML = '<p class="error">Please choose a valid date range: the start date must not be after the end date.</p>';
+        }
+        return;
+      }
+
+      // Load customer migration data, from the cache when possible
+      await this.loadMigrationData(this.getSelectedScope(), dateRange, { force });
+
+      this.syncUrlState({ push: true });
+    } catch (error) {
+      this.handleSearchError(error);
     }
   }
 
   /**
    * Render total ingestions count in the table-summary
+   * @param {Object} stats - Totals from computeIngestionStats
+   * @param {Object} [previousStats] - Totals for the previous period, shown as deltas
    */
-  // eslint-disable-next-line class-methods-use-this
-  renderIngestionsCount(stats) {
+  renderIngestionsCount(stats, previousStats = null) {
     const summaryWrapper = document.querySelector('.table-summary-wrapper');
     if (!summaryWrapper) return;
 
@@ -390,42 +1224,135 @@ class MigrationsApp {
       customers, total, successful, failed,
     } = stats;
 
+    // Change against the previous period; more failures is the only increase that is worse
+    const delta = (key, higherIsBetter = true) => {
+      if (!previousStats) return '';
+      const current = stats[key] || 0;
+      const previous = previousStats[key] || 0;
+      let trend = 'flat';
+      if (current !== previous) trend = (current > previous) === higherIsBetter ? 'better' : 'worse';
+      return `<span class="summary-delta delta-${trend}" title="Previous period: ${previous.toLocaleString()}">${NumberUtils.formatChange(current, previous)}</span>`;
+    };
+
     const summary = document.createElement('div');
     summary.className = 'table-summary';
     summary.innerHTML = `
     <span class="summary-label">Customers:</span>
     <span class="summary-value">${(customers || 0).toLocaleString()}</span>
+    ${delta('customers')}
     <span class="summary-separator">|</span>
     <span class="summary-label">Total Ingestions:</span>
     <span class="summary-value">${(total || 0).toLocaleString()}</span>
+    ${delta('total')}
     <span class="summary-separator">|</span>
     <span class="summary-label success">Successful:</span>
     <span class="summary-value success">${(successful || 0).toLocaleString()}</span>
+    ${delta('successful')}
     <span class="summary-separator">|</span>
     <span class="summary-label failed">Failed:</span>
     <span class="summary-value failed">${(failed || 0).toLocaleString()}</span>
+    ${delta('failed', false)}
   `;
 
+    // Trend of the total over the loaded range, at the graph granularity
+    if (this.dateRange) {
+      const granularity = document.getElementById(ELEMENT_IDS.GRANULARITY_SELECT)?.value;
+      summary.querySelectorAll('.summary-value')[1].after(
+        createIngestionsSparkline(this.filteredMigrations, this.dateRange, granularity),
+      );
+    }
+
     summaryWrapper.appendChild(summary);
   }
 
   /**
-   * Render graph showing ingestions for last 60 days
+   * Show loading placeholders in place of the graphs while data is fetched
+   */
+  static renderGraphPlaceholders() {
+    const graphWrapper = document.getElementById(ELEMENT_IDS.GRAPH_WRAPPER);
+    if (!graphWrapper) return;
+
+    releaseCharts(graphWrapper);
+    graphWrapper.replaceChildren(
+      createChart({ title: 'Ingestion Activity', loading: true }),
+      createChart({ title: 'Customers Running Ingestions', loading: true }),
+    );
+  }
+
+  /**
+   * Render graphs for the active date range at the selected granularity
+   * @param {Array<Object>} migrations - Migrations to plot
    */
-  // eslint-disable-next-line class-methods-use-this
   renderGraph(migrations) {
-    const graphWrapper = document.getElementById('graph-wrapper');
+    const graphWrapper = document.getElementById(ELEMENT_IDS.GRAPH_WRAPPER);
     if (!graphWrapper) return;
 
+    releaseCharts(graphWrapper);
     graphWrapper.innerHTML = '';
 
+    const granularitySelect = document.getElementById(ELEMENT_IDS.GRANULARITY_SELECT);
+    const granularity = granularitySelect
+      ? granularitySelect.value
+      : GRAPH_CONFIG.DEFAULT_GRANULARITY;
+
+    // Bar graphs show the zoomed-in part of the range, if any
+    const graphRange = this.graphZoom
+      ? {
+        ...this.dateRange,
+        ...this.graphZoom,
+        label: `${DateUtils.formatDate(this.graphZoom.start)} – ${DateUtils.formatDate(this.graphZoom.end)}`,
+      }
+      : this.dateRange;
+    const selectedWindow = MigrationsApp.getActivityWindow();
+
+    // Clicking a bar filters the table to its period, clicking it again clears the filter
+    const interactions = {
+      selectedWindow,
+      onBarClick: ({ start, end }) => this.setActivityWindow({
+        from: DateUtils.toDayKey(start),
+        to: DateUtils.toDayKey(end),
+      }),
+      onZoom: (zoom) => {
+        this.graphZoom = zoom;
+        this.renderGraph(this.filteredMigrations);
+      },
+      onResetZoom: () => {
+        this.graphZoom = null;
+        this.renderGraph(this.filteredMigrations);
+      },
+      zoomed: Boolean(this.graphZoom),
+    };
+
     // Create ingestions graph
-    const ingestionsGraph = createIngestionsGraph(migrations);
+    const ingestionsGraph = createIngestionsGraph(
+      migrations,
+      graphRange,
+      granularity,
+      interactions,
+    );
     graphWrapper.appendChild(ingestionsGraph);
 
     // Create customers graph
-    const customersGraph = createCustomersGraph(migrations);
+    const customersGraph = createCustomersGraph(migrations, graphRange, granularity, interactions);
     graphWrapper.appendChild(customersGraph);
+
+    // Create adoption and outcome graphs
+    graphWrapper.appendChild(createAdoptionGraph(migrations, graphRange, granularity));
+    graphWrapper.appendChild(createOutcomesGraph(migrations));
+
+    // Create activity heatmap over the whole range; clicking a day filters to it
+    graphWrapper.appendChild(createActivityHeatmap(migrations, this.dateRange, {
+      selectedWindow,
+      onDayClick: (day) => this.setActivityWindow({ from: day, to: day }),
+      customersOpen: this.isHeatmapExpanded,
+      onCustomersToggle: (open) => { this.isHeatmapExpanded = open; },
+    }));
+
+    // Create the migration funnel; it ignores its own stage filter so every stage stays visible
+    graphWrapper.appendChild(createFunnelGraph(this.funnelMigrations, {
+      selectedStage: MigrationsApp.getFunnelStage()?.key,
+      onStageClick: (stageKey) => this.setFunnelStage(stageKey),
+    }));
   }
 }
 
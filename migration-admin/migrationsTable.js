@@ -3,35 +3,16 @@
  * @module migrationsTable
  */
 
+import { getWorkspaceTenantUrl } from './config.js';
 import { TABLE_CONFIG, CSS_CLASSES, ELEMENT_IDS } from './constants.js';
-
-/**
- * Sorts table data by specified column and direction
- * @param {Array<Object>} data - Array of migration objects to sort
- * @param {string} columnKey - The key/property to sort by
- * @param {string} direction - Sort direction ('asc' or 'desc')
- * @returns {Array<Object>} Sorted array of migrations
- */
-function sortTable(data, columnKey, direction) {
-  return [...data].sort((a, b) => {
-    let aVal = a[columnKey];
-    let bVal = b[columnKey];
-
-    // Handle null/undefined values
-    if (aVal == null) aVal = '';
-    if (bVal == null) bVal = '';
-
-    // Compare based on type
-    if (typeof aVal === 'string' && typeof bVal === 'string') {
-      return direction === 'asc'
-        ? aVal.localeCompare(bVal)
-        : bVal.localeCompare(aVal);
-    }
-
-    // Numeric comparison
-    return direction === 'asc' ? aVal - bVal : bVal - aVal;
-  });
-}
+import { DateUtils, NumberUtils } from './utils.js';
+import { HEALTH_STATUS } from './health.js';
+import {
+  getDefaultLayout, getVisibleColumns, loadColumnLayout, normaliseLayout, saveColumnLayout,
+  withVisibleColumns,
+} from './columnLayout.js';
+import { getDefaultSort, sortMigrations, toggleSortKey } from './sorting.js';
+import { getCustomerKey } from './stats.js';
 
 /**
  * MigrationsTable class - manages the display and interaction of migration data in a table
@@ -43,12 +24,44 @@ class MigrationsTable {
    * @constructor
    */
   constructor() {
-    /** @type {string} Current sort direction */
-    this.sortDirection = TABLE_CONFIG.DEFAULT_SORT_DIRECTION;
+    /** @type {import('./sorting.js').SortKey[]} Sort keys in priority order */
+    this.sortKeys = getDefaultSort();
+    /** @type {Array<Object>} Migrations currently shown in the table */
+    this.migrations = [];
     /** @type {boolean} Whether sorting is currently enabled */
     this.isSortingEnabled = false;
     /** @type {HTMLElement|null} Container element for the migrations table */
     this.migrationsContainer = document.getElementById(ELEMENT_IDS.MIGRATIONS_CONTAINER);
+    /** @type {string|null} IMS Org ID of the highlighted row */
+    this.selectedImsOrgId = null;
+    /** @type {Function|null} Called with the row's {imsOrgId, migrationId} when a row is clicked */
+    this.onRowClick = null;
+    /** @type {Function|null} Called after the user changed the sort column or direction */
+    this.onSortChange = null;
+    /** @type {Map<string, Object>|null} Previous-period ingestion totals per customer */
+    this.previousTotals = null;
+    /** @type {Map<string, Array<Object>>} Active alerts per customer key, from setAlerts */
+    this.alertsByCustomer = new Map();
+    /** @type {Function|null} Called with a rule ID when a row's alert badge is clicked */
+    this.onAlertClick = null;
+    /** @type {import('./columnLayout.js').ColumnLayout} Column order, visibility and widths */
+    this.layout = loadColumnLayout();
+    /** @type {Object<string, string>} Header labels replacing COLUMN_LABELS, by column key */
+    this.columnLabels = {};
+    /** @type {HTMLTableElement|null} Table element, once initialized */
+    this.table = null;
+    /** @type {string|null} Key of the column being dragged to a new position */
+    this.draggedColumn = null;
+    /** @type {Function|null} Called after the user changed the column layout */
+    this.onLayoutChange = null;
+    /** @type {Array<Object>} Sorted migrations the current page is taken from */
+    this.displayedMigrations = [];
+    /** @type {number} Zero-based index of the page shown */
+    this.page = 0;
+    /** @type {number} Rows rendered per page */
+    this.pageSize = TABLE_CONFIG.DEFAULT_PAGE_SIZE;
+    /** @type {HTMLElement|null} Pagination bar below the table, once initialized */
+    this.pagination = null;
   }
 
   /**
@@ -66,120 +79,467 @@ class MigrationsTable {
   }
 
   /**
-   * Renders the table with migration data
-   * @param {Array<Object>} migrations - Array of migration objects to display
+   * Creates a numeric cell with a trend arrow against the previous period
+   * @static
+   * @param {number|null} value - Value for the current period
+   * @param {number} [previous] - Value for the previous period; no arrow if undefined
+   * @param {boolean} higherIsBetter - Whether an increase is an improvement
+   * @returns {HTMLTableCellElement} The created table cell
+   */
+  static createTrendCell(value, previous, higherIsBetter) {
+    const td = MigrationsTable.createCell(value ?? '-', 'numeric');
+    if (previous === undefined) return td;
+
+    const delta = (value || 0) - previous;
+    let direction = 'flat';
+    if (delta > 0) direction = 'up';
+    if (delta < 0) direction = 'down';
+
+    const trend = document.createElement('span');
+    trend.className = `${CSS_CLASSES.TABLE.TREND} trend-${direction}`;
+    if (delta !== 0) trend.classList.add(delta > 0 === higherIsBetter ? 'trend-better' : 'trend-worse');
+    trend.textContent = { up: '▲', down: '▼', flat: '–' }[direction];
+    trend.title = `Previous period: ${previous.toLocaleString()} (${NumberUtils.formatChange(value || 0, previous)})`;
+    trend.setAttribute('aria-label', trend.title);
+
+    td.append(' ', trend);
+    return td;
+  }
+
+  /**
+   * Creates the health cell: the score as a badge colored by status, with the
+   * reasons for a warning or at-risk status as tooltip
+   * @static
+   * @param {Object} migration - Migration object with health metrics
+   * @returns {HTMLTableCellElement} The created table cell
+   */
+  static createHealthCell(migration) {
+    const td = document.createElement('td');
+    td.className = 'numeric';
+    if (migration.healthScore == null) {
+      td.textContent = '-';
+      return td;
+    }
+
+    const badge = document.createElement('span');
+    badge.className = `${CSS_CLASSES.TABLE.HEALTH_BADGE} health-${migration.healthStatus}`;
+    badge.textContent = migration.healthStatus === HEALTH_STATUS.AT_RISK
+      ? `${migration.healthScore} · At risk`
+      : migration.healthScore;
+    if (migration.healthIssues?.length) {
+      badge.title = migration.healthIssues.join('\n');
+    }
+    td.appendChild(badge);
+    return td;
+  }
+
+  /**
+   * Creates the customer name cell, linking to the customer's workspace when possible
+   * @static
+   * @param {Object} migration - Migration object
+   * @returns {HTMLTableCellElement} The created table cell
+   */
+  static createNameCell(migration) {
+    const customerNameCell = document.createElement('td');
+    customerNameCell.className = 'string';
+
+    if (migration.imsOrgId && migration.customerName) {
+      const link = document.createElement('a');
+      link.href = getWorkspaceTenantUrl(migration.imsOrgId);
+      link.textContent = migration.customerName;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      customerNameCell.appendChild(link);
+    } else {
+      customerNameCell.textContent = migration.customerName ?? '-';
+    }
+    return customerNameCell;
+  }
+
+  /**
+   * Creates the cell of one column for a migration
+   * @param {string} columnKey - Column key from TABLE_CONFIG.COLUMNS
+   * @param {Object} migration - Migration object
+   * @param {{total?: number, failed?: number}} previous - Previous-period totals, empty
+   *   when not comparing
+   * @returns {HTMLTableCellElement} The created table cell
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createColumnCell(columnKey, migration, previous) {
+    const { COLUMNS } = TABLE_CONFIG;
+    const { createCell, createTrendCell } = MigrationsTable;
+
+    switch (columnKey) {
+      case COLUMNS.NAME:
+        return MigrationsTable.createNameCell(migration);
+      case COLUMNS.TOTAL_INGESTIONS:
+        return createTrendCell(migration.totalIngestions, previous.total, true);
+      case COLUMNS.FAILED_INGESTIONS:
+        return createTrendCell(migration.failedIngestions, previous.failed, false);
+      case COLUMNS.FAILURE_RATE:
+        return createCell(
+          NumberUtils.formatPercentage(migration.failedIngestions, migration.totalIngestions),
+          'numeric',
+        );
+      case COLUMNS.HEALTH_SCORE:
+        return MigrationsTable.createHealthCell(migration);
+      default:
+        if (TABLE_CONFIG.DATE_COLUMNS.includes(columnKey)) {
+          return createCell(DateUtils.formatDate(migration[columnKey]), 'date');
+        }
+        return createCell(migration[columnKey] ?? '-', 'numeric');
+    }
+  }
+
+  /**
+   * Creates the row of one migration
+   * @param {Object} migration - Migration object
+   * @param {string[]} columns - Visible column keys in display order
+   * @returns {HTMLTableRowElement} The created table row
+   */
+  createRow(migration, columns) {
+    const tr = document.createElement('tr');
+    tr.classList.add(CSS_CLASSES.TABLE.MIGRATION_ROW);
+    tr.setAttribute('data-migration-id', migration.id || '');
+    tr.setAttribute('data-ims-org-id', migration.imsOrgId || '');
+    if (this.selectedImsOrgId && migration.imsOrgId === this.selectedImsOrgId) {
+      tr.classList.add(CSS_CLASSES.TABLE.SELECTED_ROW);
+    }
+    if (migration.healthStatus === HEALTH_STATUS.AT_RISK) {
+      tr.classList.add(CSS_CLASSES.TABLE.AT_RISK_ROW);
+    } else if (migration.healthStatus === HEALTH_STATUS.WARNING) {
+      tr.classList.add(CSS_CLASSES.TABLE.WARNING_ROW);
+    }
+
+    const alerts = this.alertsByCustomer.get(getCustomerKey(migration));
+    if (alerts) tr.classList.add(CSS_CLASSES.TABLE.ALERT_ROW);
+
+    // Customers missing from the previous period count as zero there
+    const previous = this.previousTotals
+      ? this.previousTotals.get(getCustomerKey(migration)) || { total: 0, failed: 0 }
+      : {};
+
+    columns.forEach((columnKey) => {
+      const td = this.createColumnCell(columnKey, migration, previous);
+      if (this.isPinned(columnKey)) td.classList.add(CSS_CLASSES.TABLE.PINNED_COLUMN);
+      if (alerts && columnKey === TABLE_CONFIG.COLUMNS.NAME) {
+        td.appendChild(MigrationsTable.createAlertBadge(alerts));
+      }
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+
+  /**
+   * Creates the badge linking a row to the alerts its customer triggered
+   * @static
+   * @param {Array<{ruleId: string, description: string, detail: string}>} alerts - Alerts
+   * @returns {HTMLButtonElement} Badge; clicking it reports the first alert's rule
+   */
+  static createAlertBadge(alerts) {
+    const badge = document.createElement('button');
+    badge.type = 'button';
+    badge.className = CSS_CLASSES.TABLE.ALERT_BADGE;
+    badge.dataset.ruleId = alerts[0].ruleId;
+    badge.textContent = `⚠ ${alerts.length}`;
+    const reasons = alerts.map(({ description, detail }) => `${description}: ${detail}`);
+    badge.title = reasons.join('\n');
+    badge.setAttribute('aria-label', `${alerts.length} alert${alerts.length === 1 ? '' : 's'}: ${reasons.join('; ')}`);
+    return badge;
+  }
+
+  /**
+   * Links rows to the alerts their customers triggered
+   * @param {import('./alerts.js').Alert[]} alerts - Active alerts
+   */
+  setAlerts(alerts) {
+    this.alertsByCustomer = new Map();
+    alerts.forEach(({ ruleId, description, customers }) => {
+      customers.forEach(({ key, detail }) => {
+        const customerAlerts = this.alertsByCustomer.get(key) || [];
+        customerAlerts.push({ ruleId, description, detail });
+        this.alertsByCustomer.set(key, customerAlerts);
+      });
+    });
+
+    if (this.migrationsContainer?.querySelector('tbody')) {
+      this.renderTable(this.displayedMigrations);
+    }
+  }
+
+  /**
+   * Renders the current page of the table. Only one page of rows is in the DOM,
+   * so re-sorting and re-filtering stay fast for portfolios with thousands of customers.
+   * @param {Array<Object>} migrations - Sorted migrations to page through
    */
   renderTable(migrations) {
     const tbody = this.migrationsContainer.querySelector('tbody');
-    tbody.innerHTML = '';
-
-    /**
-     * Formats a timestamp for display in the table
-     * @param {number} timestamp - Unix timestamp in milliseconds
-     * @param {boolean} [includeTime=false] - Whether to include time in formatted output
-     * @returns {string} Formatted date string or '-' if no timestamp
-     */
-    const formatDate = (timestamp, includeTime = false) => {
-      if (!timestamp) return '-';
-      const date = new Date(timestamp);
-
-      const options = {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        timeZone: 'UTC',
-      };
+    this.displayedMigrations = migrations;
+    this.page = Math.min(this.page, this.getPageCount() - 1);
 
-      if (includeTime) {
-        Object.assign(options, {
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: false,
-        });
-      }
+    const columns = getVisibleColumns(this.layout);
+    const start = this.page * this.pageSize;
+    const rows = document.createDocumentFragment();
+
+    migrations.slice(start, start + this.pageSize).forEach((migration) => {
+      rows.appendChild(this.createRow(migration, columns));
+    });
+
+    tbody.replaceChildren(rows);
+    this.renderPagination();
+  }
+
+  /**
+   * Builds a static copy of the table for printing: the visible columns and every
+   * row in the current sort, without paging, sorting or resizing
+   * @returns {HTMLTableElement} Table element
+   */
+  createPrintTable() {
+    const columns = getVisibleColumns(this.layout);
+    const table = document.createElement('table');
+    table.className = CSS_CLASSES.TABLE.STYLED_TABLE;
+
+    const headerRow = table.createTHead().insertRow();
+    columns.forEach((columnKey) => {
+      const th = document.createElement('th');
+      th.textContent = this.columnLabels[columnKey]
+        || TABLE_CONFIG.COLUMN_LABELS[columnKey]
+        || columnKey;
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    this.getSortedMigrations().forEach((migration) => {
+      tbody.appendChild(this.createRow(migration, columns));
+    });
+    return table;
+  }
+
+  /**
+   * Number of pages for the displayed migrations; an empty table has one page
+   * @returns {number} Page count
+   */
+  getPageCount() {
+    return Math.max(1, Math.ceil(this.displayedMigrations.length / this.pageSize));
+  }
+
+  /**
+   * Creates the pagination bar: row range, previous/next buttons and page size menu
+   * @returns {HTMLElement} Pagination bar
+   */
+  createPagination() {
+    const pagination = document.createElement('div');
+    pagination.className = CSS_CLASSES.TABLE.PAGINATION;
+    pagination.innerHTML = `
+      <span class="pagination-range" aria-live="polite"></span>
+      <button type="button" class="export-button" data-page="prev" aria-label="Previous page">‹ Prev</button>
+      <span class="pagination-page"></span>
+      <button type="button" class="export-button" data-page="next" aria-label="Next page">Next ›</button>
+      <label>Rows per page <select class="pagination-size"></select></label>`;
+
+    const sizeSelect = pagination.querySelector('.pagination-size');
+    TABLE_CONFIG.PAGE_SIZES.forEach((size) => sizeSelect.add(new Option(size, size)));
+
+    pagination.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-page]');
+      if (!button) return;
+      this.setPage(this.page + (button.getAttribute('data-page') === 'next' ? 1 : -1));
+    });
+    sizeSelect.addEventListener('change', () => this.setPageSize(Number(sizeSelect.value)));
+    return pagination;
+  }
+
+  /**
+   * Updates the pagination bar for the current page
+   */
+  renderPagination() {
+    if (!this.pagination) return;
+
+    const total = this.displayedMigrations.length;
+    const pageCount = this.getPageCount();
+    const first = total ? this.page * this.pageSize + 1 : 0;
+    const last = Math.min(total, (this.page + 1) * this.pageSize);
+
+    this.pagination.querySelector('.pagination-range').textContent = `Showing ${first.toLocaleString()}–${last.toLocaleString()} of ${total.toLocaleString()}`;
+    this.pagination.querySelector('.pagination-page').textContent = `Page ${this.page + 1} of ${pageCount}`;
+    this.pagination.querySelector('[data-page="prev"]').disabled = this.page === 0;
+    this.pagination.querySelector('[data-page="next"]').disabled = this.page >= pageCount - 1;
+    this.pagination.querySelector('.pagination-size').value = String(this.pageSize);
+  }
+
+  /**
+   * Shows a page of the displayed migrations and scrolls back to its first row
+   * @param {number} page - Zero-based page index; clamped to the available pages
+   */
+  setPage(page) {
+    this.page = Math.max(0, Math.min(page, this.getPageCount() - 1));
+    this.renderTable(this.displayedMigrations);
+    const scroller = this.table?.parentElement;
+    if (scroller) scroller.scrollTop = 0;
+  }
 
-      const formatted = date.toLocaleString(undefined, options);
-      return includeTime ? `${formatted} UTC` : formatted;
-    };
-
-    migrations.forEach((migration) => {
-      const tr = document.createElement('tr');
-      tr.classList.add(CSS_CLASSES.TABLE.MIGRATION_ROW);
-      tr.classList.add(CSS_CLASSES.TABLE.MIGRATION_ROW);
-      tr.setAttribute('data-migration-id', migration.id || '');
-      tr.setAttribute('data-ims-org-id', migration.imsOrgId || '');
-
-      const customerNameCell = document.createElement('td');
-      customerNameCell.className = 'string';
-
-      if (migration.imsOrgId && migration.customerName) {
-        const link = document.createElement('a');
-        link.href = `https://aemcs-workspace.adobe.com/customer/tenant/${migration.imsOrgId}`;
-        link.textContent = migration.customerName;
-        link.target = '_blank';
-        link.rel = 'noopener noreferrer';
-        customerNameCell.appendChild(link);
-      } else {
-        customerNameCell.textContent = migration.customerName ?? '-';
+  /**
+   * Changes the number of rows per page, staying on the page with the first row shown
+   * @param {number} pageSize - Rows per page
+   */
+  setPageSize(pageSize) {
+    if (!Number.isInteger(pageSize) || pageSize <= 0) return;
+    const firstRow = this.page * this.pageSize;
+    this.pageSize = pageSize;
+    this.setPage(Math.floor(firstRow / pageSize));
+  }
+
+  /**
+   * Whether a column is the pinned customer name column
+   * @param {string} columnKey - Column key
+   * @returns {boolean} True if pinned
+   */
+  isPinned(columnKey) {
+    return this.layout.pinned && columnKey === TABLE_CONFIG.COLUMNS.NAME;
+  }
+
+  /**
+   * Renders the column widths and header cells for the visible columns
+   */
+  renderHeader() {
+    if (!this.table) return;
+
+    const colgroup = this.table.querySelector('colgroup');
+    const headerRow = this.table.querySelector('thead tr');
+    colgroup.innerHTML = '';
+    headerRow.innerHTML = '';
+
+    getVisibleColumns(this.layout).forEach((columnKey) => {
+      const col = document.createElement('col');
+      col.setAttribute('data-column', columnKey);
+      if (this.layout.widths[columnKey]) col.style.width = `${this.layout.widths[columnKey]}px`;
+      colgroup.appendChild(col);
+
+      const th = document.createElement('th');
+      th.setAttribute('data-sort', columnKey);
+      th.draggable = !this.isPinned(columnKey);
+      if (this.isPinned(columnKey)) th.classList.add(CSS_CLASSES.TABLE.PINNED_COLUMN);
+      th.textContent = this.columnLabels[columnKey]
+        || TABLE_CONFIG.COLUMN_LABELS[columnKey]
+        || columnKey;
+
+      const sortIndex = this.sortKeys.findIndex((key) => key.column === columnKey);
+      if (sortIndex >= 0) {
+        const { direction } = this.sortKeys[sortIndex];
+        th.classList.add(direction === 'asc'
+          ? CSS_CLASSES.TABLE.SORTED_ASC
+          : CSS_CLASSES.TABLE.SORTED_DESC);
+        th.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+
+        // Number the sort levels once more than one column takes part
+        if (this.sortKeys.length > 1) {
+          const priority = document.createElement('span');
+          priority.className = CSS_CLASSES.TABLE.SORT_PRIORITY;
+          priority.textContent = sortIndex + 1;
+          priority.title = `Sort priority ${sortIndex + 1}`;
+          th.appendChild(priority);
+        }
       }
+      th.title = 'Click to sort, Shift+click to add to the sort';
 
-      const lastBpaCell = MigrationsTable.createCell(formatDate(migration.bpaReportUploaded), 'date');
-      const totalProjectsCell = MigrationsTable.createCell(migration.totalProjects ?? '-', 'numeric');
-      const firstCell = MigrationsTable.createCell(formatDate(migration.firstIngestion), 'date');
-      const lastCell = MigrationsTable.createCell(formatDate(migration.lastIngestion), 'date');
-      const totalCell = MigrationsTable.createCell(migration.totalIngestions ?? '-', 'numeric');
-      const failedCell = MigrationsTable.createCell(migration.failedIngestions ?? '-', 'numeric');
-
-      tr.append(
-        customerNameCell,
-        lastBpaCell,
-        totalProjectsCell,
-        firstCell,
-        lastCell,
-        totalCell,
-        failedCell,
-      );
-      tbody.appendChild(tr);
+      const resizer = document.createElement('span');
+      resizer.className = CSS_CLASSES.TABLE.COLUMN_RESIZER;
+      resizer.setAttribute('aria-hidden', 'true');
+      th.appendChild(resizer);
+
+      headerRow.appendChild(th);
     });
   }
 
   /**
-   * Adds sorting functionality to table headers
+   * Adds sorting to the table headers: click sorts by a column, Shift+click
+   * adds it to (or cycles it within) a multi-column sort
    * @param {HTMLTableElement} table - The table element
-   * @param {Array<Object>} migrations - Array of migration data
-   */
-  addSortingToTable(table, migrations) {
-    const headers = table.querySelectorAll('th[data-sort]');
-    headers.forEach((header) => {
-      header.addEventListener('click', () => {
-        if (!this.isSortingEnabled) return;
-
-        const columnKey = header.getAttribute('data-sort');
-
-        // Determine new sort direction BEFORE removing classes
-        let newDirection = 'asc';
-        if (header.classList.contains(CSS_CLASSES.TABLE.SORTED_ASC)) newDirection = 'desc';
-
-        // Remove sort classes from all headers
-        headers.forEach((h) => h.classList.remove(
-          CSS_CLASSES.TABLE.SORTED_ASC,
-          CSS_CLASSES.TABLE.SORTED_DESC,
-        ));
-
-        // Sort data
-        const sortedData = sortTable(migrations, columnKey, newDirection);
-
-        // Add arrow class
-        header.classList.add(
-          newDirection === 'asc'
-            ? CSS_CLASSES.TABLE.SORTED_ASC
-            : CSS_CLASSES.TABLE.SORTED_DESC,
-        );
+   */
+  addSortingToTable(table) {
+    table.querySelector('thead').addEventListener('click', (e) => {
+      if (!this.isSortingEnabled) return;
+      if (e.target.closest(`.${CSS_CLASSES.TABLE.COLUMN_RESIZER}`)) return;
 
-        this.renderTable(sortedData);
-        this.sortDirection = newDirection;
-      });
+      const header = e.target.closest('th[data-sort]');
+      if (!header) return;
+
+      this.sortKeys = toggleSortKey(this.sortKeys, header.getAttribute('data-sort'), e.shiftKey);
+      this.page = 0;
+
+      this.renderHeader();
+      this.renderTable(this.getSortedMigrations());
+      if (this.onSortChange) this.onSortChange();
+    });
+  }
+
+  /**
+   * Adds drag-to-reorder and drag-to-resize to the table headers
+   * @param {HTMLTableElement} table - The table element
+   */
+  addColumnDragging(table) {
+    const thead = table.querySelector('thead');
+    const clearDropTargets = () => thead.querySelectorAll('.drop-target')
+      .forEach((th) => th.classList.remove('drop-target'));
+
+    thead.addEventListener('dragstart', (e) => {
+      const header = e.target.closest('th[draggable="true"]');
+      if (!header) return;
+      this.draggedColumn = header.getAttribute('data-sort');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', this.draggedColumn);
+      header.classList.add('dragging');
+    });
+
+    thead.addEventListener('dragover', (e) => {
+      const header = e.target.closest('th[draggable="true"]');
+      if (!this.draggedColumn || !header) return;
+      e.preventDefault();
+      clearDropTargets();
+      header.classList.add('drop-target');
+    });
+
+    thead.addEventListener('drop', (e) => {
+      const header = e.target.closest('th[draggable="true"]');
+      if (!this.draggedColumn || !header) return;
+      e.preventDefault();
+      this.moveColumn(this.draggedColumn, header.getAttribute('data-sort'));
+    });
+
+    thead.addEventListener('dragend', () => {
+      this.draggedColumn = null;
+      clearDropTargets();
+      thead.querySelectorAll('.dragging').forEach((th) => th.classList.remove('dragging'));
+    });
+
+    thead.addEventListener('pointerdown', (e) => {
+      if (!e.target.classList.contains(CSS_CLASSES.TABLE.COLUMN_RESIZER)) return;
+      e.preventDefault();
+
+      const header = e.target.closest('th');
+      const columnKey = header.getAttribute('data-sort');
+      const col = table.querySelector(`col[data-column="${columnKey}"]`);
+      const startX = e.clientX;
+      const startWidth = header.getBoundingClientRect().width;
+
+      const onMove = (moveEvent) => {
+        const width = Math.max(
+          TABLE_CONFIG.MIN_COLUMN_WIDTH,
+          Math.round(startWidth + moveEvent.clientX - startX),
+        );
+        col.style.width = `${width}px`;
+        this.layout.widths[columnKey] = width;
+      };
+      const onUp = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        // Only the widths go into the saved layout; the visible columns may come from a
+        // saved view or a shared link and must not replace the user's own
+        saveColumnLayout({ ...loadColumnLayout(), widths: { ...this.layout.widths } });
+        this.updateLayout(this.layout, { render: false, save: false });
+      };
+      document.addEventListener('pointermove', onMove);
+      document.addEventListener('pointerup', onUp);
     });
   }
 
@@ -189,6 +549,8 @@ class MigrationsTable {
    */
   initTable(migrations) {
     this.migrationsContainer.innerHTML = '';
+    this.migrations = migrations;
+    this.page = 0;
 
     const summaryWrapper = document.createElement('div');
     summaryWrapper.classList.add('table-summary-wrapper');
@@ -196,36 +558,231 @@ class MigrationsTable {
 
     const table = document.createElement('table');
     table.classList.add(CSS_CLASSES.TABLE.STYLED_TABLE);
-
-    table.innerHTML = `
-      <thead>
-        <tr>
-          <th data-sort="${TABLE_CONFIG.COLUMNS.NAME}">Customer Name</th>
-          <th data-sort="${TABLE_CONFIG.COLUMNS.LAST_BPA_UPLOAD}">Last BPA Upload</th>
-          <th data-sort="${TABLE_CONFIG.COLUMNS.TOTAL_PROJECTS}">Total Projects</th>
-          <th data-sort="${TABLE_CONFIG.COLUMNS.FIRST_INGESTION}">First Ingestion</th>
-          <th data-sort="${TABLE_CONFIG.COLUMNS.LAST_INGESTION}">Latest Ingestion</th>
-          <th id="total-ingestions-header" data-sort="${TABLE_CONFIG.COLUMNS.TOTAL_INGESTIONS}">Total Ingestions</th>
-          <th data-sort="${TABLE_CONFIG.COLUMNS.FAILED_INGESTIONS}">Failed Ingestions</th>
-        </tr>
-      </thead>
-    `;
+    table.innerHTML = '<colgroup></colgroup><thead><tr></tr></thead>';
 
     const tbody = document.createElement('tbody');
+    tbody.addEventListener('click', (e) => this.handleRowClick(e));
     table.appendChild(tbody);
-    this.addSortingToTable(table, migrations);
-    this.migrationsContainer.appendChild(table);
-
-    // Initial sort
-    const sortedMigrations = sortTable(
-      migrations,
-      TABLE_CONFIG.DEFAULT_SORT_COLUMN,
-      this.sortDirection,
-    );
-    document.querySelector(`th[data-sort="${TABLE_CONFIG.DEFAULT_SORT_COLUMN}"]`)
-      .classList.add(CSS_CLASSES.TABLE.SORTED_ASC);
-
-    this.renderTable(sortedMigrations);
+    this.table = table;
+    this.addSortingToTable(table);
+    this.addColumnDragging(table);
+
+    // Wide layouts scroll horizontally while the pinned name column stays visible
+    const scroller = document.createElement('div');
+    scroller.className = 'table-scroll';
+    scroller.appendChild(table);
+    this.migrationsContainer.appendChild(scroller);
+
+    this.pagination = this.createPagination();
+    this.migrationsContainer.appendChild(this.pagination);
+
+    // Initial sort - keep the current sort so re-filtering doesn't reset it
+    this.renderHeader();
+    this.renderTable(this.getSortedMigrations());
+  }
+
+  /**
+   * Returns the current column layout
+   * @returns {import('./columnLayout.js').ColumnLayout} Column layout
+   */
+  getLayout() {
+    return this.layout;
+  }
+
+  /**
+   * Stores a new column layout and redraws the table
+   * @param {import('./columnLayout.js').ColumnLayout} layout - New layout
+   * @param {Object} [options={}] - Update options
+   * @param {boolean} [options.render=true] - Redraw the header and rows
+   * @param {boolean} [options.notify=true] - Call onLayoutChange
+   * @param {boolean} [options.save=true] - Save the layout in this browser
+   */
+  updateLayout(layout, { render = true, notify = true, save = true } = {}) {
+    this.layout = normaliseLayout(layout);
+    if (save) saveColumnLayout(this.layout);
+
+    if (render && this.table) {
+      this.renderHeader();
+      this.renderTable(this.getSortedMigrations());
+    }
+    if (notify && this.onLayoutChange) this.onLayoutChange(this.layout);
+  }
+
+  /**
+   * Shows or hides a column; the customer name column can't be hidden
+   * @param {string} columnKey - Column key
+   * @param {boolean} visible - Whether the column should be visible
+   */
+  setColumnVisible(columnKey, visible) {
+    const hidden = this.layout.hidden.filter((key) => key !== columnKey);
+    if (!visible) hidden.push(columnKey);
+    this.updateLayout({ ...this.layout, hidden });
+  }
+
+  /**
+   * Moves a column to the position of another column
+   * @param {string} columnKey - Column to move
+   * @param {string} targetKey - Column whose position it takes
+   */
+  moveColumn(columnKey, targetKey) {
+    if (columnKey === targetKey) return;
+    const order = this.layout.order.filter((key) => key !== columnKey);
+    const targetIndex = order.indexOf(targetKey);
+    // Moving right lands after the target, moving left before it
+    const movingRight = this.layout.order.indexOf(columnKey) < this.layout.order.indexOf(targetKey);
+    order.splice(targetIndex + (movingRight ? 1 : 0), 0, columnKey);
+    this.updateLayout({ ...this.layout, order });
+  }
+
+  /**
+   * Moves a column one visible position left or right
+   * @param {string} columnKey - Column to move
+   * @param {-1|1} offset - Direction
+   */
+  moveColumnBy(columnKey, offset) {
+    const visible = getVisibleColumns(this.layout);
+    const target = visible[visible.indexOf(columnKey) + offset];
+    if (target && !this.isPinned(target)) this.moveColumn(columnKey, target);
+  }
+
+  /**
+   * Pins or unpins the customer name column
+   * @param {boolean} pinned - Whether the name column is pinned
+   */
+  setPinned(pinned) {
+    this.updateLayout({ ...this.layout, pinned });
+  }
+
+  /**
+   * Restores the built-in column layout
+   */
+  resetLayout() {
+    this.updateLayout(getDefaultLayout());
+  }
+
+  /**
+   * Shows exactly the given columns in the given order, e.g. from a saved view or a
+   * shared link. Widths and pinning are kept; the layout saved in this browser is left
+   * alone and onLayoutChange is not called.
+   * @param {string[]} columnKeys - Visible column keys
+   */
+  setVisibleColumns(columnKeys) {
+    this.updateLayout(withVisibleColumns(this.layout, columnKeys), { notify: false, save: false });
+  }
+
+  /**
+   * Shows the layout saved in this browser again, e.g. for a view without columns of
+   * its own. onLayoutChange is not called.
+   */
+  restoreSavedLayout() {
+    this.updateLayout(loadColumnLayout(), { notify: false, save: false });
+  }
+
+  /**
+   * Replaces the header label of a column, e.g. to show the loaded date range
+   * @param {string} columnKey - Column key
+   * @param {string} label - Header label
+   */
+  setColumnLabel(columnKey, label) {
+    this.columnLabels[columnKey] = label;
+    this.renderHeader();
+  }
+
+  /**
+   * Sets the sort used the next time the table is initialized
+   * @param {import('./sorting.js').SortKey[]} sortKeys - Sort keys in priority order;
+   *   empty restores the default sort
+   */
+  setSort(sortKeys) {
+    this.sortKeys = sortKeys?.length ? sortKeys : getDefaultSort();
+  }
+
+  /**
+   * Returns the current sort
+   * @returns {import('./sorting.js').SortKey[]} Sort keys in priority order
+   */
+  getSort() {
+    return this.sortKeys;
+  }
+
+  /**
+   * Sets the previous-period migrations used for the trend arrows and re-renders the rows
+   * @param {Array<Object>|null} previousMigrations - Migrations of the previous period,
+   *   or null to stop comparing
+   */
+  setComparison(previousMigrations) {
+    if (!previousMigrations && !this.previousTotals) return;
+
+    this.previousTotals = null;
+    if (previousMigrations) {
+      this.previousTotals = new Map();
+      previousMigrations.forEach((migration) => {
+        const key = getCustomerKey(migration);
+        const totals = this.previousTotals.get(key) || { total: 0, failed: 0 };
+        totals.total += migration.totalIngestions || 0;
+        totals.failed += migration.failedIngestions || 0;
+        this.previousTotals.set(key, totals);
+      });
+    }
+
+    if (this.migrationsContainer.querySelector('tbody')) {
+      this.renderTable(this.getSortedMigrations());
+    }
+  }
+
+  /**
+   * Returns the table's migrations in the order they are currently displayed
+   * @returns {Array<Object>} Sorted migrations
+   */
+  getSortedMigrations() {
+    return sortMigrations(this.migrations, this.sortKeys);
+  }
+
+  /**
+   * Handles a click inside the table body and reports the clicked row.
+   * Clicks on the customer name link keep opening the workspace instead, and
+   * clicks on an alert badge report its alert.
+   * @param {MouseEvent} e - Click event
+   */
+  handleRowClick(e) {
+    const badge = e.target.closest(`.${CSS_CLASSES.TABLE.ALERT_BADGE}`);
+    if (badge) {
+      if (this.onAlertClick) this.onAlertClick(badge.dataset.ruleId);
+      return;
+    }
+    if (!this.onRowClick || e.target.closest('a')) return;
+
+    const row = e.target.closest(`tr.${CSS_CLASSES.TABLE.MIGRATION_ROW}`);
+    if (!row) return;
+
+    const imsOrgId = row.getAttribute('data-ims-org-id');
+    const migrationId = row.getAttribute('data-migration-id');
+    if (!imsOrgId && !migrationId) return;
+
+    this.onRowClick({ imsOrgId, migrationId });
+  }
+
+  /**
+   * Highlights the row of the given customer, or clears the highlight.
+   * Turns to the page holding the row if it is on another page.
+   * @param {string|null} imsOrgId - IMS Org ID of the row to highlight
+   */
+  setSelectedRow(imsOrgId) {
+    this.selectedImsOrgId = imsOrgId || null;
+
+    const index = this.selectedImsOrgId
+      ? this.displayedMigrations.findIndex((m) => m.imsOrgId === this.selectedImsOrgId)
+      : -1;
+    if (index >= 0 && Math.floor(index / this.pageSize) !== this.page) {
+      this.setPage(Math.floor(index / this.pageSize));
+    }
+
+    this.migrationsContainer.querySelectorAll(`tr.${CSS_CLASSES.TABLE.MIGRATION_ROW}`).forEach((tr) => {
+      tr.classList.toggle(
+        CSS_CLASSES.TABLE.SELECTED_ROW,
+        Boolean(this.selectedImsOrgId) && tr.getAttribute('data-ims-org-id') === this.selectedImsOrgId,
+      );
+    });
   }
 
   /**
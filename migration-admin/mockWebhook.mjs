@@ -0,0 +1,88 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Mock chat webhook for testing digest delivery locally. Accepts JSON POSTs,
+ * logs them and lists the received payloads on GET.
+ *
+ *   node migration-admin/mockWebhook.mjs [port]
+ *
+ * Then send from digest.html with the "Chat webhook" adapter pointed at
+ * http://localhost:8788/digest (CONFIG.DIGEST_WEBHOOK_URL of the local environment).
+ * @module mockWebhook
+ */
+
+import { createServer } from 'node:http';
+
+const port = Number(process.argv[2]) || 8788;
+
+// Payloads received since the server started, newest last
+const received = [];
+
+// The preview page runs on another origin, so the browser needs CORS headers
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Sends a JSON response
+ * @param {import('node:http').ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body, null, 2));
+}
+
+const server = createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  if (request.method === 'GET') {
+    sendJson(response, 200, received);
+    return;
+  }
+
+  if (request.method !== 'POST') {
+    sendJson(response, 405, { error: 'Use POST' });
+    return;
+  }
+
+  let body = '';
+  request.on('data', (chunk) => { body += chunk; });
+  request.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      sendJson(response, 400, { error: 'Body is not JSON' });
+      return;
+    }
+
+    received.push({ receivedAt: new Date().toISOString(), path: request.url, payload });
+    console.log(`[${new Date().toLocaleTimeString()}] POST ${request.url}: ${payload.text || '(no text)'}`);
+    sendJson(response, 200, { ok: true });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock webhook listening on http://localhost:${port}/digest (GET lists received payloads)`);
+});
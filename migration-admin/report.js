@@ -0,0 +1,151 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Printable report - lays out the summary, charts and filtered table on one page
+ * in a new window, ready for Print to PDF
+ * @module report
+ */
+
+import { createStandaloneSvg } from './chartExport.js';
+import { DateUtils } from './utils.js';
+
+const REPORT_TITLE = 'AEM Cloud Migrations Report';
+
+/**
+ * Report content, captured from the dashboard when the report is generated
+ * @typedef {Object} ReportContent
+ * @property {Object} dateRange - Resolved range from getDateRangeBounds
+ * @property {number} generatedAt - Generation time
+ * @property {string} [preparedBy] - Name of the signed-in user
+ * @property {string[]} [filters] - Descriptions of the filters narrowing the data
+ * @property {HTMLElement|null} summary - Summary bar from renderIngestionsCount
+ * @property {HTMLElement[]} charts - Graph containers to include, in order
+ * @property {HTMLTableElement} table - Filtered table from MigrationsTable.createPrintTable
+ * @property {number} customerCount - Rows in the table
+ */
+
+/**
+ * Creates an element with optional class name and text content
+ * @param {string} tagName - Element tag name
+ * @param {string} [className=''] - Optional CSS class name
+ * @param {string} [text] - Optional text content
+ * @returns {HTMLElement} The created element
+ */
+function createElement(tagName, className = '', text = undefined) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Creates the cover header: title, date range, generation time and filters
+ * @param {ReportContent} content - Report content
+ * @returns {HTMLElement} Header element
+ */
+function createCover({
+  dateRange, generatedAt, preparedBy, filters = [],
+}) {
+  const cover = createElement('header', 'report-cover');
+  cover.appendChild(createElement('h1', '', REPORT_TITLE));
+  cover.appendChild(createElement(
+    'p',
+    'report-range',
+    `${DateUtils.formatDate(dateRange.start)} – ${DateUtils.formatDate(dateRange.end)} (${dateRange.label})`,
+  ));
+
+  const generated = new Date(generatedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  cover.appendChild(createElement(
+    'p',
+    'report-meta',
+    `Generated ${generated}${preparedBy ? ` by ${preparedBy}` : ''}`,
+  ));
+  if (filters.length) {
+    cover.appendChild(createElement('p', 'report-meta', `Filtered by: ${filters.join('; ')}`));
+  }
+  return cover;
+}
+
+/**
+ * Creates a report section with a heading
+ * @param {string} title - Section heading
+ * @param {string} className - Section class name
+ * @returns {HTMLElement} Section element
+ */
+function createSection(title, className) {
+  const section = createElement('section', `report-section ${className}`);
+  section.appendChild(createElement('h2', '', title));
+  return section;
+}
+
+/**
+ * Lays the report out in a document
+ * @param {Document} reportDocument - Document to render into
+ * @param {ReportContent} content - Report content
+ */
+export function renderReport(reportDocument, content) {
+  const { body } = reportDocument;
+  body.className = 'migration-report';
+  body.innerHTML = '';
+
+  const toolbar = createElement('div', 'report-toolbar');
+  const printButton = createElement('button', '', 'Print / Save as PDF');
+  printButton.type = 'button';
+  printButton.addEventListener('click', () => reportDocument.defaultView?.print());
+  toolbar.append(printButton, createElement('span', '', 'Choose "Save as PDF" as the printer to keep a copy.'));
+  body.appendChild(toolbar);
+
+  body.appendChild(createCover(content));
+
+  if (content.summary) {
+    const summary = createSection('Summary', 'report-summary');
+    summary.appendChild(content.summary.cloneNode(true));
+    body.appendChild(summary);
+  }
+
+  const charts = createSection('Charts', 'report-charts');
+  content.charts.forEach((container) => {
+    try {
+      const figure = createElement('figure', 'report-chart');
+      figure.appendChild(createStandaloneSvg(container).svg);
+      charts.appendChild(figure);
+    } catch (error) {
+      // Charts in their empty or loading state have nothing to print
+    }
+  });
+  if (charts.querySelector('figure')) body.appendChild(charts);
+
+  const customers = createSection(`Customers (${content.customerCount.toLocaleString()})`, 'report-table');
+  customers.appendChild(content.table);
+  body.appendChild(customers);
+}
+
+/**
+ * Opens the report in a new window
+ * @param {ReportContent} content - Report content
+ * @returns {boolean} False if the browser blocked the window
+ */
+export function openReport(content) {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) return false;
+
+  const reportDocument = reportWindow.document;
+  reportDocument.title = `${REPORT_TITLE} - ${content.dateRange.label}`;
+  const stylesheet = reportDocument.createElement('link');
+  stylesheet.rel = 'stylesheet';
+  stylesheet.href = new URL('./report.css', import.meta.url).href;
+  reportDocument.head.appendChild(stylesheet);
+
+  renderReport(reportDocument, content);
+  return true;
+}
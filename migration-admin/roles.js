@@ -0,0 +1,192 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Roles - resolves what a signed-in user may see and do from their profile
+ * and the team roster, and the books of customers they can view as
+ * @module roles
+ */
+
+import { ROLE_CONFIG } from './constants.js';
+
+export const ROLES = Object.freeze({
+  INDIVIDUAL: { value: 'individual', label: 'Individual' },
+  TEAM_LEAD: { value: 'teamLead', label: 'Team lead' },
+  ADMIN: { value: 'admin', label: 'Admin' },
+});
+
+// Scope every role has: the user's own book
+export const SELF_SCOPE_ID = 'self';
+
+/**
+ * A book of customers the user can view as
+ * @typedef {Object} Scope
+ * @property {string} id - Stable identifier, kept in the URL as `as`
+ * @property {string} label - Label shown in the "Viewing as" select
+ * @property {string[]} searchBy - Names or emails the worker scopes the results by;
+ *   the books of several people are merged
+ */
+
+/**
+ * What a user may see and do
+ * @typedef {Object} Access
+ * @property {string} role - Role value from ROLES
+ * @property {Scope[]} scopes - Books the user can view as, their own first
+ */
+
+/**
+ * @typedef {Object} TeamMember
+ * @property {string} name - Full name, as the worker knows it
+ * @property {string} email - Email address
+ */
+
+/**
+ * @typedef {Object} Team
+ * @property {string} id - Stable identifier
+ * @property {string} name - Team name
+ * @property {string[]} leads - Emails of the team leads
+ * @property {TeamMember[]} members - Team members
+ */
+
+let cachedRoster = null;
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Drops everything that is not a well-formed roster
+ * @param {*} data - Untrusted roster
+ * @returns {{admins: string[], teams: Team[]}} Valid roster
+ */
+function normaliseRoster(data) {
+  const emails = (list) => (Array.isArray(list) ? list.map(normaliseEmail).filter(Boolean) : []);
+  const teams = Array.isArray(data?.teams) ? data.teams : [];
+  return {
+    admins: emails(data?.admins),
+    teams: teams
+      .filter((team) => team && typeof team.name === 'string' && team.name.trim())
+      .map((team) => ({
+        id: String(team.id || team.name).trim(),
+        name: team.name.trim(),
+        leads: emails(team.leads),
+        members: (Array.isArray(team.members) ? team.members : [])
+          .filter((member) => member && (member.name || member.email))
+          .map((member) => ({
+            name: String(member.name || '').trim(),
+            email: normaliseEmail(member.email),
+          })),
+      })),
+  };
+}
+
+/**
+ * Loads the team roster (`ROLE_CONFIG.ROSTER_FILE` next to this module).
+ * A missing or broken roster reads as no teams, so everyone sees their own book.
+ * @returns {Promise<{admins: string[], teams: Team[]}>} Roster
+ */
+export async function getTeamRoster() {
+  if (cachedRoster) return cachedRoster;
+  try {
+    const response = await fetch(new URL(ROLE_CONFIG.ROSTER_FILE, import.meta.url));
+    cachedRoster = normaliseRoster(response.ok ? await response.json() : null);
+  } catch (e) {
+    cachedRoster = normaliseRoster(null);
+  }
+  return cachedRoster;
+}
+
+/**
+ * Returns the value the worker scopes a person's results by
+ * @param {{name?: string, email?: string}} person - Profile or team member
+ * @returns {string} Name, or email if there is no name
+ */
+export function getSearchBy(person) {
+  return person.name || person.email;
+}
+
+/**
+ * Builds the scope covering several people
+ * @param {string} id - Scope ID
+ * @param {string} label - Scope label
+ * @param {Array<{name?: string, email?: string}>} people - People whose books are merged
+ * @returns {Scope} Scope
+ */
+function createScope(id, label, people) {
+  return { id, label, searchBy: [...new Set(people.map(getSearchBy).filter(Boolean))] };
+}
+
+/**
+ * Resolves a user's role and the scopes they can view as. Roles come from the roster
+ * only, never from the profile the client signed in with: admins are listed under
+ * `admins`, team leads lead a team. Everyone else is an individual.
+ * @param {Object} profile - Profile of the signed-in user (see auth.js)
+ * @param {{admins: string[], teams: Team[]}} roster - Roster from getTeamRoster
+ * @returns {Access} Access
+ */
+export function resolveAccess(profile, roster) {
+  const email = normaliseEmail(profile.email);
+  const isAdmin = roster.admins.includes(email);
+  const ledTeams = roster.teams.filter((team) => team.leads.includes(email));
+  let role = ROLES.INDIVIDUAL.value;
+  if (isAdmin) role = ROLES.ADMIN.value;
+  else if (ledTeams.length) role = ROLES.TEAM_LEAD.value;
+
+  const scopes = [createScope(SELF_SCOPE_ID, 'My customers', [profile])];
+  if (role === ROLES.INDIVIDUAL.value) return { role, scopes };
+
+  const teams = isAdmin ? roster.teams : ledTeams;
+  const members = teams.flatMap((team) => team.members);
+  // Leads are listed by email only; use their member entry (or profile) for the name
+  const findLead = (leadEmail) => (leadEmail === email ? profile : null)
+    || members.find((member) => member.email === leadEmail) || { email: leadEmail };
+  const teamPeople = (team) => [...team.leads.map(findLead), ...team.members];
+  const addScope = (scope) => {
+    if (scope.searchBy.length) scopes.push(scope);
+  };
+
+  teams.forEach((team) => {
+    addScope(createScope(`team:${team.id}`, `${team.name} (whole team)`, teamPeople(team)));
+  });
+  if (isAdmin && teams.length > 1) {
+    addScope(createScope('all', 'All teams', teams.flatMap(teamPeople)));
+  }
+
+  const seen = new Set([email]);
+  members.forEach((member) => {
+    const key = member.email || member.name;
+    if (seen.has(key)) return;
+    seen.add(key);
+    addScope(createScope(`user:${key}`, member.name || member.email, [member]));
+  });
+
+  return { role, scopes };
+}
+
+/**
+ * Checks whether a role may use a feature
+ * @param {Access|null} access - Access from resolveAccess
+ * @param {string} permission - Key of ROLE_CONFIG.PERMISSIONS
+ * @returns {boolean} True if allowed; unknown permissions are denied
+ */
+export function hasPermission(access, permission) {
+  const roles = ROLE_CONFIG.PERMISSIONS[permission];
+  return Boolean(access && roles) && roles.includes(access.role);
+}
+
+/**
+ * Returns a scope by ID
+ * @param {Access} access - Access from resolveAccess
+ * @param {string} [id] - Scope ID
+ * @returns {Scope} Matching scope, or the user's own book
+ */
+export function getScope(access, id) {
+  return access.scopes.find((scope) => scope.id === id) || access.scopes[0];
+}
@@ -0,0 +1,201 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Saved views - named view states stored per user in localStorage
+ * @module savedViews
+ */
+
+import { MigrationError, ERROR_TYPES } from './errors.js';
+import { sanitizeViewState } from './urlState.js';
+
+const STORAGE_PREFIX = 'aem-migrations-views:';
+const FILE_VERSION = 1;
+
+/**
+ * A named view state
+ * @typedef {Object} SavedView
+ * @property {string} id - Stable identifier
+ * @property {string} name - Name shown in the view dropdown
+ * @property {import('./urlState.js').ViewState} state - Saved view state (without drill-down)
+ */
+
+/**
+ * Returns the key views are stored under for a user profile
+ * @param {Object|null} profile - Profile of the signed-in user (see auth.js)
+ * @returns {string} User key, empty if the profile has no identity
+ */
+export function getUserKey(profile) {
+  return String(profile?.email || profile?.name || '').trim().toLowerCase();
+}
+
+/**
+ * Drops everything that is not a well-formed view
+ * @param {*} views - Untrusted list of views
+ * @returns {SavedView[]} Valid views
+ */
+function normaliseViews(views) {
+  if (!Array.isArray(views)) return [];
+  return views
+    .filter((view) => view && typeof view.id === 'string' && typeof view.name === 'string'
+      && view.name.trim())
+    .map((view) => ({
+      id: view.id,
+      name: view.name.trim(),
+      state: sanitizeViewState(view.state),
+    }));
+}
+
+/**
+ * Reads a user's views; storage errors read as no views
+ * @param {string} userKey - Key from getUserKey
+ * @returns {{views: SavedView[], defaultViewId: string|null}} Stored views
+ */
+function readStore(userKey) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + userKey) || '{}');
+    const views = normaliseViews(stored.views);
+    const defaultViewId = views.some((view) => view.id === stored.defaultViewId)
+      ? stored.defaultViewId
+      : null;
+    return { views, defaultViewId };
+  } catch (e) {
+    return { views: [], defaultViewId: null };
+  }
+}
+
+/**
+ * Writes a user's views
+ * @param {string} userKey - Key from getUserKey
+ * @param {{views: SavedView[], defaultViewId: string|null}} store - Views to store
+ * @throws {MigrationError} If storage is unavailable or full
+ */
+function writeStore(userKey, store) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + userKey, JSON.stringify(store));
+  } catch (e) {
+    throw new MigrationError('Saved views could not be stored in this browser', { cause: e });
+  }
+}
+
+const createViewId = () => `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Lists a user's saved views
+ * @param {string} userKey - Key from getUserKey
+ * @returns {{views: SavedView[], defaultViewId: string|null}} Views and the default view's ID
+ */
+export function getSavedViews(userKey) {
+  return readStore(userKey);
+}
+
+/**
+ * Returns a user's default view
+ * @param {string} userKey - Key from getUserKey
+ * @returns {SavedView|null} Default view, or null if none is set
+ */
+export function getDefaultView(userKey) {
+  if (!userKey) return null;
+  const { views, defaultViewId } = readStore(userKey);
+  return views.find((view) => view.id === defaultViewId) || null;
+}
+
+/**
+ * Saves a view under a name, replacing the view with the same ID or name
+ * @param {string} userKey - Key from getUserKey
+ * @param {Object} view - View to save
+ * @param {string} [view.id] - ID of the view to overwrite
+ * @param {string} view.name - View name
+ * @param {import('./urlState.js').ViewState} view.state - View state
+ * @returns {SavedView} Saved view
+ * @throws {MigrationError} If the view cannot be stored
+ */
+export function saveView(userKey, { id, name, state }) {
+  const store = readStore(userKey);
+  const trimmedName = name.trim();
+  const existing = store.views.find((view) => view.id === id)
+    || store.views.find((view) => view.name.toLowerCase() === trimmedName.toLowerCase());
+
+  const { customer, ...viewState } = sanitizeViewState(state);
+  const saved = { id: existing?.id || createViewId(), name: trimmedName, state: viewState };
+
+  store.views = existing
+    ? store.views.map((view) => (view.id === existing.id ? saved : view))
+    : [...store.views, saved];
+  writeStore(userKey, store);
+  return saved;
+}
+
+/**
+ * Deletes a view; deleting the default view clears the default
+ * @param {string} userKey - Key from getUserKey
+ * @param {string} id - View ID
+ * @throws {MigrationError} If the change cannot be stored
+ */
+export function deleteView(userKey, id) {
+  const store = readStore(userKey);
+  store.views = store.views.filter((view) => view.id !== id);
+  if (store.defaultViewId === id) store.defaultViewId = null;
+  writeStore(userKey, store);
+}
+
+/**
+ * Sets or clears the view applied on page load
+ * @param {string} userKey - Key from getUserKey
+ * @param {string|null} id - View ID, or null for the built-in default
+ * @throws {MigrationError} If the change cannot be stored
+ */
+export function setDefaultView(userKey, id) {
+  const store = readStore(userKey);
+  store.defaultViewId = store.views.some((view) => view.id === id) ? id : null;
+  writeStore(userKey, store);
+}
+
+/**
+ * Serialises a user's views for download
+ * @param {string} userKey - Key from getUserKey
+ * @returns {string} JSON text
+ */
+export function exportViews(userKey) {
+  const { views, defaultViewId } = readStore(userKey);
+  return JSON.stringify({ version: FILE_VERSION, views, defaultViewId }, null, 2);
+}
+
+/**
+ * Merges views from an exported file; views with the same ID or name are replaced
+ * @param {string} userKey - Key from getUserKey
+ * @param {string} text - JSON text from exportViews
+ * @returns {number} Number of views imported
+ * @throws {MigrationError} If the file holds no valid views or cannot be stored
+ */
+export function importViews(userKey, text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new MigrationError('The file is not valid JSON', { type: ERROR_TYPES.BAD_DATA, cause: e });
+  }
+
+  const imported = normaliseViews(parsed?.views);
+  if (imported.length === 0) {
+    throw new MigrationError('The file contains no saved views', { type: ERROR_TYPES.BAD_DATA });
+  }
+
+  imported.forEach((view) => saveView(userKey, view));
+  if (parsed.defaultViewId && !getDefaultView(userKey)) {
+    const { views } = readStore(userKey);
+    const importedDefault = imported.find((view) => view.id === parsed.defaultViewId);
+    const match = importedDefault && views.find((view) => view.name === importedDefault.name);
+    if (match) setDefaultView(userKey, match.id);
+  }
+  return imported.length;
+}
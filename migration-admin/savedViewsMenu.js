@@ -0,0 +1,204 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Saved views menu - view dropdown and the save/default/delete/import/export actions
+ * @module savedViewsMenu
+ */
+
+import { ELEMENT_IDS } from './constants.js';
+import {
+  getSavedViews, saveView, deleteView, setDefaultView, exportViews, importViews,
+} from './savedViews.js';
+import { download } from './exporter.js';
+
+/**
+ * SavedViewsMenu class - lets a user switch between and manage their saved views
+ * @class
+ */
+class SavedViewsMenu {
+  /**
+   * Creates a new SavedViewsMenu instance
+   * @constructor
+   */
+  constructor() {
+    /** @type {HTMLSelectElement|null} View dropdown */
+    this.select = document.getElementById(ELEMENT_IDS.SAVED_VIEW_SELECT);
+    /** @type {HTMLElement|null} Menu holding the view actions */
+    this.menu = document.getElementById(ELEMENT_IDS.SAVED_VIEWS_MENU);
+    /** @type {string} Key of the signed-in user, from getUserKey */
+    this.userKey = '';
+    /** @type {string|null} ID of the view selected in the dropdown */
+    this.currentViewId = null;
+    /** @type {Function|null} Called with a view when the user switches to it */
+    this.onSelect = null;
+    /** @type {Function|null} Returns the current view state when saving */
+    this.getState = null;
+
+    if (this.select) {
+      this.select.addEventListener('change', () => {
+        this.currentViewId = this.select.value || null;
+        const view = this.getCurrentView();
+        if (view && this.onSelect) this.onSelect(view);
+        this.render();
+      });
+    }
+
+    this.fileInput = this.menu?.querySelector('input[type="file"]') || null;
+    if (this.fileInput) {
+      this.fileInput.addEventListener('change', () => this.importFile());
+    }
+
+    this.menu?.querySelectorAll('button[data-action]').forEach((button) => {
+      button.addEventListener('click', () => this.runAction(button.getAttribute('data-action')));
+    });
+  }
+
+  /**
+   * Sets the user whose views are shown
+   * @param {string} userKey - Key from getUserKey
+   */
+  setUser(userKey) {
+    this.userKey = userKey;
+    this.render();
+  }
+
+  /**
+   * Marks a view as selected without applying it
+   * @param {string|null} id - View ID, or null for an unsaved view
+   */
+  setCurrent(id) {
+    this.currentViewId = id;
+    this.render();
+  }
+
+  /**
+   * Returns the selected view
+   * @returns {import('./savedViews.js').SavedView|null} Selected view
+   */
+  getCurrentView() {
+    if (!this.userKey || !this.currentViewId) return null;
+    return getSavedViews(this.userKey).views.find((view) => view.id === this.currentViewId)
+      || null;
+  }
+
+  /**
+   * Renders the dropdown and enables the actions that apply to the selection
+   */
+  render() {
+    if (!this.select) return;
+    const { views, defaultViewId } = this.userKey
+      ? getSavedViews(this.userKey)
+      : { views: [], defaultViewId: null };
+    if (!views.some((view) => view.id === this.currentViewId)) this.currentViewId = null;
+
+    this.select.replaceChildren(new Option('Unsaved view', ''));
+    views.forEach((view) => {
+      const label = view.id === defaultViewId ? `${view.name} (default)` : view.name;
+      this.select.appendChild(new Option(label, view.id, false, view.id === this.currentViewId));
+    });
+    this.select.disabled = !this.userKey;
+
+    this.menu?.querySelectorAll('button[data-requires-view]').forEach((button) => {
+      button.disabled = !this.currentViewId;
+    });
+    this.menu?.querySelectorAll('button[data-requires-user]').forEach((button) => {
+      button.disabled = !this.userKey;
+    });
+  }
+
+  /**
+   * Shows the outcome of an action inside the menu
+   * @param {string} message - Message to show
+   * @param {boolean} [isError=false] - Whether the action failed
+   */
+  setStatus(message, isError = false) {
+    const status = this.menu?.querySelector('.saved-views-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Runs a menu action, reporting storage failures inline
+   * @param {string} action - Value of the button's data-action attribute
+   */
+  runAction(action) {
+    if (!this.userKey) return;
+    try {
+      switch (action) {
+        case 'save': {
+          // eslint-disable-next-line no-alert
+          const name = window.prompt('Name for this view:', this.getCurrentView()?.name || '');
+          if (!name || !name.trim()) return;
+          const view = saveView(this.userKey, { name, state: this.getState() });
+          this.currentViewId = view.id;
+          this.setStatus(`Saved "${view.name}".`);
+          break;
+        }
+        case 'update': {
+          const current = this.getCurrentView();
+          if (!current) return;
+          saveView(this.userKey, { ...current, state: this.getState() });
+          this.setStatus(`Updated "${current.name}".`);
+          break;
+        }
+        case 'default': {
+          setDefaultView(this.userKey, this.currentViewId);
+          this.setStatus(this.currentViewId
+            ? 'The selected view now opens by default.'
+            : 'The built-in default view is used again.');
+          break;
+        }
+        case 'delete': {
+          const current = this.getCurrentView();
+          // eslint-disable-next-line no-alert
+          if (!current || !window.confirm(`Delete the view "${current.name}"?`)) return;
+          deleteView(this.userKey, current.id);
+          this.currentViewId = null;
+          this.setStatus(`Deleted "${current.name}".`);
+          break;
+        }
+        case 'export':
+          download(exportViews(this.userKey), 'aem-migrations-views.json', 'application/json');
+          break;
+        case 'import':
+          this.fileInput?.click();
+          break;
+        default:
+          return;
+      }
+    } catch (error) {
+      this.setStatus(error.message, true);
+    }
+    this.render();
+  }
+
+  /**
+   * Imports views from the file chosen in the file input
+   */
+  async importFile() {
+    const file = this.fileInput.files?.[0];
+    this.fileInput.value = '';
+    if (!file || !this.userKey) return;
+
+    try {
+      const count = importViews(this.userKey, await file.text());
+      this.setStatus(`Imported ${count} view${count === 1 ? '' : 's'}.`);
+    } catch (error) {
+      this.setStatus(`Import failed: ${error.message}.`, true);
+    }
+    this.render();
+  }
+}
+
+export default SavedViewsMenu;
@@ -0,0 +1,159 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Sign-in screen - an in-page form for the configured auth provider, shown on
+ * first visit and again when the session expires
+ * @module signIn
+ */
+
+import { ELEMENT_IDS } from './constants.js';
+import { getAuthProvider, signIn } from './auth.js';
+
+/**
+ * Creates an element with an optional class name and text
+ * @param {string} tagName - Tag name
+ * @param {string} [className=''] - Optional CSS class name
+ * @param {string} [text] - Optional text content
+ * @returns {HTMLElement} New element
+ */
+function createElement(tagName, className = '', text = undefined) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Creates the input for a sign-in field
+ * @param {import('./auth.js').AuthField} field - Field
+ * @returns {HTMLElement} Input, select or textarea
+ */
+function createInput(field) {
+  let input;
+  if (field.type === 'select') {
+    input = document.createElement('select');
+    field.options.forEach(({ value, label }) => input.appendChild(new Option(label, value)));
+  } else if (field.type === 'textarea') {
+    input = createElement('textarea');
+    input.rows = 4;
+  } else {
+    input = createElement('input');
+    input.type = field.type || 'text';
+  }
+  input.name = field.key;
+  input.id = `sign-in-${field.key}`;
+  input.required = Boolean(field.required);
+  return input;
+}
+
+/**
+ * SignInScreen class - blocks the page until the user has signed in
+ * @class
+ */
+class SignInScreen {
+  /**
+   * Creates a new SignInScreen instance
+   * @constructor
+   */
+  constructor() {
+    /** @type {HTMLElement|null} Screen container */
+    this.container = document.getElementById(ELEMENT_IDS.SIGN_IN);
+    /** @type {Promise<import('./auth.js').Session>|null} Sign-in in progress */
+    this.pending = null;
+  }
+
+  /**
+   * Shows the sign-in form and waits for a successful sign-in. Calls made while
+   * the form is open share its result.
+   * @param {Object} [options={}] - Prompt options
+   * @param {string} [options.message] - Why the user has to sign in, e.g. an expired session
+   * @returns {Promise<import('./auth.js').Session>} New session
+   * @throws {Error} If the page has no sign-in container (as a rejected promise)
+   */
+  prompt({ message } = {}) {
+    if (!this.container) {
+      return Promise.reject(new Error(`Sign-in screen #${ELEMENT_IDS.SIGN_IN} is missing from the page`));
+    }
+    if (!this.pending) {
+      this.pending = new Promise((resolve) => {
+        this.render(message, (session) => {
+          this.pending = null;
+          this.container.classList.add('hidden');
+          resolve(session);
+        });
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Renders the form of the configured provider
+   * @param {string} [message] - Why the user has to sign in
+   * @param {Function} onSignIn - Called with the session once signed in
+   */
+  render(message, onSignIn) {
+    const provider = getAuthProvider();
+
+    const card = createElement('div', 'sign-in-card');
+    const title = createElement('h2', '', 'Sign in to AEM Cloud Migrations Reporter');
+    title.id = 'sign-in-title';
+    card.appendChild(title);
+    if (message) card.appendChild(createElement('p', 'sign-in-message', message));
+
+    const description = createElement('p', 'sign-in-description', provider.description);
+    if (provider.helpUrl) {
+      const link = createElement('a', '', 'How to sign in');
+      link.href = provider.helpUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      description.append(' ', link);
+    }
+    card.appendChild(description);
+
+    const form = createElement('form', 'sign-in-form');
+    provider.fields.forEach((field) => {
+      const label = createElement('label', 'sign-in-field', field.label);
+      label.appendChild(createInput(field));
+      form.appendChild(label);
+    });
+    const submit = createElement('button', 'search-button', provider.submitLabel);
+    submit.type = 'submit';
+    const status = createElement('p', 'sign-in-status');
+    status.setAttribute('role', 'alert');
+    form.append(submit, status);
+    card.appendChild(form);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submit.disabled = true;
+      status.textContent = '';
+      const values = Object.fromEntries(provider.fields
+        .map((field) => [field.key, form.elements[field.key].value.trim()]));
+      try {
+        onSignIn(await signIn(values));
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error('Sign-in failed:', error);
+        status.textContent = error.message;
+      } finally {
+        submit.disabled = false;
+      }
+    });
+
+    this.container.replaceChildren(card);
+    this.container.classList.remove('hidden');
+    (form.querySelector('input, select, textarea') || submit).focus();
+  }
+}
+
+export default SignInScreen;
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Table sorting - multi-column sort keys and type-aware comparisons
+ * @module sorting
+ */
+
+import { TABLE_CONFIG } from './constants.js';
+
+/**
+ * One level of a multi-column sort; the first key decides, later keys break ties
+ * @typedef {Object} SortKey
+ * @property {string} column - Column key from TABLE_CONFIG.COLUMNS
+ * @property {'asc'|'desc'} direction - Sort direction
+ */
+
+const ALL_COLUMNS = Object.values(TABLE_CONFIG.COLUMNS);
+
+// Natural order for names, so "Customer 9" sorts before "Customer 10"
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Converts a date value to milliseconds
+ * @param {number|string} value - Timestamp or date string
+ * @returns {number} Milliseconds, NaN if unparseable
+ */
+function toTime(value) {
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+// Ascending comparison per column type; values are never missing here
+const COMPARATORS = {
+  string: (a, b) => collator.compare(String(a), String(b)),
+  date: (a, b) => toTime(a) - toTime(b),
+  number: (a, b) => Number(a) - Number(b),
+};
+
+/**
+ * Returns how a column's values are compared
+ * @param {string} columnKey - Column key
+ * @returns {'string'|'date'|'number'} Column type
+ */
+export function getColumnType(columnKey) {
+  if (TABLE_CONFIG.STRING_COLUMNS.includes(columnKey)) return 'string';
+  if (TABLE_CONFIG.DATE_COLUMNS.includes(columnKey)) return 'date';
+  return 'number';
+}
+
+/**
+ * Whether a value has nothing to sort by
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @returns {boolean} True for null, undefined, '' and unparseable numbers or dates
+ */
+function isMissing(value, type) {
+  if (value === null || value === undefined || value === '') return true;
+  if (type === 'date') return Number.isNaN(toTime(value));
+  if (type === 'number') return Number.isNaN(Number(value));
+  return false;
+}
+
+/**
+ * Returns the built-in sort
+ * @returns {SortKey[]} Default sort keys
+ */
+export function getDefaultSort() {
+  return [{
+    column: TABLE_CONFIG.DEFAULT_SORT_COLUMN,
+    direction: TABLE_CONFIG.DEFAULT_SORT_DIRECTION,
+  }];
+}
+
+/**
+ * Sorts migrations by one or more keys. Missing values go last in either
+ * direction, and rows that tie on every key keep their input order.
+ * @param {Array<Object>} migrations - Migrations to sort
+ * @param {SortKey[]} sortKeys - Sort keys in priority order
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortMigrations(migrations, sortKeys) {
+  const comparisons = sortKeys.map(({ column, direction }) => {
+    const type = getColumnType(column);
+    return {
+      column, type, compare: COMPARATORS[type], sign: direction === 'desc' ? -1 : 1,
+    };
+  });
+
+  return [...migrations].sort((a, b) => {
+    for (let i = 0; i < comparisons.length; i += 1) {
+      const {
+        column, type, compare, sign,
+      } = comparisons[i];
+      const aMissing = isMissing(a[column], type);
+      const bMissing = isMissing(b[column], type);
+
+      if (aMissing !== bMissing) return aMissing ? 1 : -1;
+      if (!aMissing) {
+        const result = compare(a[column], b[column]);
+        if (result !== 0) return result * sign;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Returns the sort after a header click. A plain click sorts by the column alone,
+ * reversing it if it already leads the sort. A shift-click adds the column as the
+ * next tie-breaker, or cycles an existing key from ascending to descending to removed.
+ * @param {SortKey[]} sortKeys - Current sort keys
+ * @param {string} column - Clicked column
+ * @param {boolean} additive - Whether shift was held
+ * @returns {SortKey[]} New sort keys, never empty
+ */
+export function toggleSortKey(sortKeys, column, additive) {
+  const existing = sortKeys.find((key) => key.column === column);
+
+  if (!additive) {
+    const reverse = sortKeys[0]?.column === column && sortKeys[0].direction === 'asc';
+    return [{ column, direction: reverse ? 'desc' : 'asc' }];
+  }
+
+  if (!existing) {
+    // At the limit, the new column replaces the least significant key
+    const kept = sortKeys.slice(0, TABLE_CONFIG.MAX_SORT_KEYS - 1);
+    return [...kept, { column, direction: 'asc' }];
+  }
+  if (existing.direction === 'asc') {
+    return sortKeys.map((key) => (key === existing ? { column, direction: 'desc' } : key));
+  }
+  const remaining = sortKeys.filter((key) => key !== existing);
+  return remaining.length ? remaining : [{ column, direction: 'asc' }];
+}
+
+/**
+ * Serialises sort keys for the URL as parallel comma-separated lists
+ * @param {SortKey[]} sortKeys - Sort keys
+ * @returns {{sort: string, dir: string}} Values for the `sort` and `dir` parameters
+ */
+export function serializeSort(sortKeys) {
+  return {
+    sort: sortKeys.map((key) => key.column).join(','),
+    dir: sortKeys.map((key) => key.direction).join(','),
+  };
+}
+
+/**
+ * Parses the `sort` and `dir` parameters written by serializeSort. A single
+ * column and direction, as in links from before multi-column sorting, also works.
+ * @param {string} [sort] - Comma-separated column keys
+ * @param {string} [dir] - Comma-separated directions; missing entries are ascending
+ * @returns {SortKey[]|null} Sort keys, or null if any column or direction is unknown
+ */
+export function parseSort(sort, dir = '') {
+  if (typeof sort !== 'string' || !sort) return null;
+
+  const columns = sort.split(',');
+  const directions = typeof dir === 'string' && dir ? dir.split(',') : [];
+  if (directions.length > columns.length) return null;
+  if (new Set(columns).size !== columns.length) return null;
+
+  const sortKeys = columns.map((column, i) => ({ column, direction: directions[i] || 'asc' }));
+  const valid = sortKeys.every(({ column, direction }) => ALL_COLUMNS.includes(column)
+    && (direction === 'asc' || direction === 'desc'));
+  return valid ? sortKeys.slice(0, TABLE_CONFIG.MAX_SORT_KEYS) : null;
+}
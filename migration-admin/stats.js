@@ -0,0 +1,127 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Ingestion aggregations shared by the dashboard summary, the graphs, the digest and alerts.
+ * Free of DOM access so they can also run outside the page.
+ * @module stats
+ */
+
+/**
+ * Totals ingestions across migrations
+ * @param {Array<Object>} migrations - Migrations with totalIngestions and failedIngestions
+ * @returns {{customers: number, total: number, successful: number, failed: number}} Totals
+ */
+export function computeIngestionStats(migrations) {
+  let total = 0;
+  let failed = 0;
+
+  migrations.forEach((m) => {
+    const t = Number(m.totalIngestions);
+    const f = Number(m.failedIngestions);
+    if (Number.isFinite(t)) total += t;
+    if (Number.isFinite(f)) failed += f;
+  });
+
+  const successful = total - failed;
+  const customers = migrations.length;
+
+  return {
+    customers, total, successful, failed,
+  };
+}
+
+/**
+ * Finds the bucket a timestamp falls into
+ * @param {Array<{start: number, end: number}>} buckets - Time buckets, oldest first
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {number} Bucket index, or -1 if the timestamp is outside every bucket
+ */
+export function findBucketIndex(buckets, timestamp) {
+  let low = 0;
+  let high = buckets.length - 1;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (timestamp < buckets[mid].start) {
+      high = mid - 1;
+    } else if (timestamp > buckets[mid].end) {
+      low = mid + 1;
+    } else {
+      return mid;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Counts ingestions per customer in each bucket
+ * @param {Array<Object>} migrations - Migrations with ingestionStartDates
+ * @param {Array<{start: number, end: number}>} buckets - Time buckets, oldest first
+ * @returns {Array<Map<string, number>>} Ingestions by customer name, per bucket
+ */
+export function countCustomersPerBucket(migrations, buckets) {
+  const perBucket = buckets.map(() => new Map());
+  migrations.forEach((migration) => {
+    (migration.ingestionStartDates || []).forEach((timestamp) => {
+      const index = findBucketIndex(buckets, timestamp);
+      if (index === -1) return;
+      const customers = perBucket[index];
+      customers.set(migration.customerName, (customers.get(migration.customerName) || 0) + 1);
+    });
+  });
+  return perBucket;
+}
+
+/**
+ * Counts ingestions per time bucket
+ * @param {Array<Map<string, number>>} customersPerBucket - From countCustomersPerBucket
+ * @returns {number[]} Ingestions per bucket
+ */
+export function sumPerBucket(customersPerBucket) {
+  return customersPerBucket
+    .map((customers) => [...customers.values()].reduce((sum, count) => sum + count, 0));
+}
+
+/**
+ * Returns the key matching a customer across periods and data sets
+ * @param {Object} migration - Migration object
+ * @returns {string} IMS Org ID, or the customer name if there is none
+ */
+export function getCustomerKey(migration) {
+  return migration.imsOrgId || migration.customerName || '';
+}
+
+/**
+ * Adds up ingestion counts per customer
+ * @param {Array<Object>} migrations - Migrations of one period
+ * @returns {Map<string, {name: string, imsOrgId: string, total: number, failed: number,
+ *   lastIngestion: number|null}>} Totals by customer key
+ */
+export function totalByCustomer(migrations) {
+  const totals = new Map();
+  migrations.forEach((migration) => {
+    const key = getCustomerKey(migration);
+    const customer = totals.get(key) || {
+      name: migration.customerName,
+      imsOrgId: migration.imsOrgId || '',
+      total: 0,
+      failed: 0,
+      lastIngestion: null,
+    };
+    customer.total += migration.totalIngestions || 0;
+    customer.failed += migration.failedIngestions || 0;
+    customer.lastIngestion = Math.max(customer.lastIngestion || 0, migration.lastIngestion || 0)
+      || null;
+    totals.set(key, customer);
+  });
+  return totals;
+}
@@ -0,0 +1,142 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * URL state - keeps the dashboard view in the query string so it can be shared
+ * @module urlState
+ */
+
+import {
+  TABLE_CONFIG, DATE_RANGE_CONFIG, GRAPH_CONFIG, GRANULARITY,
+} from './constants.js';
+import { DateRange } from './DateRange.js';
+import { SELF_SCOPE_ID } from './roles.js';
+import { parseActivityWindow, parseFilter, parseFunnelStage } from './filters.js';
+import { parseSort } from './sorting.js';
+import {
+  getDefaultLayout, parseVisibleColumns, serializeVisibleColumns,
+} from './columnLayout.js';
+
+/**
+ * View state keys, used verbatim as query parameter names
+ * @typedef {Object} ViewState
+ * @property {string} [range] - Date range key from DateRange
+ * @property {string} [from] - Custom range start as `YYYY-MM-DD`
+ * @property {string} [to] - Custom range end as `YYYY-MM-DD`
+ * @property {string} [q] - Customer name filter
+ * @property {string} [sort] - Sort column keys in priority order, comma-separated
+ * @property {string} [dir] - Sort direction per sort column ('asc' or 'desc'), comma-separated
+ * @property {string} [customer] - IMS Org ID of the open drill-down
+ * @property {string} [granularity] - Graph granularity value
+ * @property {string} [compare] - '1' when comparing to the previous period
+ * @property {string} [filter] - Advanced filter as JSON (see filters.js)
+ * @property {string} [columns] - Visible columns in display order, comma-separated
+ * @property {string} [active] - Days picked in the graphs that the table is filtered to,
+ *   as `YYYY-MM-DD` or `YYYY-MM-DD..YYYY-MM-DD`
+ * @property {string} [stage] - Funnel stage key whose stuck customers the table shows
+ * @property {string} [as] - ID of the scope a lead or admin is viewing as (see roles.js)
+ */
+const STATE_KEYS = [
+  'range', 'from', 'to', 'q', 'sort', 'dir', 'customer', 'granularity', 'compare', 'filter',
+  'columns', 'active', 'stage', 'as',
+];
+
+// Values that are left out of the URL because they are the defaults anyway
+const DEFAULTS = {
+  range: DATE_RANGE_CONFIG.DEFAULT_RANGE,
+  sort: TABLE_CONFIG.DEFAULT_SORT_COLUMN,
+  dir: TABLE_CONFIG.DEFAULT_SORT_DIRECTION,
+  granularity: GRAPH_CONFIG.DEFAULT_GRANULARITY,
+  columns: serializeVisibleColumns(getDefaultLayout()),
+  as: SELF_SCOPE_ID,
+};
+
+// Accepted values per key; anything else in the URL is ignored
+const VALIDATORS = {
+  range: (value) => Boolean(DateRange[value]),
+  from: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  to: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  sort: (value) => parseSort(value) !== null,
+  dir: (value) => /^(asc|desc)(,(asc|desc))*$/.test(value),
+  granularity: (value) => Object.values(GRANULARITY).some((g) => g.value === value),
+  compare: (value) => value === '1',
+  filter: (value) => parseFilter(value) !== null,
+  columns: (value) => parseVisibleColumns(value) !== null,
+  active: (value) => parseActivityWindow(value) !== null,
+  stage: (value) => parseFunnelStage(value) !== null,
+  as: (value) => /^(self|all|team:.+|user:.+)$/.test(value),
+};
+
+/**
+ * Keeps only known keys with valid string values
+ * @param {Function} getValue - Returns the raw value for a key
+ * @returns {ViewState} Valid view state
+ */
+function pickValidState(getValue) {
+  const state = {};
+
+  STATE_KEYS.forEach((key) => {
+    const value = getValue(key);
+    if (typeof value !== 'string' || value === '') return;
+    if (VALIDATORS[key] && !VALIDATORS[key](value)) return;
+    state[key] = value;
+  });
+
+  return state;
+}
+
+/**
+ * Reads the view state from the current URL, dropping invalid values
+ * @returns {ViewState} View state found in the query string
+ */
+export function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  return pickValidState((key) => params.get(key));
+}
+
+/**
+ * Validates a view state from another source, e.g. an imported saved view
+ * @param {*} state - Untrusted view state object
+ * @returns {ViewState} View state with unknown keys and invalid values dropped
+ */
+export function sanitizeViewState(state) {
+  if (!state || typeof state !== 'object') return {};
+  return pickValidState((key) => state[key]);
+}
+
+/**
+ * Writes the view state to the URL, keeping unrelated query parameters.
+ * Does nothing if the URL would not change.
+ * @param {ViewState} state - View state to store
+ * @param {Object} [options={}] - Write options
+ * @param {boolean} [options.push=false] - Add a history entry instead of replacing the current one
+ */
+export function writeUrlState(state, { push = false } = {}) {
+  const url = new URL(window.location.href);
+
+  STATE_KEYS.forEach((key) => {
+    const value = state[key];
+    if (value === undefined || value === null || value === '' || value === DEFAULTS[key]) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  if (url.href === window.location.href) return;
+
+  if (push) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+}
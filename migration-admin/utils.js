@@ -0,0 +1,132 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Shared formatting and DOM helpers for the migration admin views
+ * @module utils
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DateUtils = {
+  MS_PER_DAY,
+
+  /**
+   * Formats a timestamp for display
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @param {boolean} [includeTime=false] - Whether to include time in formatted output
+   * @returns {string} Formatted date string or '-' if no timestamp
+   */
+  formatDate(timestamp, includeTime = false) {
+    if (!timestamp) return '-';
+    const date = new Date(timestamp);
+
+    const options = {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC',
+    };
+
+    if (includeTime) {
+      Object.assign(options, {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false,
+      });
+    }
+
+    const formatted = date.toLocaleString(undefined, options);
+    return includeTime ? `${formatted} UTC` : formatted;
+  },
+
+  /**
+   * Returns the UTC day a timestamp falls on
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @returns {string} Day as `YYYY-MM-DD`
+   */
+  toDayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  },
+
+  /**
+   * Formats a `YYYY-MM-DD` day for display
+   * @param {string} key - Day as `YYYY-MM-DD` (UTC)
+   * @returns {string} Formatted date, e.g. "Nov 5, 2024"
+   */
+  formatDayKey(key) {
+    return DateUtils.formatDate(Date.parse(`${key}T00:00:00Z`));
+  },
+};
+
+export const NumberUtils = {
+  /**
+   * Formats a part/total ratio as a percentage
+   * @param {number} part - Numerator
+   * @param {number} total - Denominator
+   * @returns {string} Percentage with one decimal, or '-' when total is zero
+   */
+  formatPercentage(part, total) {
+    if (!total) return '-';
+    return `${((part / total) * 100).toFixed(1)}%`;
+  },
+
+  /**
+   * Formats the change between two values as an absolute and relative delta
+   * @param {number} current - Value for the current period
+   * @param {number} previous - Value for the previous period
+   * @returns {string} Change such as `+12 (+8.5%)`, without the percentage when
+   *   there is nothing to compare against
+   */
+  formatChange(current, previous) {
+    const delta = current - previous;
+    const sign = delta > 0 ? '+' : '';
+    const absolute = `${sign}${delta.toLocaleString()}`;
+    if (!previous) return absolute;
+    return `${absolute} (${sign}${((delta / previous) * 100).toFixed(1)}%)`;
+  },
+};
+
+/**
+ * Wraps a function so it only runs once calls have stopped for `waitMs`
+ * @param {Function} fn - Function to call with the latest arguments
+ * @param {number} waitMs - Quiet time in milliseconds
+ * @returns {Function} Debounced function, with `cancel()` to drop a pending call
+ */
+export function debounce(fn, waitMs) {
+  let timer = null;
+  const debounced = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      fn(...args);
+    }, waitMs);
+  };
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  return debounced;
+}
+
+/**
+ * Creates an SVG element with attributes; shared by every chart and the chart export
+ * @param {string} name - Element name
+ * @param {Object<string, string|number>} [attributes={}] - Attribute values
+ * @returns {SVGElement} Element
+ */
+export function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+  return element;
+}
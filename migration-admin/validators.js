@@ -0,0 +1,180 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Validation layer - checks migration records against a schema and normalises them
+ * @module validators
+ */
+
+import { MigrationError, ERROR_TYPES } from './errors.js';
+
+/**
+ * Data validation failure
+ * @class
+ */
+export class ValidationError extends MigrationError {
+  /**
+   * @param {string} message - Developer-facing message
+   * @param {Object} [options={}] - Error details
+   * @param {Object} [options.report] - Validation report from validateMigrations
+   */
+  constructor(message, { report } = {}) {
+    super(message, { type: ERROR_TYPES.BAD_DATA });
+    this.name = 'ValidationError';
+    this.report = report;
+  }
+}
+
+/**
+ * Declared shape of a migration record returned by the worker.
+ * `required` fields must be present and valid or the record is rejected;
+ * invalid optional fields are cleared and the record is flagged.
+ */
+export const MIGRATION_SCHEMA = {
+  customerName: { type: 'string', required: true },
+  imsOrgId: { type: 'string' },
+  id: { type: 'string' },
+  bpaReportUploaded: { type: 'timestamp' },
+  firstIngestion: { type: 'timestamp' },
+  lastIngestion: { type: 'timestamp' },
+  totalIngestions: { type: 'count' },
+  failedIngestions: { type: 'count' },
+  totalProjects: { type: 'count' },
+  ingestionStartDates: { type: 'timestamps' },
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Coerces a timestamp given as milliseconds, a numeric string or an ISO date string
+ * @param {*} value - Raw value
+ * @returns {number} Timestamp in milliseconds, NaN if invalid
+ */
+function toTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value !== 'string') return NaN;
+  const text = value.trim();
+  return /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+}
+
+/**
+ * Coerces a non-negative integer count given as a number or numeric string
+ * @param {*} value - Raw value
+ * @returns {number} Count, NaN if invalid
+ */
+function toCount(value) {
+  let count = NaN;
+  if (typeof value === 'number') count = value;
+  if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) count = Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : NaN;
+}
+
+// Coercion per schema type: returns { value } or { error }
+const COERCERS = {
+  string: (value) => {
+    if (typeof value === 'string') return value.trim() ? { value: value.trim() } : { value: null };
+    if (typeof value === 'number') return { value: String(value) };
+    return { error: `expected a string, got ${typeof value}` };
+  },
+  timestamp: (value) => {
+    const timestamp = toTimestamp(value);
+    return Number.isNaN(timestamp) ? { error: `invalid date "${value}"` } : { value: timestamp };
+  },
+  count: (value) => {
+    const count = toCount(value);
+    return Number.isNaN(count) ? { error: `invalid count "${value}"` } : { value: count };
+  },
+  timestamps: (value) => {
+    if (!Array.isArray(value)) return { error: 'expected an array of dates' };
+    const timestamps = value.map(toTimestamp);
+    const valid = timestamps.filter((timestamp) => !Number.isNaN(timestamp));
+    return valid.length === timestamps.length
+      ? { value: valid }
+      : { value: valid, error: `${timestamps.length - valid.length} invalid date(s) dropped` };
+  },
+};
+
+/**
+ * Validates and normalises a single record
+ * @param {*} record - Raw record from the API
+ * @returns {{migration: Object|null, issues: string[]}} Normalised record (null if rejected)
+ *   and the problems found
+ */
+export function validateMigration(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { migration: null, issues: ['record is not an object'] };
+  }
+
+  const migration = { ...record };
+  const issues = [];
+  let rejected = false;
+
+  Object.entries(MIGRATION_SCHEMA).forEach(([field, { type, required }]) => {
+    const raw = record[field];
+
+    if (isMissing(raw)) {
+      migration[field] = type === 'timestamps' ? [] : null;
+      if (required) {
+        issues.push(`${field} is missing`);
+        rejected = true;
+      }
+      return;
+    }
+
+    const { value, error } = COERCERS[type](raw);
+    migration[field] = value ?? (type === 'timestamps' ? [] : null);
+    if (error) issues.push(`${field}: ${error}`);
+    if (required && migration[field] === null) {
+      issues.push(`${field} is missing`);
+      rejected = true;
+    }
+  });
+
+  if (migration.failedIngestions !== null && migration.totalIngestions !== null
+    && migration.failedIngestions > migration.totalIngestions) {
+    issues.push('failedIngestions exceeds totalIngestions');
+  }
+
+  return { migration: rejected ? null : migration, issues };
+}
+
+/**
+ * Validates a list of records from the API
+ * @param {Array} records - Raw records
+ * @returns {{
+ *   migrations: Array<Object>,
+ *   rejected: Array<{index: number, issues: string[]}>,
+ *   flagged: Array<{index: number, customerName: string, issues: string[]}>
+ * }} Valid records plus the rejected and flagged ones
+ * @throws {ValidationError} If the response is not empty but every record was rejected
+ */
+export function validateMigrations(records) {
+  const report = { migrations: [], rejected: [], flagged: [] };
+
+  (Array.isArray(records) ? records : []).forEach((record, index) => {
+    const { migration, issues } = validateMigration(record);
+    if (!migration) {
+      report.rejected.push({ index, issues });
+    } else {
+      report.migrations.push(migration);
+      if (issues.length > 0) {
+        report.flagged.push({ index, customerName: migration.customerName, issues });
+      }
+    }
+  });
+
+  if (report.migrations.length === 0 && report.rejected.length > 0) {
+    throw new ValidationError(`All ${report.rejected.length} records failed validation`, { report });
+  }
+
+  return report;
+}